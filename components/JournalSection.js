@@ -2,17 +2,7 @@
 import { useState, useEffect } from 'react'
 import { motion } from 'framer-motion'
 import { getConsistentISOString, formatDate } from '../src/utils/dateUtils'
-
-// Utility function to extract health metrics from text
-function extractHealthMetrics(text) {
-  // Simple implementation - you can enhance this based on your needs
-  return {
-    sleep: null,
-    exercise: null,
-    symptoms: [],
-    energy: null
-  }
-}
+import { extractMetrics, metricValues } from '../src/lib/metricExtraction'
 
 // Utility function to generate a stable ID
 function generateStableId() {
@@ -29,7 +19,7 @@ export default function JournalSection({ onMetricsUpdate }) {
   }, [])
 
   const handleNewEntry = (text) => {
-    const metrics = extractHealthMetrics(text)
+    const metrics = metricValues(extractMetrics(text))
     const timestamp = getConsistentISOString()
     const newEntry = {
       id: generateStableId(),
@@ -0,0 +1,77 @@
+// scripts/evaluate-analysis.mjs
+// Scores the metric extractors and the configured LLM provider against the
+// labelled corpus in src/lib/evaluationCorpus.js.
+//
+// Usage: npm run evaluate -- [--provider=stub|openai|azure|local] [--no-provider] [--no-baseline] [--verbose]
+import { evaluationCorpus } from '../src/lib/evaluationCorpus.js';
+import {
+  EVALUATED_FIELDS,
+  localExtractors,
+  createProviderExtractor,
+  evaluateExtractor,
+  baselineReports
+} from '../src/lib/analysisEvaluation.js';
+import { extractionBaseline } from '../src/lib/evaluationBaseline.js';
+import { createLLMProvider, getLLMConfig, isStubProvider } from '../src/lib/llmProvider.js';
+
+const args = process.argv.slice(2);
+const getArg = (name) => args.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1];
+const verbose = args.includes('--verbose');
+
+const formatRatio = (value) => (value === null ? '   -' : `${(value * 100).toFixed(0)}%`.padStart(4));
+
+function printReport(report) {
+  console.log(`\n${report.name}`);
+  console.log(`  ${'field'.padEnd(10)} precision  recall    f1   tp  fp  fn`);
+
+  for (const field of EVALUATED_FIELDS) {
+    const result = report.fields[field];
+    if (!result) {
+      console.log(`  ${field.padEnd(10)} not extracted`);
+      continue;
+    }
+    console.log(
+      `  ${field.padEnd(10)} ${formatRatio(result.precision).padStart(9)}  ${formatRatio(result.recall).padStart(6)}  ${formatRatio(result.f1)}` +
+      `  ${String(result.tp).padStart(3)} ${String(result.fp).padStart(3)} ${String(result.fn).padStart(3)}`
+    );
+  }
+
+  if (report.errors.length > 0) {
+    console.log(`  ${report.errors.length} entries failed: ${report.errors.map(e => `${e.id} (${e.error})`).join(', ')}`);
+  }
+
+  if (verbose) {
+    report.mismatches.forEach(({ id, field, expected, predicted }) => {
+      console.log(`    ${id} ${field}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(predicted)}`);
+    });
+  }
+}
+
+const extractors = [...localExtractors];
+
+if (!args.includes('--no-provider')) {
+  const config = getLLMConfig({ ...process.env, LLM_PROVIDER: getArg('provider') || process.env.LLM_PROVIDER });
+  const provider = createLLMProvider(config);
+  // Without a key the provider falls back to the stub, which would only
+  // score extractMetrics a second time
+  if (isStubProvider(provider) && !getArg('provider')) {
+    console.log('No LLM provider is configured, so only the local extraction is scored. Pass --provider=stub to check the prompt pipeline with the stub.');
+  } else {
+    extractors.push(createProviderExtractor(provider));
+  }
+}
+
+console.log(`Evaluating ${extractors.length} extractors on ${evaluationCorpus.length} labelled entries`);
+
+for (const extractor of extractors) {
+  printReport(await evaluateExtractor(extractor, evaluationCorpus));
+}
+
+// The extractors the rule engine replaced, for comparison
+if (!args.includes('--no-baseline')) {
+  console.log(`\nBaseline before the unified extraction engine (recorded on ${extractionBaseline.corpusSize} entries)`);
+  if (extractionBaseline.corpusSize !== evaluationCorpus.length) {
+    console.log('The corpus has changed since the baseline was recorded, so these counts are not directly comparable.');
+  }
+  baselineReports(extractionBaseline).forEach(printReport);
+}
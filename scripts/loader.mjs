@@ -0,0 +1,38 @@
+// scripts/loader.mjs
+// Lets Node run the app's modules directly: resolves the '@/' alias and
+// extensionless imports the way Next.js does, and loads project files as ES modules.
+import { existsSync, statSync } from 'fs';
+import { fileURLToPath } from 'url';
+
+const root = new URL('../', import.meta.url).href;
+
+const isFile = (url) => {
+  const path = fileURLToPath(url);
+  return existsSync(path) && statSync(path).isFile();
+};
+
+// './localAnalysis' -> './localAnalysis.js' or './localAnalysis/index.js'
+const findFile = (url) =>
+  [url, `${url}.js`, `${url}/index.js`].find(isFile) || null;
+
+export async function resolve(specifier, context, nextResolve) {
+  let target = null;
+  if (specifier.startsWith('@/')) {
+    target = new URL(`src/${specifier.slice(2)}`, root).href;
+  } else if (/^\.\.?\//.test(specifier) && context.parentURL?.startsWith(root)) {
+    target = new URL(specifier, context.parentURL).href;
+  }
+
+  const url = target && findFile(target);
+  if (url) {
+    return { url, shortCircuit: true };
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(root) && !url.includes('/node_modules/') && url.endsWith('.js')) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  return nextLoad(url, context);
+}
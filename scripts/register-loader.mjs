@@ -0,0 +1,5 @@
+// scripts/register-loader.mjs
+// Usage: node --import ./scripts/register-loader.mjs <script>
+import { register } from 'module';
+
+register('./loader.mjs', import.meta.url);
@@ -8,7 +8,11 @@ import { SleepQualityChart } from '@/components/analytics/SleepQualityChart';
 import { MoodTracker } from '@/components/analytics/MoodTracker';
 import { SymptomFrequency } from '@/components/analytics/SymptomFrequency';
 import HealthInsights from '@/components/analytics/HealthInsights';
+import { DailyMetricsChart } from '@/components/analytics/DailyMetricsChart';
 import { storageUtils } from '@/utils/storage';
+import { toDateKey } from '@/utils/dateUtils';
+import { readEventStream } from '@/utils/eventStream';
+import { createRedactor, redactEntries, REDACTION_LEVELS, DEFAULT_REDACTION_LEVEL } from '@/utils/redaction';
 import { MessageSquare, BarChart3 } from 'lucide-react';
 
 const determinePattern = (data) => {
@@ -202,6 +206,56 @@ const processAnalysisResults = (results) => {
   };
 };
 
+// Describe a streamed progress event from /api/analyze/stream
+const describeProgress = (progress) => {
+  if (!progress) return null;
+
+  switch (progress.phase) {
+    case 'extracted':
+      return `Extracted metrics from ${progress.entries} entries`;
+    case 'planned':
+      return progress.strategy === 'direct'
+        ? `Sending ~${progress.estimatedTokens} tokens to the model...`
+        : `Summarizing ${progress.periods} ${progress.granularity}s in ${progress.requests} requests (~${progress.estimatedTokens} tokens)...`;
+    case 'summarized':
+      return `Summarized ${progress.completed} of ${progress.total} chunks...`;
+    case 'model-started':
+      return progress.attempt > 1 ? 'Retrying with corrections...' : `Analyzing with ${progress.provider}...`;
+    case 'partial':
+      return `Received ${progress.insights.length} of 3 insights...`;
+    case 'cached':
+      return 'Loading saved analysis...';
+    default:
+      return null;
+  }
+};
+
+// "at 14:30" today, otherwise with the date
+const formatRetryTime = (retryAt) => {
+  const date = new Date(retryAt);
+  return date.toDateString() === new Date().toDateString()
+    ? `at ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+    : `on ${date.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}`;
+};
+
+// Pick the entries for the selected range: a count, 'all', or 'custom' dates
+const selectEntries = (entries, entriesCount, customRange) => {
+  if (entriesCount === 'all') return entries;
+
+  if (entriesCount === 'custom') {
+    return entries.filter(entry => {
+      const date = new Date(entry.date || entry.timestamp);
+      if (isNaN(date.getTime())) return false;
+      // Local day, as in the rest of the series
+      const day = toDateKey(date);
+      return (!customRange.start || day >= customRange.start) &&
+             (!customRange.end || day <= customRange.end);
+    });
+  }
+
+  return entries.slice(0, entriesCount);
+};
+
 // Helper function to find most common items in an array
 const findMostCommon = (arr) => {
   if (!arr || arr.length === 0) return [];
@@ -216,8 +270,16 @@ const findMostCommon = (arr) => {
     .map(([val]) => val);
 };
 
+// The last 30 days, for the daily metrics chart
+const recentRange = () => {
+  const start = new Date();
+  start.setDate(start.getDate() - 29);
+  return { start: toDateKey(start), end: toDateKey(new Date()) };
+};
+
 export default function Analytics() {
   const [entriesCount, setEntriesCount] = useState(7);
+  const [customRange, setCustomRange] = useState({ start: '', end: '' });
   const [journalEntries, setJournalEntries] = useState([]);
   const [isAnalyzing, setIsAnalyzing] = useState(false);
   const [analysis, setAnalysis] = useState(null);
@@ -225,8 +287,25 @@ export default function Analytics() {
   const [lastUpdateTime, setLastUpdateTime] = useState(null);
   const [error, setError] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [redactionLevel, setRedactionLevel] = useState(DEFAULT_REDACTION_LEVEL);
+  const [nextAnalysisAt, setNextAnalysisAt] = useState(null);
+  const [meals, setMeals] = useState([]);
+  const [dailyMetrics, setDailyMetrics] = useState([]);
+
+  // Re-enable analysis once the rate limit or budget window has passed
+  useEffect(() => {
+    if (!nextAnalysisAt) return;
+    const timeout = setTimeout(() => {
+      setNextAnalysisAt(null);
+      setError(null);
+    }, Math.max(0, new Date(nextAnalysisAt) - Date.now()));
+    return () => clearTimeout(timeout);
+  }, [nextAnalysisAt]);
 
   useEffect(() => {
+    setRedactionLevel(storageUtils.getPrivacySettings().redactionLevel);
+
     const loadEntries = () => {
       const savedEntries = storageUtils.getJournalEntries();
       setJournalEntries(savedEntries);
@@ -234,48 +313,23 @@ export default function Analytics() {
 
     // Load stored analysis data and history if available
     const loadStoredAnalysis = () => {
-      try {
-        // Load current analysis
-        const storedAnalysis = localStorage.getItem('journalAnalysis');
-        if (storedAnalysis) {
-          try {
-            const parsedAnalysis = JSON.parse(storedAnalysis);
-            setAnalysis(parsedAnalysis);
-            setLastUpdateTime(new Date().toISOString());
-          } catch (e) {
-            console.error('Error parsing current analysis:', e);
-            localStorage.removeItem('journalAnalysis'); // Clear invalid data
-          }
-        }
-
-        // Load and validate history
-        const storedHistory = localStorage.getItem('journalAnalysisHistory');
-        if (storedHistory) {
-          try {
-            const history = JSON.parse(storedHistory);
-            if (Array.isArray(history)) {
-              setAnalysisHistory(history);
-            } else {
-              console.error('Invalid history format');
-              localStorage.removeItem('journalAnalysisHistory');
-              setAnalysisHistory([]);
-            }
-          } catch (e) {
-            console.error('Error parsing analysis history:', e);
-            localStorage.removeItem('journalAnalysisHistory');
-            setAnalysisHistory([]);
-          }
-        } else {
-          setAnalysisHistory([]);
-        }
-      } catch (error) {
-        console.error('Error loading stored analysis:', error);
-        setAnalysisHistory([]);
+      const storedAnalysis = storageUtils.getAnalysis();
+      if (storedAnalysis) {
+        setAnalysis(storedAnalysis);
+        setLastUpdateTime(new Date().toISOString());
       }
+      setAnalysisHistory(storageUtils.getAnalysisHistory());
+    };
+
+    // Meals and imported metrics are charted next to journal values
+    const loadDailyData = () => {
+      setMeals(storageUtils.getNutritionData().meals);
+      setDailyMetrics(storageUtils.getDailyMetrics());
     };
 
     loadEntries();
     loadStoredAnalysis();
+    loadDailyData();
     
     // Listen for storage changes
     const handleStorageChange = (e) => {
@@ -283,6 +337,8 @@ export default function Analytics() {
         loadStoredAnalysis();
       } else if (e.key === 'journalEntries') {
         loadEntries();
+      } else if (e.key === 'nutritionData' || e.key === 'dailyMetrics') {
+        loadDailyData();
       }
     };
 
@@ -290,65 +346,94 @@ export default function Analytics() {
     return () => window.removeEventListener('storage', handleStorageChange);
   }, []);
 
+  const handleRedactionChange = (level) => {
+    setRedactionLevel(level);
+    storageUtils.savePrivacySettings({ ...storageUtils.getPrivacySettings(), redactionLevel: level });
+  };
+
   const handleAnalyze = async () => {
     if (!journalEntries.length) return;
 
     setIsAnalyzing(true);
     setError(null);
     setLoading(true);
+    setProgress(null);
 
     try {
-      const entriesToAnalyze = journalEntries.slice(0, entriesCount);
+      const entriesToAnalyze = selectEntries(journalEntries, entriesCount, customRange);
+      if (entriesToAnalyze.length === 0) {
+        setError('No journal entries found in the selected range.');
+        return;
+      }
       
-      const response = await fetch('/api/analyze', {
+      // Personal details are replaced before the entries leave the browser
+      const redactor = createRedactor(redactionLevel);
+      const response = await fetch('/api/analyze/stream', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ entries: entriesToAnalyze })
+        body: JSON.stringify({ entries: redactEntries(entriesToAnalyze, redactor) })
       });
 
       if (!response.ok) {
         const data = await response.json();
         console.error('Analysis error:', data);
+        if (response.status === 429 && data.retryAt) {
+          setNextAnalysisAt(data.retryAt);
+          setError(`${data.error}. Next analysis available ${formatRetryTime(data.retryAt)}.`);
+          return;
+        }
+        if (response.status === 413) {
+          setError(`${data.error} Choose a custom range to analyze part of your history.`);
+          return;
+        }
         setError(data.error || 'Failed to analyze entries. Please try again.');
         return;
       }
 
-      const analysisData = await response.json();
-      
-      if (!analysisData.metrics) {
+      let analysisData = null;
+      let streamError = null;
+
+      await readEventStream(response, (event, data) => {
+        if (event === 'progress') {
+          setProgress(prev => ({
+            ...data,
+            // Keep partial insights until a retry starts over
+            insights: data.insights
+              ? redactor.restore(data.insights)
+              : data.phase === 'model-started' && data.attempt > 1 ? [] : prev?.insights || []
+          }));
+        } else if (event === 'result') {
+          analysisData = redactor.restore(data);
+        } else if (event === 'error') {
+          streamError = data.error;
+        }
+      });
+
+      if (streamError) {
+        setError(streamError);
+        return;
+      }
+
+      if (!analysisData?.metrics) {
         setError('No valid analysis results obtained. Please try again.');
         return;
       }
 
-      // Add timestamp to analysis data
-      const timestamp = new Date().toISOString();
-      const analysisWithTimestamp = {
+      // Store current analysis and add it to history, with the days it
+      // covers so measured sleep and exercise can be matched to it
+      const days = entriesToAnalyze.map(entry => toDateKey(entry.date || entry.timestamp)).sort();
+      const analysisWithTimestamp = storageUtils.saveAnalysis({
         ...analysisData,
-        timestamp
-      };
+        period: { start: days[0], end: days[days.length - 1] }
+      });
+      if (!analysisWithTimestamp) {
+        throw new Error('Failed to save analysis');
+      }
 
       // Update current analysis
       setAnalysis(analysisWithTimestamp);
-      setLastUpdateTime(timestamp);
-      
-      // Store current analysis
-      localStorage.setItem('journalAnalysis', JSON.stringify(analysisWithTimestamp));
-
-      // Initialize or update history
-      const storedHistory = localStorage.getItem('journalAnalysisHistory');
-      const currentHistory = storedHistory && storedHistory !== 'undefined' 
-        ? JSON.parse(storedHistory) 
-        : [];
-
-      // Ensure currentHistory is an array
-      const historyArray = Array.isArray(currentHistory) ? currentHistory : [];
-      
-      // Add new analysis to history
-      const updatedHistory = [analysisWithTimestamp, ...historyArray].slice(0, 30);
-      
-      // Store updated history
-      localStorage.setItem('journalAnalysisHistory', JSON.stringify(updatedHistory));
-      setAnalysisHistory(updatedHistory);
+      setLastUpdateTime(analysisWithTimestamp.timestamp);
+      setAnalysisHistory(storageUtils.getAnalysisHistory());
 
     } catch (error) {
       console.error('Analysis error:', error);
@@ -356,6 +441,7 @@ export default function Analytics() {
     } finally {
       setIsAnalyzing(false);
       setLoading(false);
+      setProgress(null);
     }
   };
 
@@ -376,7 +462,10 @@ export default function Analytics() {
           <div className="flex items-center gap-4">
             <select
               value={entriesCount}
-              onChange={(e) => setEntriesCount(Number(e.target.value))}
+              onChange={(e) => {
+                const value = e.target.value;
+                setEntriesCount(value === 'all' || value === 'custom' ? value : Number(value));
+              }}
               className="text-sm border-gray-200 rounded-lg shadow-sm focus:ring-2 focus:ring-violet-500 focus:border-violet-500 p-2"
               disabled={isAnalyzing || journalEntries.length === 0}
             >
@@ -384,13 +473,48 @@ export default function Analytics() {
               <option value={7}>Last 7 entries</option>
               <option value={14}>Last 14 entries</option>
               <option value={30}>Last 30 entries</option>
+              <option value="all">All entries</option>
+              <option value="custom">Custom range</option>
+            </select>
+
+            {entriesCount === 'custom' && (
+              <div className="flex items-center gap-2">
+                <input
+                  type="date"
+                  value={customRange.start}
+                  onChange={(e) => setCustomRange({ ...customRange, start: e.target.value })}
+                  className="text-sm border-gray-200 rounded-lg shadow-sm focus:ring-2 focus:ring-violet-500 focus:border-violet-500 p-2"
+                  disabled={isAnalyzing}
+                />
+                <span className="text-sm text-gray-500">to</span>
+                <input
+                  type="date"
+                  value={customRange.end}
+                  onChange={(e) => setCustomRange({ ...customRange, end: e.target.value })}
+                  className="text-sm border-gray-200 rounded-lg shadow-sm focus:ring-2 focus:ring-violet-500 focus:border-violet-500 p-2"
+                  disabled={isAnalyzing}
+                />
+              </div>
+            )}
+
+            <select
+              value={redactionLevel}
+              onChange={(e) => handleRedactionChange(e.target.value)}
+              title="Names, contact details, addresses, dates of birth and doctor names are replaced with placeholders before entries are sent for analysis"
+              className="text-sm border-gray-200 rounded-lg shadow-sm focus:ring-2 focus:ring-violet-500 focus:border-violet-500 p-2"
+              disabled={isAnalyzing}
+            >
+              {Object.entries(REDACTION_LEVELS).map(([level, label]) => (
+                <option key={level} value={level}>Redaction: {label}</option>
+              ))}
             </select>
 
             <AnalyzeButton 
               onClick={handleAnalyze}
               isAnalyzing={isAnalyzing}
-              disabled={journalEntries.length === 0}
+              disabled={journalEntries.length === 0 || Boolean(nextAnalysisAt)}
               lastUpdateTime={lastUpdateTime}
+              progressLabel={describeProgress(progress)}
             />
           </div>
         </div>
@@ -401,6 +525,12 @@ export default function Analytics() {
           </div>
         )}
 
+        {analysis?.repairedFields?.length > 0 && !isAnalyzing && (
+          <div className="bg-amber-50 border border-amber-200 text-amber-700 px-4 py-3 rounded-xl mb-6 text-sm">
+            <p>Some fields were missing or invalid in the AI response and were repaired: {analysis.repairedFields.join(', ')}</p>
+          </div>
+        )}
+
         {analysis && !isAnalyzing && (
           <div className="space-y-6">
             {/* Summary Cards */}
@@ -508,7 +638,29 @@ export default function Analytics() {
           <div className="bg-white rounded-xl shadow-sm p-8 text-center">
             <div className="animate-spin h-8 w-8 border-4 border-violet-500 border-t-transparent rounded-full mx-auto mb-4"></div>
             <h2 className="text-lg font-semibold">Analyzing Your Entries</h2>
-            <p className="text-gray-600 mt-2">This may take a moment...</p>
+            <p className="text-gray-600 mt-2">{describeProgress(progress) || 'This may take a moment...'}</p>
+            {progress?.insights?.length > 0 && (
+              <ul className="mt-6 space-y-2 text-left max-w-2xl mx-auto">
+                {progress.insights.map((insight, index) => (
+                  <li key={index} className="flex items-start gap-2 text-sm text-gray-700">
+                    <span className="text-violet-500">•</span>
+                    <span>{insight}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {(journalEntries.length > 0 || dailyMetrics.length > 0) && (
+          <div className="mt-6">
+            <DailyMetricsChart
+              entries={journalEntries}
+              meals={meals}
+              dailyMetrics={dailyMetrics}
+              title="Daily Metrics, Last 30 Days"
+              {...recentRange()}
+            />
           </div>
         )}
       </div>
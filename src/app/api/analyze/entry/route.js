@@ -0,0 +1,40 @@
+import { NextResponse } from 'next/server';
+import { analyzeJournalEntry, estimateEntryTokens } from '@/lib/analyzeJournal';
+import { getLLMProvider, isStubProvider } from '@/lib/llmProvider';
+import { limitAnalysisRequest, recordTokenUsage } from '@/lib/usageLimits';
+
+export async function POST(request) {
+  try {
+    const { entry } = await request.json();
+    const content = typeof entry === 'string' ? entry : entry?.content;
+
+    if (!content || typeof content !== 'string' || !content.trim()) {
+      return NextResponse.json(
+        { error: 'Invalid request: entry content must be a non-empty string' },
+        { status: 400 }
+      );
+    }
+
+    const estimatedTokens = estimateEntryTokens(content);
+    const { clientId, response: limitResponse } = await limitAnalysisRequest(request, {
+      scope: 'entry',
+      entryCount: 1,
+      estimatedTokens
+    });
+    if (limitResponse) return limitResponse;
+
+    const analysis = await analyzeJournalEntry(content);
+    // Only a provider call costs anything: local fallbacks carry no prompt id,
+    // and cached and stub results did not call a model
+    const calledModel = analysis.promptId && !analysis.cached && !isStubProvider(getLLMProvider());
+    await recordTokenUsage(clientId, calledModel ? estimatedTokens : 0, 'entry');
+    return NextResponse.json(analysis);
+
+  } catch (error) {
+    console.error('Entry analysis error:', error);
+    return NextResponse.json(
+      { error: 'Failed to analyze entry' },
+      { status: 500 }
+    );
+  }
+}
@@ -1,10 +1,10 @@
 import { NextResponse } from 'next/server';
-import OpenAI from 'openai';
-export const runtime = 'edge';
+import { runBatchAnalysis, formatAnalysisResponse, estimateAnalysisTokens } from '@/lib/batchAnalysis';
+import { createTokenMeter } from '@/lib/analysisPlanner';
+import { limitAnalysisRequest, recordTokenUsage } from '@/lib/usageLimits';
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// Node runtime so the file and MongoDB analysis caches are available
+export const runtime = 'nodejs';
 
 export async function POST(request) {
   try {
@@ -17,97 +17,31 @@ export async function POST(request) {
       );
     }
 
-    const prompt = `Analyze this array of journal entries and return ONLY a valid JSON object:
-${JSON.stringify(entries, null, 2)}
-
-Required JSON structure (return EXACTLY this structure):
-{
-  "metrics": {
-    "sleep": {
-      "average": number,
-      "quality": number,
-      "trend": string
-    },
-    "mentalHealth": {
-      "averageScore": number,
-      "predominantMood": string,
-      "stressLevel": string,
-      "trend": string
-    },
-    "exercise": {
-      "average": number,
-      "trend": string
-    }
-  },
-  "insights": [
-    string,
-    string,
-    string
-  ],
-  "recommendations": [
-    string,
-    string,
-    string
-  ]
-}
-
-Analysis rules:
-1. Sleep score (0-100): Based on deviation from ideal 8 hours (subtract 12.5 points per hour deviation)
-2. Mental health score (0-100): Based on mood, stress, and symptoms
-3. Provide exactly 3 specific insights
-4. Provide exactly 3 actionable recommendations
-5. Calculate trends as "improving", "stable", or "declining" based on last 3 entries
-6. Round all numbers to 1 decimal place
-7. DO NOT include any text or explanation, ONLY the JSON object
-8. DO NOT add any additional fields to the JSON structure`;
-
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o",
-      messages: [
-        {
-          role: "system",
-          content: "You are a health analytics expert. You MUST respond with ONLY a valid JSON object matching the EXACT structure specified. Do not include any other text, markdown, or explanation."
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      temperature: 0.7,
-      response_format: { type: "json_object" }
+    const estimatedTokens = estimateAnalysisTokens(entries);
+    const { clientId, response: limitResponse } = await limitAnalysisRequest(request, {
+      entryCount: entries.length,
+      estimatedTokens
     });
+    if (limitResponse) return limitResponse;
 
-    let content = completion.choices[0].message.content;
-    if (!content) {
-      return NextResponse.json(
-        { error: 'Empty response from analysis' },
-        { status: 500 }
-      );
+    const meter = createTokenMeter();
+    let result;
+    try {
+      result = await runBatchAnalysis(entries, { meter });
+    } finally {
+      // Every call made counts, re-prompts and failed runs included
+      await recordTokenUsage(clientId, meter.total);
     }
 
-    content = content.trim();
-    console.log('Raw content:', content); // Debug log
-    
-    try {
-      const analysis = JSON.parse(content);
-      
-      // Validate the required structure
-      if (!analysis.metrics?.sleep || !analysis.insights || !analysis.recommendations) {
-        return NextResponse.json(
-          { error: 'Invalid analysis structure' },
-          { status: 500 }
-        );
-      }
-      
-      return NextResponse.json(analysis);
-    } catch (jsonError) {
-      console.error('JSON parsing error:', jsonError, 'Content:', content);
+    if (!result) {
       return NextResponse.json(
         { error: 'Failed to parse analysis response' },
         { status: 500 }
       );
     }
 
+    return NextResponse.json(formatAnalysisResponse(result));
+
   } catch (error) {
     console.error('Analysis error:', error);
     return NextResponse.json(
@@ -115,4 +49,4 @@ Analysis rules:
       { status: 500 }
     );
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,76 @@
+import { NextResponse } from 'next/server';
+import { runBatchAnalysis, formatAnalysisResponse, estimateAnalysisTokens } from '@/lib/batchAnalysis';
+import { createTokenMeter } from '@/lib/analysisPlanner';
+import { limitAnalysisRequest, recordTokenUsage } from '@/lib/usageLimits';
+
+// Node runtime so the file and MongoDB analysis caches are available
+export const runtime = 'nodejs';
+
+// Format one Server-Sent Event
+const encodeEvent = (encoder, event, data) =>
+  encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+export async function POST(request) {
+  let entries;
+  try {
+    ({ entries } = await request.json());
+  } catch {
+    entries = null;
+  }
+
+  if (!entries || !Array.isArray(entries)) {
+    return NextResponse.json(
+      { error: 'Invalid request: entries must be an array' },
+      { status: 400 }
+    );
+  }
+
+  const estimatedTokens = estimateAnalysisTokens(entries);
+  const { clientId, response: limitResponse } = await limitAnalysisRequest(request, {
+    entryCount: entries.length,
+    estimatedTokens
+  });
+  if (limitResponse) return limitResponse;
+
+  const encoder = new TextEncoder();
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      const send = (event, data) => controller.enqueue(encodeEvent(encoder, event, data));
+
+      try {
+        const meter = createTokenMeter();
+        let result;
+        try {
+          result = await runBatchAnalysis(entries, {
+            stream: true,
+            onProgress: (progress) => send('progress', progress),
+            meter
+          });
+        } finally {
+          // Every call made counts, re-prompts and failed runs included
+          await recordTokenUsage(clientId, meter.total);
+        }
+
+        if (!result) {
+          send('error', { error: 'Failed to parse analysis response' });
+        } else {
+          send('result', formatAnalysisResponse(result));
+        }
+      } catch (error) {
+        console.error('Analysis error:', error);
+        send('error', { error: 'Failed to analyze entries' });
+      } finally {
+        controller.close();
+      }
+    }
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive'
+    }
+  });
+}
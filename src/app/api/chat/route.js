@@ -0,0 +1,68 @@
+import { NextResponse } from 'next/server';
+import { getLLMProvider } from '@/lib/llmProvider';
+import {
+  answerMetricQuestion,
+  retrieveEntries,
+  answerFromSources,
+  estimateChatTokens,
+  estimateQuestionTokens,
+  MAX_SOURCES
+} from '@/lib/journalChat';
+import { limitAnalysisRequest, recordTokenUsage } from '@/lib/usageLimits';
+
+export async function POST(request) {
+  try {
+    const { question, entries } = await request.json();
+
+    if (typeof question !== 'string' || !question.trim()) {
+      return NextResponse.json(
+        { error: 'Invalid request: question must be a non-empty string' },
+        { status: 400 }
+      );
+    }
+
+    if (!Array.isArray(entries)) {
+      return NextResponse.json(
+        { error: 'Invalid request: entries must be an array' },
+        { status: 400 }
+      );
+    }
+
+    // Numeric questions are answered from local extraction, without the model
+    const metricAnswer = answerMetricQuestion(question, entries);
+    if (metricAnswer) {
+      return NextResponse.json(metricAnswer);
+    }
+
+    // Limits are checked before retrieval, which may embed every entry. Only
+    // the retrieved sources reach the model, so the entry cap counts those.
+    const provider = getLLMProvider();
+    const { clientId, response: limitResponse } = await limitAnalysisRequest(request, {
+      scope: 'chat',
+      entryCount: Math.min(entries.length, MAX_SOURCES),
+      estimatedTokens: estimateQuestionTokens(question, entries, provider)
+    });
+    if (limitResponse) return limitResponse;
+
+    const { sources, embeddingTokens } = await retrieveEntries(question, entries, provider);
+    if (sources.length === 0) {
+      await recordTokenUsage(clientId, embeddingTokens, 'chat');
+      return NextResponse.json({
+        answer: 'None of your journal entries seem related to this question. Try asking with different words.',
+        citations: [],
+        method: 'search'
+      });
+    }
+
+    const answer = await answerFromSources(provider, question, sources);
+    await recordTokenUsage(clientId, embeddingTokens + estimateChatTokens(question, sources), 'chat');
+    return NextResponse.json(answer);
+
+  } catch (error) {
+    console.error('Journal chat error:', error);
+    return NextResponse.json(
+      { error: 'Failed to answer question' },
+      { status: 500 }
+    );
+  }
+}
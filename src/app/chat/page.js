@@ -0,0 +1,200 @@
+// src/app/chat/page.js
+'use client';
+import { useState, useEffect, useRef } from 'react';
+import { MessageCircle, Send, Calculator, BookOpen } from 'lucide-react';
+import { storageUtils } from '@/utils/storage';
+import { createRedactor, redactEntries } from '@/utils/redaction';
+
+const SUGGESTED_QUESTIONS = [
+  'When did my headaches start?',
+  'How many hours did I sleep on average last week?',
+  'How many minutes did I exercise this month?',
+  'What did I do on days I slept well?'
+];
+
+const formatCitationDate = (date) => {
+  const parsed = new Date(date);
+  return isNaN(parsed.getTime()) ? 'Undated entry' : parsed.toLocaleDateString();
+};
+
+function Citations({ citations }) {
+  if (!citations?.length) return null;
+
+  return (
+    <div className="mt-3 space-y-2">
+      {citations.map(citation => (
+        <div key={`${citation.number}-${citation.id}`} className="text-xs bg-white border border-gray-200 rounded-lg p-2">
+          <span className="font-medium text-violet-700 mr-2">[{citation.number}] {formatCitationDate(citation.date)}</span>
+          <span className="text-gray-600">{citation.excerpt}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default function Chat() {
+  const [journalEntries, setJournalEntries] = useState([]);
+  const [messages, setMessages] = useState([]);
+  const [question, setQuestion] = useState('');
+  const [isAsking, setIsAsking] = useState(false);
+  const [error, setError] = useState(null);
+  const messagesEndRef = useRef(null);
+
+  useEffect(() => {
+    setJournalEntries(storageUtils.getJournalEntries());
+
+    const handleStorageChange = (e) => {
+      if (e.key === 'journalEntries') {
+        setJournalEntries(storageUtils.getJournalEntries());
+      }
+    };
+
+    window.addEventListener('storage', handleStorageChange);
+    return () => window.removeEventListener('storage', handleStorageChange);
+  }, []);
+
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [messages]);
+
+  const askQuestion = async (text) => {
+    const trimmed = text.trim();
+    if (!trimmed || isAsking) return;
+
+    setMessages(prev => [...prev, { role: 'user', content: trimmed }]);
+    setQuestion('');
+    setIsAsking(true);
+    setError(null);
+
+    // Same redaction as analysis: personal details never leave the browser
+    const redactor = createRedactor(storageUtils.getPrivacySettings().redactionLevel);
+
+    try {
+      const response = await fetch('/api/chat', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          question: redactor.redact(trimmed),
+          entries: redactEntries(journalEntries, redactor)
+        })
+      });
+
+      const data = redactor.restore(await response.json());
+
+      if (!response.ok) {
+        setError(response.status === 429 && data.retryAt
+          ? `${data.error}. You can ask again at ${new Date(data.retryAt).toLocaleTimeString()}.`
+          : data.error || 'Failed to answer your question. Please try again.');
+        return;
+      }
+
+      setMessages(prev => [...prev, {
+        role: 'assistant',
+        content: data.answer,
+        citations: data.citations,
+        method: data.method
+      }]);
+    } catch (error) {
+      console.error('Journal chat error:', error);
+      setError('Failed to answer your question. Please try again.');
+    } finally {
+      setIsAsking(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    askQuestion(question);
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-3xl mx-auto px-4 py-6">
+        <div className="mb-6">
+          <h1 className="text-xl font-semibold flex items-center gap-2">
+            <MessageCircle className="h-5 w-5 text-violet-600" />
+            Ask Your Journal
+          </h1>
+          <p className="text-sm text-gray-500 mt-1">
+            {journalEntries.length === 0
+              ? 'Start by adding entries in your journal'
+              : `Answers are based on your ${journalEntries.length} journal entries, with the entries they come from`}
+          </p>
+        </div>
+
+        <div className="bg-white rounded-xl shadow-sm p-4 mb-4 min-h-[24rem] space-y-4">
+          {messages.length === 0 && (
+            <div className="space-y-2">
+              <p className="text-sm text-gray-500">Try asking:</p>
+              {SUGGESTED_QUESTIONS.map(suggestion => (
+                <button
+                  key={suggestion}
+                  onClick={() => askQuestion(suggestion)}
+                  disabled={journalEntries.length === 0 || isAsking}
+                  className="block text-left text-sm px-3 py-2 rounded-lg bg-violet-50 text-violet-700 hover:bg-violet-100 disabled:opacity-50"
+                >
+                  {suggestion}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {messages.map((message, index) => (
+            <div key={index} className={message.role === 'user' ? 'flex justify-end' : 'flex justify-start'}>
+              <div className={`max-w-[85%] rounded-xl px-4 py-3 text-sm ${
+                message.role === 'user' ? 'bg-violet-600 text-white' : 'bg-gray-50 text-gray-800'
+              }`}>
+                <p className="whitespace-pre-wrap">{message.content}</p>
+                {message.role === 'assistant' && (
+                  <>
+                    <p className="mt-2 flex items-center gap-1 text-xs text-gray-400">
+                      {message.method === 'metrics' ? (
+                        <><Calculator className="h-3 w-3" /> Calculated from your entries</>
+                      ) : (
+                        <><BookOpen className="h-3 w-3" /> Answered from the entries below</>
+                      )}
+                    </p>
+                    <Citations citations={message.citations} />
+                  </>
+                )}
+              </div>
+            </div>
+          ))}
+
+          {isAsking && (
+            <div className="flex items-center gap-2 text-sm text-gray-400">
+              <div className="animate-spin h-4 w-4 border-2 border-current border-t-transparent rounded-full"></div>
+              Searching your journal...
+            </div>
+          )}
+          <div ref={messagesEndRef} />
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-xl mb-4 text-sm">
+            <p>{error}</p>
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="flex gap-2">
+          <input
+            type="text"
+            value={question}
+            onChange={(e) => setQuestion(e.target.value)}
+            placeholder="Ask about your sleep, exercise, mood or symptoms..."
+            disabled={journalEntries.length === 0}
+            className="flex-1 text-sm border-gray-200 rounded-lg shadow-sm focus:ring-2 focus:ring-violet-500 focus:border-violet-500 p-3"
+          />
+          <button
+            type="submit"
+            disabled={!question.trim() || isAsking || journalEntries.length === 0}
+            className="px-4 py-2 bg-violet-600 text-white rounded-lg text-sm font-medium hover:bg-violet-700 transition-colors flex items-center gap-2 disabled:opacity-50"
+          >
+            <Send className="h-4 w-4" />
+            Ask
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,6 @@
 // src/app/dashboard/page.js
 'use client';
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { 
   Clock, 
   Brain,
@@ -11,7 +11,11 @@ import {
   ChevronDown
 } from 'lucide-react';
 import { storageUtils } from '@/utils/storage';
+import { createRedactor, redactEntries } from '@/utils/redaction';
+import { createEntrySearch, splitHighlights } from '@/lib/entrySearch';
+import EntryAnalysisSummary from '@/components/dashboard/EntryAnalysisSummary';
 import { getConsistentNow, getConsistentISOString } from '../../utils/dateUtils';
+import { analysisPeriod, preferMeasuredMetrics } from '@/utils/dailyMetrics';
 
 export default function Dashboard() {
   const [journalEntry, setJournalEntry] = useState('');
@@ -23,6 +27,7 @@ export default function Dashboard() {
   const [goalsData, setGoalsData] = useState({ goals: [], habits: [] });
   const [nutritionData, setNutritionData] = useState({ meals: [], waterIntake: 0 });
   const [showAllEntries, setShowAllEntries] = useState(false);
+  const [analyzingEntryIds, setAnalyzingEntryIds] = useState([]);
 
   useEffect(() => {
     const savedEntries = storageUtils.getJournalEntries();
@@ -35,8 +40,7 @@ export default function Dashboard() {
     setNutritionData(savedNutritionData);
     
     const calculateHealthScore = () => {
-      const savedAnalysis = localStorage.getItem('journalAnalysis');
-      const parsedAnalysis = savedAnalysis ? JSON.parse(savedAnalysis) : null;
+      const parsedAnalysis = storageUtils.getAnalysis();
       if (parsedAnalysis) {
         setAnalysis(parsedAnalysis);
         setLastUpdateTime(parsedAnalysis.timestamp);
@@ -54,8 +58,11 @@ export default function Dashboard() {
                 lastChecked.toDateString() === yesterday.toDateString());
       }).length;
 
-      // Get latest analysis metrics
-      const metrics = parsedAnalysis?.metrics || {};
+      // Get latest analysis metrics, with sleep and exercise from imported
+      // device data for the days it covers when there is any
+      const metrics = parsedAnalysis
+        ? preferMeasuredMetrics(parsedAnalysis.metrics, storageUtils.getDailyMetrics(), analysisPeriod(parsedAnalysis))
+        : {};
       
       // Calculate weighted health score
       const weights = {
@@ -104,21 +111,18 @@ export default function Dashboard() {
       };
 
       setHealthScore(score);
-      localStorage.setItem('healthScore', JSON.stringify(score));
     };
 
     calculateHealthScore();
 
     const handleStorageChange = (e) => {
       if (e.key === 'goalsData') {
-        const newGoalsData = e.newValue ? JSON.parse(e.newValue) : { goals: [], habits: [] };
-        setGoalsData(newGoalsData);
+        setGoalsData(storageUtils.getGoalsData());
         calculateHealthScore(); 
       } else if (e.key === 'nutritionData') {
-        const newNutritionData = e.newValue ? JSON.parse(e.newValue) : { meals: [], waterIntake: 0 };
-        setNutritionData(newNutritionData);
+        setNutritionData(storageUtils.getNutritionData());
         calculateHealthScore(); 
-      } else if (e.key === 'journalAnalysis') {
+      } else if (e.key === 'journalAnalysis' || e.key === 'dailyMetrics') {
         calculateHealthScore(); 
       }
     };
@@ -140,10 +144,43 @@ export default function Dashboard() {
     if (updatedEntries) {
       setJournalEntries(updatedEntries);
       setJournalEntry('');
+      analyzeEntry(newEntry);
+    }
+  };
+
+  // Analyze a single entry and store the result with it
+  const analyzeEntry = async (entry) => {
+    setAnalyzingEntryIds(prev => [...prev, entry.id]);
+    const redactor = createRedactor(storageUtils.getPrivacySettings().redactionLevel);
+
+    try {
+      const response = await fetch('/api/analyze/entry', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ entry: redactor.redact(entry.content) }),
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to analyze journal entry');
+      }
+
+      const result = redactor.restore(await response.json());
+      const updatedEntries = storageUtils.updateJournalEntry(entry.id, { analysis: result });
+      if (updatedEntries) {
+        setJournalEntries(updatedEntries);
+      }
+    } catch (error) {
+      console.error('Error analyzing journal entry:', error);
+    } finally {
+      setAnalyzingEntryIds(prev => prev.filter(id => id !== entry.id));
     }
   };
 
   const handleAnalyzeReport = async () => {
+    const redactor = createRedactor(storageUtils.getPrivacySettings().redactionLevel);
+
     try {
       const response = await fetch('/api/analyze', {
         method: 'POST',
@@ -151,25 +188,29 @@ export default function Dashboard() {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          entries: journalEntries,
+          entries: redactEntries(journalEntries, redactor),
           type: 'batch'
         }),
       });
 
+      if (response.status === 429) {
+        const data = await response.json();
+        alert(`${data.error}. Next analysis available at ${new Date(data.retryAt).toLocaleString()}.`);
+        return;
+      }
+
+      // e.g. 413 when there are more entries than the server accepts
       if (!response.ok) {
-        throw new Error('Failed to analyze journal entries');
+        const data = await response.json().catch(() => ({}));
+        alert(data.error || 'Failed to analyze journal entries. Please try again.');
+        return;
       }
 
-      const analysisData = await response.json();
-      const timestamp = new Date().toISOString();
-      
-      localStorage.setItem('journalAnalysis', JSON.stringify({
-        ...analysisData,
-        timestamp
-      }));
+      const analysisData = redactor.restore(await response.json());
+      const saved = storageUtils.saveLatestAnalysis(analysisData);
 
       setAnalysis(analysisData);
-      setLastUpdateTime(timestamp);
+      setLastUpdateTime(saved ? saved.timestamp : new Date().toISOString());
       
     } catch (error) {
       console.error('Error analyzing journal entries:', error);
@@ -177,9 +218,12 @@ export default function Dashboard() {
     }
   };
 
-  const filteredEntries = journalEntries.filter(entry =>
-    entry.content.toLowerCase().includes(searchQuery.toLowerCase())
-  );
+  const entrySearch = useMemo(() => createEntrySearch(journalEntries), [journalEntries]);
+
+  // Without a query keep the timeline order; otherwise best matches first
+  const filteredEntries = searchQuery.trim()
+    ? entrySearch.search(searchQuery)
+    : journalEntries.map(entry => ({ entry, highlights: [] }));
 
   const displayedEntries = showAllEntries ? filteredEntries : filteredEntries.slice(0, 3);
 
@@ -341,6 +385,7 @@ export default function Dashboard() {
                 <input
                   type="text"
                   placeholder="Search entries..."
+                  title='Words also match similar words ("tired" finds "exhausted"). Filters: sleep < 6, exercise >= 30, mood:negative, stress:high, symptom:headache, from:2024-01-01, to:2024-01-31, last week'
                   value={searchQuery}
                   onChange={(e) => setSearchQuery(e.target.value)}
                   className="pl-9 pr-4 py-2 border border-gray-200 rounded-lg text-sm focus:ring-2 focus:ring-violet-500 focus:border-violet-500"
@@ -351,7 +396,7 @@ export default function Dashboard() {
             <div className="overflow-y-auto max-h-[500px] pr-2 -mr-2">
               {filteredEntries.length > 0 ? (
                 <div className="space-y-4">
-                  {displayedEntries.map((entry) => (
+                  {displayedEntries.map(({ entry, highlights }) => (
                     <div 
                       key={entry.id} 
                       className="border-l-2 border-violet-500 pl-4 py-2 hover:bg-gray-50 rounded-r-lg transition-colors"
@@ -366,7 +411,17 @@ export default function Dashboard() {
                           minute: '2-digit'
                         })}
                       </p>
-                      <p className="mt-2 text-gray-700">{entry.content}</p>
+                      <p className="mt-2 text-gray-700">
+                        {splitHighlights(entry.content, highlights).map((part, index) => (
+                          part.highlighted
+                            ? <mark key={index} className="bg-violet-100 text-violet-900 rounded px-0.5">{part.text}</mark>
+                            : <span key={index}>{part.text}</span>
+                        ))}
+                      </p>
+                      <EntryAnalysisSummary
+                        result={entry.analysis}
+                        isAnalyzing={analyzingEntryIds.includes(entry.id)}
+                      />
                     </div>
                   ))}
                   {filteredEntries.length > 3 && (
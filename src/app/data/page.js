@@ -0,0 +1,389 @@
+// src/app/data/page.js
+'use client';
+import { useMemo, useState } from 'react';
+import { Database, Download, Upload, AlertTriangle, Stethoscope, Heart } from 'lucide-react';
+import { storageUtils } from '@/utils/storage';
+import { createArchive, archiveFileName, readArchive, previewArchive, importArchive } from '@/utils/dataArchive';
+import { createFhirBundle, fhirFileName } from '@/utils/fhirExport';
+import { validateFhirBundle } from '@/utils/fhirValidation';
+import { parseAppleHealthExport } from '@/utils/appleHealthImport';
+import { DAILY_METRIC_LABELS, mergeDailyMetrics, summarizeDailyMetrics } from '@/utils/dailyMetrics';
+import { downloadFile } from '@/utils/downloadFile';
+import { WearableImport } from '@/components/data/WearableImport';
+
+const COLLECTION_LABELS = {
+  journalEntries: 'Journal entries',
+  meals: 'Meals',
+  goals: 'Goals',
+  habits: 'Habits',
+  analysisHistory: 'Analyses',
+  dailyMetrics: 'Daily metrics'
+};
+
+const formatDay = (value) => new Date(`${value}T00:00:00`).toLocaleDateString();
+
+const collectionLabel = (name) => COLLECTION_LABELS[name] || name;
+
+export default function DataPage() {
+  const [pendingImport, setPendingImport] = useState(null);
+  const [importMode, setImportMode] = useState('merge');
+  const [message, setMessage] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+  const [healthImport, setHealthImport] = useState(null);
+  const [healthProgress, setHealthProgress] = useState(null);
+
+  const handleExport = async () => {
+    setMessage(null);
+    setIsWorking(true);
+    try {
+      const archive = await createArchive();
+      downloadFile(JSON.stringify(archive, null, 2), archiveFileName(archive), 'application/json');
+    } catch (error) {
+      console.error('Error exporting data:', error);
+      setMessage({ type: 'error', text: 'Failed to export your data' });
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleFhirExport = () => {
+    setMessage(null);
+    try {
+      const bundle = createFhirBundle({
+        entries: storageUtils.getJournalEntries(),
+        meals: storageUtils.getNutritionData().meals
+      });
+      const issues = validateFhirBundle(bundle);
+      if (issues.length > 0) {
+        console.error('FHIR validation issues:', issues);
+        setMessage({ type: 'error', text: `The export did not pass FHIR R4 validation: ${issues[0].path} ${issues[0].message}` });
+        return;
+      }
+      downloadFile(JSON.stringify(bundle, null, 2), fhirFileName(bundle), 'application/fhir+json');
+      setMessage({ type: 'success', text: `Exported ${bundle.entry.length} FHIR resources` });
+    } catch (error) {
+      console.error('Error exporting FHIR bundle:', error);
+      setMessage({ type: 'error', text: 'Failed to export your data for clinical systems' });
+    }
+  };
+
+  const handleHealthFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setMessage(null);
+    setHealthImport(null);
+    setIsWorking(true);
+    setHealthProgress(0);
+    try {
+      const { records } = await parseAppleHealthExport(file, { onProgress: setHealthProgress });
+      if (records.length === 0) {
+        setMessage({ type: 'error', text: 'No sleep, workout, step, heart rate, body mass or dietary energy data found in the export' });
+        return;
+      }
+      const { added, updated, unchanged } = mergeDailyMetrics(storageUtils.getDailyMetrics(), records);
+      setHealthImport({ fileName: file.name, records, added, updated, unchanged, summary: summarizeDailyMetrics(records) });
+    } catch (error) {
+      console.error('Error reading Apple Health export:', error);
+      setMessage({ type: 'error', text: error.message || 'Failed to read the Apple Health export' });
+    } finally {
+      setIsWorking(false);
+      setHealthProgress(null);
+    }
+  };
+
+  const handleHealthImport = () => {
+    const { records } = mergeDailyMetrics(storageUtils.getDailyMetrics(), healthImport.records);
+    if (storageUtils.saveDailyMetrics(records)) {
+      setMessage({ type: 'success', text: `Imported Apple Health data for ${healthImport.summary.days} days` });
+      setHealthImport(null);
+    } else {
+      setMessage({ type: 'error', text: 'Failed to save the Apple Health data' });
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setMessage(null);
+    setPendingImport(null);
+    setIsWorking(true);
+    try {
+      setPendingImport({ fileName: file.name, ...(await readArchive(await file.text())) });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleImport = () => {
+    if (!pendingImport) return;
+    if (importMode === 'replace' && !window.confirm(
+      'Replace all journal entries, meals, goals, habits and analyses on this device with the backup?'
+    )) return;
+
+    try {
+      const { counts } = importArchive(pendingImport.archive, importMode);
+      const added = Object.values(counts).reduce((sum, count) => sum + count.added, 0);
+      setMessage({
+        type: 'success',
+        text: importMode === 'replace'
+          ? `Restored ${added} records from the backup`
+          : `Added ${added} new records from the backup`
+      });
+      setPendingImport(null);
+    } catch (error) {
+      console.error('Error importing data:', error);
+      setMessage({ type: 'error', text: error.message || 'Failed to import the backup' });
+    }
+  };
+
+  // Counted again when the mode changes, since a replace adds and removes
+  // different records than a merge
+  const preview = useMemo(
+    () => (pendingImport ? previewArchive(pendingImport.archive, importMode) : null),
+    [pendingImport, importMode]
+  );
+  const isReplace = importMode === 'replace';
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-3xl mx-auto px-4 py-6 space-y-6">
+        <div>
+          <h1 className="text-2xl font-semibold flex items-center gap-2">
+            <Database className="h-6 w-6 text-violet-600" />
+            Your Data
+          </h1>
+          <p className="text-sm text-gray-500 mt-1">
+            Back up your journal, import data from health apps, or share it with a clinical system.
+          </p>
+        </div>
+
+        {message && (
+          <div className={`px-4 py-3 rounded-lg text-sm border ${
+            message.type === 'error'
+              ? 'bg-red-50 border-red-200 text-red-700'
+              : 'bg-emerald-50 border-emerald-200 text-emerald-700'
+          }`}>
+            {message.text}
+          </div>
+        )}
+
+        {/* Backup */}
+        <div className="bg-white rounded-xl shadow-sm p-6 space-y-3">
+          <h2 className="font-semibold flex items-center gap-2">
+            <Download className="h-5 w-5 text-violet-600" />
+            Download a backup
+          </h2>
+          <p className="text-sm text-gray-500">
+            A JSON file with your journal entries, analyses, meals, goals, habits and settings. The file is not encrypted, so keep it somewhere safe.
+          </p>
+          <button
+            onClick={handleExport}
+            disabled={isWorking}
+            className="px-4 py-2 bg-violet-600 text-white rounded-lg text-sm font-medium hover:bg-violet-700 transition-colors disabled:opacity-50"
+          >
+            Download backup
+          </button>
+        </div>
+
+        {/* Apple Health */}
+        <div className="bg-white rounded-xl shadow-sm p-6 space-y-4">
+          <h2 className="font-semibold flex items-center gap-2">
+            <Heart className="h-5 w-5 text-violet-600" />
+            Import from Apple Health
+          </h2>
+          <p className="text-sm text-gray-500">
+            In the Health app, tap your profile picture and choose Export All Health Data, then unzip the export and choose the <code>export.xml</code> file inside. Sleep, workouts, steps, heart rate, body mass and dietary energy are added up per day and charted next to your journal on the analytics and reports pages. The file is read on this device.
+          </p>
+          <input
+            type="file"
+            accept=".xml,text/xml,application/xml"
+            onChange={handleHealthFileChange}
+            disabled={isWorking}
+            className="block text-sm text-gray-600 file:mr-3 file:px-4 file:py-2 file:rounded-lg file:border-0 file:bg-violet-50 file:text-violet-700 hover:file:bg-violet-100"
+          />
+
+          {healthProgress !== null && (
+            <div className="space-y-1">
+              <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+                <div className="h-full bg-violet-600 transition-all" style={{ width: `${Math.round(healthProgress * 100)}%` }} />
+              </div>
+              <p className="text-xs text-gray-500">Reading export… {Math.round(healthProgress * 100)}%</p>
+            </div>
+          )}
+
+          {healthImport && (
+            <div className="space-y-4">
+              <p className="text-sm text-gray-600">
+                {healthImport.fileName}: {healthImport.summary.days} days from {formatDay(healthImport.summary.start)} to {formatDay(healthImport.summary.end)}.
+                {' '}{healthImport.added} new, {healthImport.updated} will be updated and {healthImport.unchanged} already imported.
+              </p>
+
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b border-gray-100">
+                    <th className="py-2 font-medium">Measure</th>
+                    <th className="py-2 font-medium text-right">Days with data</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {Object.entries(DAILY_METRIC_LABELS)
+                    .filter(([field]) => healthImport.summary.values[field] > 0)
+                    .map(([field, label]) => (
+                      <tr key={field} className="border-b border-gray-50">
+                        <td className="py-2">{label}</td>
+                        <td className="py-2 text-right">{healthImport.summary.values[field]}</td>
+                      </tr>
+                    ))}
+                </tbody>
+              </table>
+
+              <div className="flex gap-2">
+                <button
+                  onClick={handleHealthImport}
+                  className="px-4 py-2 bg-violet-600 text-white rounded-lg text-sm font-medium hover:bg-violet-700 transition-colors"
+                >
+                  Import
+                </button>
+                <button
+                  onClick={() => setHealthImport(null)}
+                  className="px-4 py-2 border border-gray-200 rounded-lg text-sm text-gray-700 hover:bg-gray-50 transition-colors"
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+
+        <WearableImport onMessage={setMessage} />
+
+        {/* Clinical export */}
+        <div className="bg-white rounded-xl shadow-sm p-6 space-y-3">
+          <h2 className="font-semibold flex items-center gap-2">
+            <Stethoscope className="h-5 w-5 text-violet-600" />
+            Export for clinical systems
+          </h2>
+          <p className="text-sm text-gray-500">
+            A FHIR R4 bundle that health record systems can import: journal entries as documents, sleep, exercise, symptoms and meal calories as observations, and recurring symptoms as unconfirmed conditions. The file is checked against the FHIR R4 structure before it is downloaded.
+          </p>
+          <button
+            onClick={handleFhirExport}
+            disabled={isWorking}
+            className="px-4 py-2 bg-violet-600 text-white rounded-lg text-sm font-medium hover:bg-violet-700 transition-colors disabled:opacity-50"
+          >
+            Download FHIR bundle
+          </button>
+        </div>
+
+        {/* Restore */}
+        <div className="bg-white rounded-xl shadow-sm p-6 space-y-4">
+          <h2 className="font-semibold flex items-center gap-2">
+            <Upload className="h-5 w-5 text-violet-600" />
+            Restore from a backup
+          </h2>
+          <input
+            type="file"
+            accept="application/json,.json"
+            onChange={handleFileChange}
+            disabled={isWorking}
+            className="block text-sm text-gray-600 file:mr-3 file:px-4 file:py-2 file:rounded-lg file:border-0 file:bg-violet-50 file:text-violet-700 hover:file:bg-violet-100"
+          />
+
+          {preview && (
+            <div className="space-y-4">
+              <p className="text-sm text-gray-600">
+                {pendingImport.fileName}, exported {new Date(pendingImport.archive.exportedAt).toLocaleString()}
+              </p>
+
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b border-gray-100">
+                    <th className="py-2 font-medium">Collection</th>
+                    <th className="py-2 font-medium text-right">In backup</th>
+                    <th className="py-2 font-medium text-right">{isReplace ? 'Restored' : 'New'}</th>
+                    <th className="py-2 font-medium text-right">{isReplace ? 'Repeated' : 'Already here'}</th>
+                    <th className="py-2 font-medium text-right">Invalid</th>
+                    {isReplace && <th className="py-2 font-medium text-right">Deleted</th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {Object.entries(preview.counts).map(([name, count]) => (
+                    <tr key={name} className="border-b border-gray-50">
+                      <td className="py-2">{collectionLabel(name)}</td>
+                      <td className="py-2 text-right">{count.total}</td>
+                      <td className="py-2 text-right">{count.added}</td>
+                      <td className="py-2 text-right">{count.duplicates}</td>
+                      <td className={`py-2 text-right ${count.invalid > 0 ? 'text-red-600' : ''}`}>{count.invalid}</td>
+                      {isReplace && (
+                        <td className={`py-2 text-right ${count.removed > 0 ? 'text-red-600' : ''}`}>{count.removed}</td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              {preview.ignored.length > 0 && (
+                <p className="text-xs text-amber-700 flex items-center gap-1">
+                  <AlertTriangle className="h-4 w-4" />
+                  Not supported by this version and will be skipped: {preview.ignored.join(', ')}
+                </p>
+              )}
+
+              <div className="space-y-2 text-sm">
+                <label className="flex items-start gap-2">
+                  <input
+                    type="radio"
+                    name="importMode"
+                    value="merge"
+                    checked={importMode === 'merge'}
+                    onChange={() => setImportMode('merge')}
+                    className="mt-1"
+                  />
+                  <span>
+                    <span className="font-medium">Merge</span>
+                    <span className="text-gray-500"> — add the new records and keep everything already here</span>
+                  </span>
+                </label>
+                <label className="flex items-start gap-2">
+                  <input
+                    type="radio"
+                    name="importMode"
+                    value="replace"
+                    checked={importMode === 'replace'}
+                    onChange={() => setImportMode('replace')}
+                    className="mt-1"
+                  />
+                  <span>
+                    <span className="font-medium">Replace</span>
+                    <span className="text-gray-500"> — delete the data on this device and use the backup instead</span>
+                  </span>
+                </label>
+              </div>
+
+              <div className="flex gap-2">
+                <button
+                  onClick={handleImport}
+                  className="px-4 py-2 bg-violet-600 text-white rounded-lg text-sm font-medium hover:bg-violet-700 transition-colors"
+                >
+                  Import
+                </button>
+                <button
+                  onClick={() => setPendingImport(null)}
+                  className="px-4 py-2 border border-gray-200 rounded-lg text-sm text-gray-700 hover:bg-gray-50 transition-colors"
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
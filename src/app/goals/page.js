@@ -3,7 +3,7 @@
 import { useState, useEffect } from 'react';
 import { Target, Plus, CheckCircle2, Trophy } from 'lucide-react';
 import { storageUtils } from '@/utils/storage';
-import { getConsistentNow, getConsistentISOString, getConsistentDate } from '../../utils/dateUtils';
+import { getConsistentNow, getConsistentISOString, getConsistentDate, toDateKey } from '../../utils/dateUtils';
 
 export default function Goals() {
   const [goals, setGoals] = useState([]);
@@ -66,6 +66,7 @@ export default function Goals() {
       category: selectedCategory,
       streak: 0,
       lastChecked: null,
+      checkIns: [],
       createdAt: getConsistentISOString()
     };
 
@@ -98,7 +99,8 @@ export default function Goals() {
             streak: lastChecked === new Date(getConsistentNow() - 86400000).toDateString() 
               ? habit.streak + 1 
               : 1,
-            lastChecked: getConsistentISOString()
+            lastChecked: getConsistentISOString(),
+            checkIns: [...(habit.checkIns || []), toDateKey(getConsistentDate())]
           };
         }
       }
@@ -4,33 +4,45 @@ import './globals.css'
 import { JournalProvider } from '@/context/JournalContext'
 import Navbar from '@/components/Navbar'
 import Footer from '@/components/Footer'
+import UnlockScreen from '@/components/UnlockScreen'
+import AutoLock from '@/components/AutoLock'
+import StorageErrorBanner from '@/components/StorageErrorBanner'
+import { storageUtils } from '@/utils/storage'
 import { useEffect, useState } from 'react'
 
 const inter = Inter({ subsets: ['latin'] })
 
 export default function RootLayout({ children }) {
-  const [mounted, setMounted] = useState(false);
+  const [storageStatus, setStorageStatus] = useState('loading');
 
   useEffect(() => {
-    setMounted(true);
+    // Pages read storage synchronously, so wait until it has been unlocked
+    // and loaded. Locking unmounts them again.
+    const unsubscribe = storageUtils.onStatusChange(setStorageStatus);
+    storageUtils.ready().then(setStorageStatus);
+    return unsubscribe;
   }, []);
 
   return (
     <html lang="en" suppressHydrationWarning>
       <body className={inter.className} suppressHydrationWarning>
         <div className="min-h-screen bg-white flex flex-col">
-          {mounted ? (
+          {storageStatus === 'unlocked' ? (
             <JournalProvider>
+              <AutoLock />
               <Navbar />
+              <StorageErrorBanner />
               <main className="flex-1">
                 {children}
               </main>
               <Footer />
             </JournalProvider>
-          ) : (
+          ) : storageStatus === 'loading' ? (
             <div className="flex items-center justify-center min-h-screen">
               <div className="animate-pulse text-gray-500">Loading...</div>
             </div>
+          ) : (
+            <UnlockScreen status={storageStatus} />
           )}
         </div>
       </body>
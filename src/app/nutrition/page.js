@@ -1,8 +1,10 @@
 // src/app/nutrition/page.js
 'use client';
 import { useState, useEffect } from 'react';
-import { Apple, Plus, Search, ChevronDown, Calendar, BarChart3 } from 'lucide-react';
+import { Apple, Plus, Search, ChevronDown, Calendar, BarChart3, Upload } from 'lucide-react';
 import { storageUtils } from '@/utils/storage';
+import { formatMacros } from '@/utils/nutritionImport';
+import { NutritionImport } from '@/components/nutrition/NutritionImport';
 
 export default function Nutrition() {
   const [meals, setMeals] = useState([]);
@@ -15,6 +17,8 @@ export default function Nutrition() {
   const [waterIntake, setWaterIntake] = useState(0);
   const [selectedDate, setSelectedDate] = useState(new Date().toISOString().split('T')[0]);
   const [showAddMeal, setShowAddMeal] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [importMessage, setImportMessage] = useState(null);
 
   useEffect(() => {
     // Load nutrition data with timestamps
@@ -61,6 +65,18 @@ export default function Nutrition() {
     setShowAddMeal(false);
   };
 
+  const handleImport = (updatedMeals, result) => {
+    setMeals(updatedMeals);
+    if (storageUtils.saveNutritionData(updatedMeals, waterIntake)) {
+      setImportMessage({ type: 'success', text: `Imported ${result.meals.length} meals from ${result.label}` });
+      // Show the most recent imported day
+      if (result.summary.end) setSelectedDate(result.summary.end);
+      setShowImport(false);
+    } else {
+      setImportMessage({ type: 'error', text: `Failed to save the ${result.label} meals` });
+    }
+  };
+
   const updateWaterIntake = (amount) => {
     const newAmount = Math.max(0, waterIntake + amount);
     setWaterIntake(newAmount);
@@ -107,7 +123,21 @@ export default function Nutrition() {
               />
             </div>
             <button
-              onClick={() => setShowAddMeal(true)}
+              onClick={() => {
+                setImportMessage(null);
+                setShowAddMeal(false);
+                setShowImport(true);
+              }}
+              className="px-4 py-2 border border-gray-200 bg-white text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-50 transition-colors flex items-center gap-2"
+            >
+              <Upload className="h-4 w-4" />
+              Import
+            </button>
+            <button
+              onClick={() => {
+                setShowImport(false);
+                setShowAddMeal(true);
+              }}
               className="px-4 py-2 bg-violet-600 text-white rounded-lg text-sm font-medium hover:bg-violet-700 transition-colors flex items-center gap-2"
             >
               <Plus className="h-4 w-4" />
@@ -116,6 +146,16 @@ export default function Nutrition() {
           </div>
         </div>
 
+        {importMessage && (
+          <div className={`mb-6 px-4 py-3 rounded-lg text-sm border ${
+            importMessage.type === 'error'
+              ? 'bg-red-50 border-red-200 text-red-700'
+              : 'bg-emerald-50 border-emerald-200 text-emerald-700'
+          }`}>
+            {importMessage.text}
+          </div>
+        )}
+
         <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
           {/* Daily Summary */}
           <div className="md:col-span-2">
@@ -179,6 +219,7 @@ export default function Nutrition() {
                           <p className="font-medium">{meal.description}</p>
                           <p className="text-sm text-gray-500">
                             {mealTypes.find(t => t.value === meal.type)?.label}
+                            {meal.macros && ` · ${formatMacros(meal.macros)}`}
                           </p>
                         </div>
                       </div>
@@ -194,6 +235,17 @@ export default function Nutrition() {
             </div>
           </div>
 
+          {/* Import */}
+          {showImport && (
+            <div className="md:col-span-1">
+              <NutritionImport
+                meals={meals}
+                onImport={handleImport}
+                onClose={() => setShowImport(false)}
+              />
+            </div>
+          )}
+
           {/* Add Meal Form */}
           {showAddMeal && (
             <div className="md:col-span-1">
@@ -1,8 +1,15 @@
 // src/app/reports/page.js
 'use client';
 import { useState, useEffect } from 'react';
-import { FileText, Download, TrendingUp, Calendar, Brain, Heart } from 'lucide-react';
+import Link from 'next/link';
+import { FileText, Download, TrendingUp, Calendar, Brain, Heart, FileSpreadsheet, Stethoscope } from 'lucide-react';
 import ReportContent from '@/components/reports/ReportContent';
+import { DailyMetricsChart } from '@/components/analytics/DailyMetricsChart';
+import { storageUtils } from '@/utils/storage';
+import { downloadFile } from '@/utils/downloadFile';
+import { createMetricsCSV } from '@/utils/metricsExport';
+import { createReportPdf } from '@/utils/pdfReport';
+import { analysisPeriod, preferMeasuredMetrics } from '@/utils/dailyMetrics';
 import { getConsistentDate } from '../../utils/dateUtils';
 
 // Analysis helper functions
@@ -204,6 +211,8 @@ const calculateHealthScore = (entries) => {
   return validMetrics > 0 ? Math.round(totalScore / validMetrics) : 0;
 };
 
+// Per day with meals logged, so imported histories of several meals a day
+// are comparable with days logged by hand
 const calculateAverageCalories = (meals) => {
   if (!meals || meals.length === 0) return 0;
   
@@ -211,47 +220,57 @@ const calculateAverageCalories = (meals) => {
     return sum + (meal.calories || 0);
   }, 0);
   
-  return Math.round(totalCalories / meals.length);
+  return Math.round(totalCalories / new Set(meals.map(meal => meal.date)).size);
+};
+
+// Average grams of protein, carbs and fat per day, over the days with any
+// meals that record them. Null when no meal does.
+const calculateAverageMacros = (meals) => {
+  const withMacros = (meals || []).filter(meal => meal.macros);
+  if (withMacros.length === 0) return null;
+
+  const days = new Set(withMacros.map(meal => meal.date)).size;
+  const average = (name) => Math.round(withMacros.reduce((sum, meal) => sum + (meal.macros[name] || 0), 0) / days);
+  return { protein: average('protein'), carbs: average('carbs'), fat: average('fat') };
+};
+
+// Which prompt version and model produced an analysis
+const getGenerationLabel = (analysis) => {
+  if (!analysis.promptVersion) return 'Before prompt versioning';
+  const model = analysis.model ? ` · ${analysis.model}` : '';
+  return `${analysis.promptId} v${analysis.promptVersion}${model}`;
+};
+
+// Group analyses by generation so results from different prompts are not mixed up
+const groupByGeneration = (entries) => {
+  const groups = new Map();
+
+  entries.forEach(entry => {
+    const label = getGenerationLabel(entry);
+    if (!groups.has(label)) {
+      groups.set(label, { label, count: 0, first: entry.timestamp, last: entry.timestamp });
+    }
+    const group = groups.get(label);
+    group.count += 1;
+    if (entry.timestamp < group.first) group.first = entry.timestamp;
+    if (entry.timestamp > group.last) group.last = entry.timestamp;
+  });
+
+  // Newest generation first
+  return [...groups.values()].sort((a, b) => b.last.localeCompare(a.last));
+};
+
+const PERIOD_LABELS = {
+  week: 'Last Week',
+  month: 'Last Month',
+  year: 'Last Year'
 };
 
 const downloadReport = (reportData, reportPeriod) => {
   if (!reportData) return;
 
-  const reportText = `Health Report (${reportPeriod})
-Generated on: ${new Date().toLocaleDateString()}
-
-Overview:
-- Total Journal Entries: ${reportData.overview.totalEntries}
-- Completed Goals: ${reportData.overview.completedGoals}
-- Active Habits: ${reportData.overview.activeHabits}
-- Average Daily Calories: ${reportData.overview.avgCalories}
-
-Health Score: ${reportData.healthScore}%
-
-Sleep Analysis:
-- Average Sleep: ${reportData.sleep.average} hours
-- Sleep Consistency: ${reportData.sleep.consistency}%
-- Sleep Quality: ${reportData.sleep.qualityScore}%
-Insights:
-${reportData.sleep.insights.map(i => '- ' + i).join('\n')}
-
-Exercise Analysis:
-- Weekly Average: ${reportData.exercise.average} minutes
-- Exercise Consistency: ${reportData.exercise.consistency}%
-- Exercise Intensity: ${reportData.exercise.intensity}%
-Insights:
-${reportData.exercise.insights.map(i => '- ' + i).join('\n')}
-`;
-
-  const blob = new Blob([reportText], { type: 'text/plain' });
-  const url = window.URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = `health-report-${reportPeriod}-${new Date().toISOString().split('T')[0]}.txt`;
-  document.body.appendChild(a);
-  a.click();
-  document.body.removeChild(a);
-  window.URL.revokeObjectURL(url);
+  const pdf = createReportPdf(reportData, { periodLabel: PERIOD_LABELS[reportPeriod] || reportPeriod });
+  downloadFile(pdf, `health-report-${reportPeriod}-${new Date().toISOString().split('T')[0]}.pdf`, 'application/pdf');
 };
 
 // Helper function to ensure valid date
@@ -276,54 +295,21 @@ export default function Reports() {
   const [reportData, setReportData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [csvExport, setCsvExport] = useState(null);
 
   const loadData = async () => {
     try {
       setLoading(true);
       setError(null);
 
-      // Get stored analysis history
-      const storedHistory = localStorage.getItem('journalAnalysisHistory');
-      let analysisHistory = [];
-      
+      // Get stored analysis history, newest first
+      const analysisHistory = storageUtils.getAnalysisHistory();
+
       // Get nutrition data
-      const nutritionData = localStorage.getItem('nutritionData');
-      let meals = [];
-      if (nutritionData) {
-        try {
-          const parsedNutrition = JSON.parse(nutritionData);
-          meals = parsedNutrition.meals || [];
-        } catch (e) {
-          console.error('Error parsing nutrition data:', e);
-        }
-      }
+      const { meals } = storageUtils.getNutritionData();
 
       // Get goals and habits data
-      const goalsData = localStorage.getItem('goalsData');
-      let goals = [], habits = [];
-      if (goalsData) {
-        try {
-          const parsedGoals = JSON.parse(goalsData);
-          goals = parsedGoals.goals || [];
-          habits = parsedGoals.habits || [];
-        } catch (e) {
-          console.error('Error parsing goals data:', e);
-        }
-      }
-      
-      if (storedHistory && storedHistory !== 'undefined') {
-        try {
-          analysisHistory = JSON.parse(storedHistory);
-          // Sort by timestamp, newest first
-          analysisHistory.sort((a, b) => {
-            const dateA = new Date(a.timestamp);
-            const dateB = new Date(b.timestamp);
-            return dateB - dateA;
-          });
-        } catch (e) {
-          console.error('Error parsing analysis history:', e);
-        }
-      }
+      const { goals, habits } = storageUtils.getGoalsData();
 
       // Calculate date range
       const endDate = new Date();
@@ -360,13 +346,22 @@ export default function Reports() {
         return mealDate >= startDateStr && mealDate <= endDateStr;
       });
 
+      // Sleep and exercise come from imported device data for the days each
+      // analysis covers, when there is any, rather than from the journal text
+      const dailyMetrics = storageUtils.getDailyMetrics();
+      const measuredEntries = filteredEntries.map(entry => ({
+        ...entry,
+        metrics: preferMeasuredMetrics(entry.metrics, dailyMetrics, analysisPeriod(entry))
+      }));
+
       // Calculate averages from filtered entries
-      const healthScore = calculateHealthScore(filteredEntries);
-      const sleepAnalysis = analyzeSleepPatterns(filteredEntries);
-      const exerciseAnalysis = analyzeExercisePatterns(filteredEntries);
+      const healthScore = calculateHealthScore(measuredEntries);
+      const sleepAnalysis = analyzeSleepPatterns(measuredEntries);
+      const exerciseAnalysis = analyzeExercisePatterns(measuredEntries);
 
       // Calculate nutrition metrics
       const avgCalories = calculateAverageCalories(filteredMeals);
+      const avgMacros = calculateAverageMacros(filteredMeals);
       
       // Calculate goals and habits metrics
       const activeHabits = habits.filter(habit => {
@@ -413,6 +408,7 @@ export default function Reports() {
         nutrition: {
           meals: filteredMeals,
           avgCalories,
+          avgMacros,
           mealCount: filteredMeals.length
         },
         goals: {
@@ -424,10 +420,17 @@ export default function Reports() {
           active: activeHabits,
           total: habits.length,
           streaks: habits.map(h => ({
-            name: h.name,
+            name: h.content,
             streak: h.streak || 0,
-            active: h.active
+            active: h.streak > 0
           }))
+        },
+        generations: groupByGeneration(filteredEntries),
+        // Charted per day, journal values next to imported ones
+        daily: {
+          entries: storageUtils.getJournalEntries(),
+          meals,
+          dailyMetrics
         }
       };
 
@@ -454,6 +457,29 @@ export default function Reports() {
     }
   };
 
+  const toggleCsvExport = () => {
+    setCsvExport(current => current ? null : {
+      start: reportData?.dateRange.start || formatDate(new Date()),
+      end: reportData?.dateRange.end || formatDate(new Date()),
+      layout: 'wide'
+    });
+  };
+
+  const handleCsvDownload = () => {
+    const { start, end, layout } = csvExport;
+    if (!start || !end || start > end) {
+      alert('Choose a start date on or before the end date.');
+      return;
+    }
+
+    const { meals, waterLog } = storageUtils.getNutritionData();
+    const files = createMetricsCSV(
+      { entries: storageUtils.getJournalEntries(), meals, habits: storageUtils.getGoalsData().habits, waterLog },
+      { start, end, layout }
+    );
+    files.forEach(file => downloadFile(file.content, file.fileName, 'text/csv'));
+  };
+
   return (
     <div className="min-h-screen bg-gray-50">
       <div className="max-w-7xl mx-auto px-4 py-6">
@@ -487,9 +513,64 @@ export default function Reports() {
               <Download className="h-4 w-4" />
               Download Report
             </button>
+            <button
+              onClick={toggleCsvExport}
+              className="px-4 py-2 border border-gray-200 bg-white text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-50 transition-colors flex items-center gap-2"
+            >
+              <FileSpreadsheet className="h-4 w-4" />
+              Export CSV
+            </button>
+            <Link
+              href="/reports/visit-summary"
+              className="px-4 py-2 border border-gray-200 bg-white text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-50 transition-colors flex items-center gap-2"
+            >
+              <Stethoscope className="h-4 w-4" />
+              Visit Summary
+            </Link>
           </div>
         </div>
 
+        {/* CSV Export */}
+        {csvExport && (
+          <div className="bg-white rounded-xl shadow-sm p-4 mb-6 flex flex-wrap items-end gap-4">
+            <label className="text-sm text-gray-600">
+              From
+              <input
+                type="date"
+                value={csvExport.start}
+                onChange={(e) => setCsvExport({ ...csvExport, start: e.target.value })}
+                className="block mt-1 text-sm border border-gray-200 rounded-lg focus:ring-2 focus:ring-violet-500 focus:border-violet-500 p-2"
+              />
+            </label>
+            <label className="text-sm text-gray-600">
+              To
+              <input
+                type="date"
+                value={csvExport.end}
+                onChange={(e) => setCsvExport({ ...csvExport, end: e.target.value })}
+                className="block mt-1 text-sm border border-gray-200 rounded-lg focus:ring-2 focus:ring-violet-500 focus:border-violet-500 p-2"
+              />
+            </label>
+            <label className="text-sm text-gray-600">
+              Layout
+              <select
+                value={csvExport.layout}
+                onChange={(e) => setCsvExport({ ...csvExport, layout: e.target.value })}
+                className="block mt-1 text-sm border border-gray-200 rounded-lg focus:ring-2 focus:ring-violet-500 focus:border-violet-500 p-2"
+              >
+                <option value="wide">One table, one row per day</option>
+                <option value="domains">One file per domain</option>
+              </select>
+            </label>
+            <button
+              onClick={handleCsvDownload}
+              className="px-4 py-2 bg-violet-600 text-white rounded-lg text-sm font-medium hover:bg-violet-700 transition-colors"
+            >
+              Download CSV
+            </button>
+          </div>
+        )}
+
         {loading ? (
           <div className="text-center py-12">
             <div className="animate-spin h-8 w-8 border-4 border-violet-600 border-t-transparent rounded-full mx-auto mb-4"></div>
@@ -594,9 +675,41 @@ export default function Reports() {
                 </div>
               </div>
             </div>
+
+            {/* Daily Metrics */}
+            <DailyMetricsChart
+              {...reportData.daily}
+              start={reportData.dateRange.start}
+              end={reportData.dateRange.end}
+            />
+
+            {/* Analysis Sources */}
+            {reportData.generations.length > 0 && (
+              <div className="bg-white rounded-xl shadow-sm p-6">
+                <h2 className="text-lg font-semibold mb-4 flex items-center gap-2">
+                  <FileText className="h-5 w-5 text-violet-600" />
+                  Analysis Sources
+                </h2>
+                {reportData.generations.length > 1 && (
+                  <p className="text-sm text-amber-700 bg-amber-50 rounded-lg p-3 mb-4">
+                    This period includes analyses from {reportData.generations.length} different prompt versions or models, so scores may not be directly comparable.
+                  </p>
+                )}
+                <div className="space-y-2">
+                  {reportData.generations.map(generation => (
+                    <div key={generation.label} className="flex items-center justify-between text-sm p-3 rounded-lg bg-gray-50">
+                      <span className="font-medium text-gray-700">{generation.label}</span>
+                      <span className="text-gray-500">
+                        {generation.count} {generation.count === 1 ? 'analysis' : 'analyses'}, {new Date(generation.first).toLocaleDateString()} - {new Date(generation.last).toLocaleDateString()}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
           </div>
         )}
       </div>
     </div>
   );
-}
\ No newline at end of file
+}
@@ -0,0 +1,232 @@
+// src/app/reports/visit-summary/page.js
+'use client';
+import { useState, useMemo } from 'react';
+import Link from 'next/link';
+import { ArrowLeft, Printer, Download, Stethoscope } from 'lucide-react';
+import { storageUtils } from '@/utils/storage';
+import { buildVisitSummary } from '@/utils/visitSummary';
+import { createVisitSummaryPdf } from '@/utils/pdfReport';
+import { downloadFile } from '@/utils/downloadFile';
+import { toDateKey } from '@/utils/dateUtils';
+
+const formatDay = (value) => new Date(`${value}T00:00:00`).toLocaleDateString();
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+const formatRange = (stat, unit) => (stat.min === stat.max ? `${stat.min} ${unit}` : `${stat.min}–${stat.max} ${unit}`);
+
+const defaultRange = () => {
+  const start = new Date();
+  start.setDate(start.getDate() - 29);
+  return { start: toDateKey(start), end: toDateKey(new Date()) };
+};
+
+const Section = ({ title, children }) => (
+  <section className="bg-white rounded-xl shadow-sm p-6 print:shadow-none print:p-0 print:break-inside-avoid">
+    <h2 className="text-base font-semibold text-gray-900 mb-3">{title}</h2>
+    {children}
+  </section>
+);
+
+const Empty = ({ children }) => <p className="text-sm text-gray-500">{children}</p>;
+
+export default function VisitSummary() {
+  const [range, setRange] = useState(defaultRange);
+
+  const summary = useMemo(
+    () => (range.start && range.end && range.start <= range.end
+      ? buildVisitSummary(storageUtils.getJournalEntries(), range)
+      : null),
+    [range]
+  );
+
+  const handleDownload = () => {
+    const pdf = createVisitSummaryPdf(summary);
+    downloadFile(pdf, `visit-summary-${summary.start}-to-${summary.end}.pdf`, 'application/pdf');
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 print:bg-white">
+      <div className="max-w-4xl mx-auto px-4 py-6 space-y-6 print:max-w-none print:p-0">
+        {/* Controls */}
+        <div className="flex flex-wrap justify-between items-end gap-4 print:hidden">
+          <div>
+            <Link href="/reports" className="text-sm text-gray-500 hover:text-gray-700 flex items-center gap-1 mb-2">
+              <ArrowLeft className="h-4 w-4" />
+              Reports
+            </Link>
+            <h1 className="text-xl font-semibold flex items-center gap-2">
+              <Stethoscope className="h-5 w-5 text-violet-600" />
+              Visit Summary
+            </h1>
+            <p className="text-sm text-gray-500 mt-1">A factual summary to bring to an appointment</p>
+          </div>
+
+          <div className="flex flex-wrap items-end gap-3">
+            <label className="text-sm text-gray-600">
+              From
+              <input
+                type="date"
+                value={range.start}
+                onChange={(e) => setRange({ ...range, start: e.target.value })}
+                className="block mt-1 text-sm border border-gray-200 rounded-lg focus:ring-2 focus:ring-violet-500 focus:border-violet-500 p-2"
+              />
+            </label>
+            <label className="text-sm text-gray-600">
+              To
+              <input
+                type="date"
+                value={range.end}
+                onChange={(e) => setRange({ ...range, end: e.target.value })}
+                className="block mt-1 text-sm border border-gray-200 rounded-lg focus:ring-2 focus:ring-violet-500 focus:border-violet-500 p-2"
+              />
+            </label>
+            <button
+              onClick={() => window.print()}
+              disabled={!summary}
+              className="px-4 py-2 border border-gray-200 bg-white text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-50 transition-colors flex items-center gap-2 disabled:opacity-50"
+            >
+              <Printer className="h-4 w-4" />
+              Print
+            </button>
+            <button
+              onClick={handleDownload}
+              disabled={!summary}
+              className="px-4 py-2 bg-violet-600 text-white rounded-lg text-sm font-medium hover:bg-violet-700 transition-colors flex items-center gap-2 disabled:opacity-50"
+            >
+              <Download className="h-4 w-4" />
+              Download PDF
+            </button>
+          </div>
+        </div>
+
+        {!summary ? (
+          <p className="text-sm text-gray-500">Choose a start date on or before the end date.</p>
+        ) : (
+          <>
+            {/* Heading, also used on paper */}
+            <div className="border-b border-gray-200 pb-4">
+              <h2 className="text-lg font-semibold hidden print:block">Visit Summary</h2>
+              <p className="text-sm text-gray-700">
+                Self-reported journal, {formatDay(summary.start)} – {formatDay(summary.end)}
+              </p>
+              <p className="text-sm text-gray-500 mt-1">
+                {summary.entryCount} journal {summary.entryCount === 1 ? 'entry' : 'entries'} on {summary.daysWithEntries} of {summary.days} days.
+                Figures are extracted automatically from free-text entries written by the patient.
+                Generated {new Date().toLocaleDateString()}.
+              </p>
+            </div>
+
+            <Section title="Symptoms">
+              {summary.symptoms.length === 0 ? (
+                <Empty>No symptoms recorded in this period.</Empty>
+              ) : (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b border-gray-200">
+                      <th className="py-2 font-medium">Symptom</th>
+                      <th className="py-2 font-medium text-right">Entries</th>
+                      <th className="py-2 font-medium text-right">Days</th>
+                      <th className="py-2 font-medium text-right">First reported</th>
+                      <th className="py-2 font-medium text-right">Last reported</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {summary.symptoms.map(symptom => (
+                      <tr key={symptom.name} className="border-b border-gray-100">
+                        <td className="py-2">{capitalize(symptom.name)}</td>
+                        <td className="py-2 text-right">{symptom.entries}</td>
+                        <td className="py-2 text-right">{symptom.days}</td>
+                        <td className="py-2 text-right">{formatDay(symptom.first)}</td>
+                        <td className="py-2 text-right">{formatDay(symptom.last)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </Section>
+
+            <Section title="Sleep and Exercise">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b border-gray-200">
+                    <th className="py-2 font-medium">Measure</th>
+                    <th className="py-2 font-medium text-right">Days recorded</th>
+                    <th className="py-2 font-medium text-right">Average</th>
+                    <th className="py-2 font-medium text-right">Range</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {[
+                    ['Sleep per night', summary.sleep, 'h'],
+                    ['Exercise per day', summary.exercise, 'min']
+                  ].map(([label, stat, unit]) => (
+                    <tr key={label} className="border-b border-gray-100">
+                      <td className="py-2">{label}</td>
+                      <td className="py-2 text-right">{stat ? stat.days : 0} of {summary.days}</td>
+                      <td className="py-2 text-right">{stat ? `${stat.average} ${unit}` : 'Not recorded'}</td>
+                      <td className="py-2 text-right">{stat ? formatRange(stat, unit) : ''}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </Section>
+
+            <Section title="Medications Mentioned">
+              {summary.medications.length === 0 ? (
+                <Empty>No medications mentioned in this period.</Empty>
+              ) : (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b border-gray-200">
+                      <th className="py-2 font-medium">Medication</th>
+                      <th className="py-2 font-medium">Doses mentioned</th>
+                      <th className="py-2 font-medium text-right">Entries</th>
+                      <th className="py-2 font-medium text-right">First</th>
+                      <th className="py-2 font-medium text-right">Last</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {summary.medications.map(medication => (
+                      <tr key={medication.name} className="border-b border-gray-100">
+                        <td className="py-2">{capitalize(medication.name)}</td>
+                        <td className="py-2">{medication.doses.join(', ')}</td>
+                        <td className="py-2 text-right">{medication.entries}</td>
+                        <td className="py-2 text-right">{formatDay(medication.first)}</td>
+                        <td className="py-2 text-right">{formatDay(medication.last)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </Section>
+
+            <Section title="Notable Entries">
+              {summary.notableEntries.length === 0 ? (
+                <Empty>No entries mention symptoms, medications, short or long sleep, low mood or high stress.</Empty>
+              ) : (
+                <div className="space-y-4">
+                  {summary.notableEntries.map(entry => (
+                    <figure key={entry.id ?? entry.date} className="print:break-inside-avoid">
+                      <figcaption className="text-xs font-medium text-gray-500 mb-1">
+                        {new Date(entry.date).toLocaleDateString()} — {entry.reasons.join(', ')}
+                      </figcaption>
+                      <blockquote className="border-l-2 border-gray-300 pl-3 text-sm text-gray-800 whitespace-pre-wrap">
+                        {entry.text}
+                      </blockquote>
+                    </figure>
+                  ))}
+                  {summary.notableOmitted > 0 && (
+                    <Empty>
+                      {summary.notableOmitted} further {summary.notableOmitted === 1 ? 'entry' : 'entries'} with the same kinds of mentions not shown.
+                    </Empty>
+                  )}
+                </div>
+              )}
+            </Section>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
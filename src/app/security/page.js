@@ -0,0 +1,156 @@
+// src/app/security/page.js
+'use client';
+import { useState } from 'react';
+import { Shield, KeyRound, Lock, Timer } from 'lucide-react';
+import { storageUtils } from '@/utils/storage';
+import { MIN_PASSPHRASE_LENGTH } from '@/utils/encryption';
+
+const AUTO_LOCK_OPTIONS = [
+  { value: 5, label: 'After 5 minutes' },
+  { value: 15, label: 'After 15 minutes' },
+  { value: 30, label: 'After 30 minutes' },
+  { value: 60, label: 'After 1 hour' },
+  { value: 0, label: 'Never' }
+];
+
+export default function Security() {
+  const [currentPassphrase, setCurrentPassphrase] = useState('');
+  const [newPassphrase, setNewPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [message, setMessage] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [autoLockMinutes, setAutoLockMinutes] = useState(
+    () => storageUtils.getSecuritySettings().autoLockMinutes
+  );
+
+  const handleChangePassphrase = async (e) => {
+    e.preventDefault();
+    setMessage(null);
+
+    if (newPassphrase !== confirmation) {
+      setMessage({ type: 'error', text: 'New passphrases do not match' });
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      await storageUtils.changePassphrase(currentPassphrase, newPassphrase);
+      setCurrentPassphrase('');
+      setNewPassphrase('');
+      setConfirmation('');
+      setMessage({ type: 'success', text: 'Passphrase changed and data re-encrypted' });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message || 'Failed to change passphrase' });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleAutoLockChange = (e) => {
+    const minutes = Number(e.target.value);
+    setAutoLockMinutes(minutes);
+    storageUtils.saveSecuritySettings({ ...storageUtils.getSecuritySettings(), autoLockMinutes: minutes });
+  };
+
+  const inputClass = 'w-full text-sm border border-gray-200 rounded-lg focus:ring-2 focus:ring-violet-500 focus:border-violet-500 p-3';
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-3xl mx-auto px-4 py-6 space-y-6">
+        <div>
+          <h1 className="text-2xl font-semibold flex items-center gap-2">
+            <Shield className="h-6 w-6 text-violet-600" />
+            Security
+          </h1>
+          <p className="text-sm text-gray-500 mt-1">
+            Your journal, meals, goals and analyses are encrypted on this device with your passphrase.
+            Record ids and dates stay unencrypted so entries can be listed in order, so anyone with access
+            to this device can see when you wrote entries and logged meals, but not what they say.
+          </p>
+        </div>
+
+        {/* Change Passphrase */}
+        <form onSubmit={handleChangePassphrase} className="bg-white rounded-xl shadow-sm p-6 space-y-3">
+          <h2 className="font-semibold flex items-center gap-2">
+            <KeyRound className="h-5 w-5 text-violet-600" />
+            Change passphrase
+          </h2>
+          <input
+            type="password"
+            value={currentPassphrase}
+            onChange={(e) => setCurrentPassphrase(e.target.value)}
+            placeholder="Current passphrase"
+            autoComplete="current-password"
+            className={inputClass}
+          />
+          <input
+            type="password"
+            value={newPassphrase}
+            onChange={(e) => setNewPassphrase(e.target.value)}
+            placeholder="New passphrase"
+            autoComplete="new-password"
+            className={inputClass}
+          />
+          <input
+            type="password"
+            value={confirmation}
+            onChange={(e) => setConfirmation(e.target.value)}
+            placeholder="Repeat new passphrase"
+            autoComplete="new-password"
+            className={inputClass}
+          />
+          <p className="text-xs text-gray-500">
+            At least {MIN_PASSPHRASE_LENGTH} characters. All your data is re-encrypted with a new key, which can take a moment for a long journal.
+          </p>
+
+          {message && (
+            <div className={`px-4 py-3 rounded-lg text-sm border ${
+              message.type === 'error'
+                ? 'bg-red-50 border-red-200 text-red-700'
+                : 'bg-emerald-50 border-emerald-200 text-emerald-700'
+            }`}>
+              {message.text}
+            </div>
+          )}
+
+          <button
+            type="submit"
+            disabled={!currentPassphrase || !newPassphrase || isSaving}
+            className="px-4 py-2 bg-violet-600 text-white rounded-lg text-sm font-medium hover:bg-violet-700 transition-colors disabled:opacity-50"
+          >
+            {isSaving ? 'Re-encrypting...' : 'Change passphrase'}
+          </button>
+        </form>
+
+        {/* Auto-lock */}
+        <div className="bg-white rounded-xl shadow-sm p-6 space-y-3">
+          <h2 className="font-semibold flex items-center gap-2">
+            <Timer className="h-5 w-5 text-violet-600" />
+            Auto-lock
+          </h2>
+          <p className="text-sm text-gray-500">
+            Lock the journal when there has been no activity for a while. You will need your passphrase to unlock it.
+          </p>
+          <select
+            value={autoLockMinutes}
+            onChange={handleAutoLockChange}
+            className="text-sm border border-gray-200 rounded-lg focus:ring-2 focus:ring-violet-500 focus:border-violet-500 p-2"
+          >
+            {AUTO_LOCK_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <div>
+            <button
+              onClick={() => storageUtils.lock()}
+              className="flex items-center gap-2 px-4 py-2 border border-gray-200 rounded-lg text-sm text-gray-700 hover:bg-gray-50 transition-colors"
+            >
+              <Lock className="h-4 w-4" />
+              Lock now
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,37 @@
+// src/components/AutoLock.js
+'use client';
+import { useEffect } from 'react';
+import { storageUtils } from '@/utils/storage';
+
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart'];
+const CHECK_INTERVAL = 15 * 1000;
+
+// Locks storage after the configured minutes without user activity
+export default function AutoLock() {
+  useEffect(() => {
+    let lastActivity = Date.now();
+    const recordActivity = () => {
+      lastActivity = Date.now();
+    };
+
+    const checkIdle = () => {
+      const { autoLockMinutes } = storageUtils.getSecuritySettings();
+      if (autoLockMinutes > 0 && Date.now() - lastActivity >= autoLockMinutes * 60 * 1000) {
+        storageUtils.lock();
+      }
+    };
+
+    ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, recordActivity, { passive: true }));
+    // Timers are throttled in background tabs, so check again on return
+    document.addEventListener('visibilitychange', checkIdle);
+    const interval = setInterval(checkIdle, CHECK_INTERVAL);
+
+    return () => {
+      ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, recordActivity));
+      document.removeEventListener('visibilitychange', checkIdle);
+      clearInterval(interval);
+    };
+  }, []);
+
+  return null;
+}
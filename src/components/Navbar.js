@@ -7,8 +7,13 @@ import {
   LineChart, 
   Target, 
   Apple, 
-  FileText 
+  FileText,
+  MessageCircle,
+  Database,
+  Lock,
+  Shield
 } from 'lucide-react';
+import { storageUtils } from '@/utils/storage';
 
 const Navbar = () => {
   const pathname = usePathname();
@@ -43,11 +48,23 @@ const Navbar = () => {
       icon: FileText, 
       path: '/reports',
       description: 'Health summary reports'
+    },
+    { 
+      title: 'Ask Journal', 
+      icon: MessageCircle, 
+      path: '/chat',
+      description: 'Ask questions about your entries'
+    },
+    { 
+      title: 'Data', 
+      icon: Database, 
+      path: '/data',
+      description: 'Back up, restore and export'
     }
   ];
 
   return (
-    <nav className="border-b border-gray-200 bg-white">
+    <nav className="border-b border-gray-200 bg-white print:hidden">
       <div className="max-w-7xl mx-auto px-4">
         <div className="flex justify-between h-16">
           {/* Logo and Brand */}
@@ -81,7 +98,21 @@ const Navbar = () => {
           </div>
 
           {/* Time Range Selector */}
-          <div className="flex items-center">
+          <div className="flex items-center gap-1">
+            <Link
+              href="/security"
+              title="Security settings"
+              className={`p-2 rounded-md transition-colors ${pathname === '/security' ? 'bg-black text-white' : 'text-gray-600 hover:bg-gray-100'}`}
+            >
+              <Shield className="h-4 w-4" />
+            </Link>
+            <button
+              onClick={() => storageUtils.lock()}
+              title="Lock journal"
+              className="p-2 rounded-md text-gray-600 hover:bg-gray-100 transition-colors"
+            >
+              <Lock className="h-4 w-4" />
+            </button>
             <select 
               className="text-sm border-gray-200 rounded-md shadow-sm focus:ring-1 focus:ring-black focus:border-black p-2"
             >
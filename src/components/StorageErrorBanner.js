@@ -0,0 +1,33 @@
+// src/components/StorageErrorBanner.js
+'use client';
+import { useEffect, useState } from 'react';
+import { AlertCircle, X } from 'lucide-react';
+import { storageUtils } from '@/utils/storage';
+
+// Saves finish in the background, so a write the browser refuses (storage
+// full, or the database closed) is shown here rather than on the page
+export default function StorageErrorBanner() {
+  const [error, setError] = useState(null);
+
+  useEffect(() => storageUtils.onWriteError(setError), []);
+
+  if (!error) return null;
+
+  return (
+    <div className="bg-red-50 border-b border-red-200 text-red-700 text-sm">
+      <div className="max-w-7xl mx-auto px-4 py-3 flex items-start gap-3">
+        <AlertCircle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+        <p className="flex-1">
+          Your latest changes could not be saved in this browser{error.message ? ` (${error.message})` : ''}. They will be lost when the page is reloaded. Free up storage space or export a backup from the Data page.
+        </p>
+        <button
+          onClick={() => setError(null)}
+          className="text-red-500 hover:text-red-700"
+          aria-label="Dismiss"
+        >
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+    </div>
+  );
+}
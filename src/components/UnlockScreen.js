@@ -0,0 +1,134 @@
+// src/components/UnlockScreen.js
+'use client';
+import { useState } from 'react';
+import { Activity, Lock, ShieldCheck, AlertTriangle } from 'lucide-react';
+import { storageUtils } from '@/utils/storage';
+import { MIN_PASSPHRASE_LENGTH } from '@/utils/encryption';
+
+export default function UnlockScreen({ status }) {
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [error, setError] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+
+  const isSetup = status === 'setup';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    if (isSetup && passphrase !== confirmation) {
+      setError('Passphrases do not match');
+      return;
+    }
+
+    setIsWorking(true);
+    try {
+      if (isSetup) {
+        await storageUtils.setupEncryption(passphrase);
+      } else {
+        await storageUtils.unlock(passphrase);
+      }
+    } catch (error) {
+      setError(error.message || 'Failed to unlock your journal');
+      setPassphrase('');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleErase = async () => {
+    const confirmed = window.confirm(
+      'Your data is encrypted with your passphrase and cannot be recovered without it. Erase all journal entries, meals, goals and analyses and start over?'
+    );
+    if (!confirmed) return;
+    await storageUtils.eraseAllData();
+    setPassphrase('');
+    setError(null);
+  };
+
+  if (status === 'unsupported') {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
+        <div className="bg-white rounded-xl shadow-sm p-6 max-w-md w-full text-center">
+          <AlertTriangle className="h-10 w-10 text-amber-500 mx-auto mb-3" />
+          <h1 className="text-lg font-semibold mb-2">Encryption is not available</h1>
+          <p className="text-sm text-gray-600">
+            Your journal is encrypted in the browser, which needs a secure (HTTPS) connection and a browser with Web Crypto support.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
+      <form onSubmit={handleSubmit} className="bg-white rounded-xl shadow-sm p-6 max-w-md w-full space-y-4">
+        <div className="flex items-center gap-2">
+          <Activity className="h-6 w-6" />
+          <span className="text-xl font-semibold">HealthScribeGPT</span>
+        </div>
+
+        <div>
+          <h1 className="text-lg font-semibold flex items-center gap-2">
+            {isSetup ? <ShieldCheck className="h-5 w-5 text-violet-600" /> : <Lock className="h-5 w-5 text-violet-600" />}
+            {isSetup ? 'Choose a passphrase' : 'Unlock your journal'}
+          </h1>
+          <p className="text-sm text-gray-500 mt-1">
+            {isSetup
+              ? 'Your journal is encrypted on this device with a key made from your passphrase. There is no way to recover your data if you forget it.'
+              : 'Enter your passphrase to decrypt your journal on this device.'}
+          </p>
+        </div>
+
+        <input
+          type="password"
+          value={passphrase}
+          onChange={(e) => setPassphrase(e.target.value)}
+          placeholder="Passphrase"
+          autoFocus
+          autoComplete={isSetup ? 'new-password' : 'current-password'}
+          className="w-full text-sm border border-gray-200 rounded-lg focus:ring-2 focus:ring-violet-500 focus:border-violet-500 p-3"
+        />
+
+        {isSetup && (
+          <>
+            <input
+              type="password"
+              value={confirmation}
+              onChange={(e) => setConfirmation(e.target.value)}
+              placeholder="Repeat passphrase"
+              autoComplete="new-password"
+              className="w-full text-sm border border-gray-200 rounded-lg focus:ring-2 focus:ring-violet-500 focus:border-violet-500 p-3"
+            />
+            <p className="text-xs text-gray-500">At least {MIN_PASSPHRASE_LENGTH} characters.</p>
+          </>
+        )}
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-sm">
+            {error}
+          </div>
+        )}
+
+        <button
+          type="submit"
+          disabled={!passphrase || isWorking}
+          className="w-full px-4 py-2 bg-violet-600 text-white rounded-lg text-sm font-medium hover:bg-violet-700 transition-colors disabled:opacity-50"
+        >
+          {isWorking ? 'Working...' : isSetup ? 'Encrypt my journal' : 'Unlock'}
+        </button>
+
+        {!isSetup && (
+          <button
+            type="button"
+            onClick={handleErase}
+            className="w-full text-xs text-gray-400 hover:text-red-600 transition-colors"
+          >
+            Forgot your passphrase? Erase all data and start over
+          </button>
+        )}
+      </form>
+    </div>
+  );
+}
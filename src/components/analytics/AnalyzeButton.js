@@ -1,6 +1,6 @@
 import { LineChart, RefreshCw } from 'lucide-react';
 
-export const AnalyzeButton = ({ onClick, isAnalyzing, disabled, lastUpdateTime }) => {
+export const AnalyzeButton = ({ onClick, isAnalyzing, disabled, lastUpdateTime, progressLabel }) => {
   const formatLastUpdate = (timestamp) => {
     if (!timestamp) return null;
     const date = new Date(timestamp);
@@ -33,7 +33,7 @@ export const AnalyzeButton = ({ onClick, isAnalyzing, disabled, lastUpdateTime }
       {isAnalyzing ? (
         <>
           <div className="animate-spin h-4 w-4 border-2 border-current border-t-transparent rounded-full"></div>
-          <span>Analyzing...</span>
+          <span>{progressLabel || 'Analyzing...'}</span>
         </>
       ) : hasRecentUpdate ? (
         <>
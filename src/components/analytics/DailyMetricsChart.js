@@ -0,0 +1,80 @@
+// src/components/analytics/DailyMetricsChart.js
+'use client';
+import { useState, useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend } from 'recharts';
+import { Activity } from 'lucide-react';
+import { CHART_METRICS, METRIC_SOURCES, buildMetricSeries, sourceLabel } from '@/utils/dailyMetrics';
+
+const FALLBACK_COLORS = ['#0ea5e9', '#10b981', '#f59e0b', '#ec4899'];
+
+const shortDate = (value) => new Date(`${value}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+// Journal-derived and imported values per day, one line per source
+export const DailyMetricsChart = ({ entries, meals, dailyMetrics, start, end, title = 'Daily Metrics' }) => {
+  const [metricName, setMetricName] = useState('sleep');
+
+  const series = useMemo(
+    () => buildMetricSeries({ entries, meals, dailyMetrics }, metricName, { start, end }),
+    [entries, meals, dailyMetrics, metricName, start, end]
+  );
+  const { metric, rows, sources } = series;
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-sm">
+      <div className="flex items-start justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-semibold">{title}</h3>
+          <p className="text-sm text-gray-500">From your journal and imported health data</p>
+        </div>
+        <Activity className="h-5 w-5 text-violet-500" />
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {Object.entries(CHART_METRICS).map(([name, { label }]) => (
+          <button
+            key={name}
+            onClick={() => setMetricName(name)}
+            className={`px-3 py-1 rounded-full text-xs font-medium transition-colors ${
+              metricName === name ? 'bg-violet-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {sources.length === 0 ? (
+        <div className="h-[250px] flex items-center justify-center">
+          <p className="text-gray-500">No {metric.label.toLowerCase()} data for this period</p>
+        </div>
+      ) : (
+        <div className="h-[250px]">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={rows} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+              <XAxis dataKey="date" tickFormatter={shortDate} tick={{ fontSize: 12 }} tickMargin={8} minTickGap={16} />
+              <YAxis tick={{ fontSize: 12 }} tickMargin={8} domain={['auto', 'auto']} />
+              <Tooltip
+                labelFormatter={shortDate}
+                formatter={(value, name) => [`${value} ${metric.unit}`, name]}
+              />
+              <Legend />
+              {sources.map((source, index) => (
+                <Line
+                  key={source}
+                  type="monotone"
+                  dataKey={source}
+                  name={sourceLabel(source)}
+                  stroke={METRIC_SOURCES[source]?.color || FALLBACK_COLORS[index % FALLBACK_COLORS.length]}
+                  strokeWidth={2}
+                  dot={{ r: 3 }}
+                  connectNulls
+                />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,72 @@
+// src/components/dashboard/EntryAnalysisSummary.js
+import { Moon, Activity, Brain, Thermometer } from 'lucide-react';
+
+// 'veryPositive' -> 'very positive'
+const formatLabel = (value) => value.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+
+const getScoreColor = (score) => {
+  if (score >= 80) return 'text-green-600';
+  if (score >= 60) return 'text-yellow-600';
+  return 'text-red-600';
+};
+
+export default function EntryAnalysisSummary({ result, isAnalyzing }) {
+  if (isAnalyzing) {
+    return (
+      <div className="mt-3 flex items-center gap-2 text-xs text-gray-400">
+        <div className="animate-spin h-3 w-3 border-2 border-current border-t-transparent rounded-full"></div>
+        Analyzing entry...
+      </div>
+    );
+  }
+
+  if (!result?.analysis) return null;
+
+  const { metrics, analysis } = result;
+  const scores = [
+    { label: 'Sleep', value: analysis.sleep?.score },
+    { label: 'Exercise', value: analysis.exercise?.score },
+    { label: 'Mental', value: analysis.mentalHealth?.score },
+    { label: 'Physical', value: analysis.physicalHealth?.score },
+    { label: 'Overall', value: analysis.overallHealthScore }
+  ].filter(score => typeof score.value === 'number');
+
+  return (
+    <div className="mt-3 space-y-2">
+      <div className="flex flex-wrap gap-2 text-xs">
+        {metrics.sleep > 0 && (
+          <span className="inline-flex items-center gap-1 px-2 py-1 rounded-md bg-violet-50 text-violet-700">
+            <Moon className="h-3 w-3" />
+            {metrics.sleep}h sleep
+          </span>
+        )}
+        {metrics.exercise > 0 && (
+          <span className="inline-flex items-center gap-1 px-2 py-1 rounded-md bg-sky-50 text-sky-700">
+            <Activity className="h-3 w-3" />
+            {metrics.exercise} min exercise
+          </span>
+        )}
+        <span className="inline-flex items-center gap-1 px-2 py-1 rounded-md bg-emerald-50 text-emerald-700 capitalize">
+          <Brain className="h-3 w-3" />
+          {formatLabel(metrics.mood)} mood, {formatLabel(metrics.stress)} stress
+        </span>
+        {metrics.symptoms?.length > 0 && (
+          <span className="inline-flex items-center gap-1 px-2 py-1 rounded-md bg-red-50 text-red-700 capitalize">
+            <Thermometer className="h-3 w-3" />
+            {metrics.symptoms.join(', ')}
+          </span>
+        )}
+      </div>
+
+      {scores.length > 0 && (
+        <div className="flex flex-wrap gap-4 text-xs text-gray-500">
+          {scores.map(score => (
+            <span key={score.label}>
+              {score.label}: <span className={`font-medium ${getScoreColor(score.value)}`}>{score.value}</span>
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
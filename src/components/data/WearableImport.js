@@ -0,0 +1,257 @@
+// src/components/data/WearableImport.js
+'use client';
+import { useState, useMemo } from 'react';
+import { Watch } from 'lucide-react';
+import { storageUtils } from '@/utils/storage';
+import { DAILY_METRIC_LABELS, mergeDailyMetrics, sourceLabel, summarizeDailyMetrics } from '@/utils/dailyMetrics';
+import {
+  WEARABLE_SOURCES,
+  MAPPABLE_FIELDS,
+  DURATION_UNITS,
+  parseWearableFile,
+  buildWearableRecords,
+  isMappingUsable
+} from '@/utils/wearableImport';
+
+const SOURCE_HINTS = {
+  fitbit: 'From fitbit.com, Settings > Data export: the activity and sleep CSV, or the JSON files from a full account export (sleep, steps, resting heart rate and active minutes).',
+  garmin: 'From Garmin Connect: export Activities, Sleep or daily summary reports as CSV.',
+  oura: 'From the Oura web dashboard: the CSV export of daily sleep and activity.',
+  'google-fit': 'From Google Takeout: the JSON files under Fit > All Data, or Daily activity metrics.csv.',
+  other: 'Any CSV with one row per day or per activity. Choose which columns hold the values below.'
+};
+
+const formatDay = (value) => new Date(`${value}T00:00:00`).toLocaleDateString();
+
+const columnsValue = (spec) => (spec ? spec.columns.join(' + ') : '');
+
+const selectClass = 'w-full px-2 py-1.5 border border-gray-200 rounded-lg text-sm bg-white focus:outline-none focus:ring-2 focus:ring-violet-500';
+
+// Import from Fitbit, Garmin, Oura and Google Fit files, with the column
+// mapping of CSV files shown so unknown layouts can be mapped by hand
+export const WearableImport = ({ onMessage }) => {
+  const [source, setSource] = useState('fitbit');
+  const [uploads, setUploads] = useState([]);
+  const [mappings, setMappings] = useState({});
+  const [isReading, setIsReading] = useState(false);
+
+  const parsed = useMemo(() => {
+    try {
+      return { files: uploads.map(upload => parseWearableFile(upload, source)) };
+    } catch (error) {
+      return { files: [], error: error.message };
+    }
+  }, [uploads, source]);
+
+  const tables = parsed.files.flatMap(file => file.tables);
+  const mappingFor = (table) => mappings[table.id] || table.mapping;
+
+  const preview = useMemo(() => {
+    if (parsed.files.length === 0) return null;
+    const result = buildWearableRecords(parsed.files, source, mappings);
+    return {
+      ...result,
+      ...mergeDailyMetrics(storageUtils.getDailyMetrics(), result.records),
+      summary: summarizeDailyMetrics(result.records)
+    };
+  }, [parsed, source, mappings]);
+
+  const handleFilesChange = async (e) => {
+    const files = [...(e.target.files || [])];
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    onMessage(null);
+    setIsReading(true);
+    try {
+      setMappings({});
+      setUploads(await Promise.all(files.map(async file => ({ name: file.name, text: await file.text() }))));
+    } catch (error) {
+      console.error('Error reading wearable export:', error);
+      onMessage({ type: 'error', text: 'Failed to read the selected files' });
+    } finally {
+      setIsReading(false);
+    }
+  };
+
+  const updateMapping = (table, field, changes) => {
+    const current = mappingFor(table);
+    const next = { ...current };
+    if (changes === null) {
+      delete next[field];
+    } else {
+      next[field] = { ...current[field], ...changes };
+    }
+    setMappings({ ...mappings, [table.id]: next });
+  };
+
+  const handleColumnChange = (table, field, value) => {
+    if (!value) {
+      updateMapping(table, field, null);
+      return;
+    }
+    const current = mappingFor(table)[field];
+    updateMapping(table, field, {
+      columns: value.split(' + '),
+      ...(MAPPABLE_FIELDS[field].duration && { unit: current?.unit || 'minutes' })
+    });
+  };
+
+  const reset = () => {
+    setUploads([]);
+    setMappings({});
+  };
+
+  const handleImport = () => {
+    const { records } = mergeDailyMetrics(storageUtils.getDailyMetrics(), preview.records);
+    if (storageUtils.saveDailyMetrics(records)) {
+      onMessage({ type: 'success', text: `Imported ${sourceLabel(source)} data for ${preview.summary.days} days` });
+      reset();
+    } else {
+      onMessage({ type: 'error', text: `Failed to save the ${sourceLabel(source)} data` });
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-6 space-y-4">
+      <h2 className="font-semibold flex items-center gap-2">
+        <Watch className="h-5 w-5 text-violet-600" />
+        Import from a wearable
+      </h2>
+      <p className="text-sm text-gray-500">
+        Sleep, sleep score, steps, active minutes and resting heart rate from exported files, added up per day. Files are read on this device, and importing the same days again updates them rather than adding them twice.
+      </p>
+
+      <div className="grid gap-3 sm:grid-cols-[12rem_1fr] items-start">
+        <select
+          value={source}
+          onChange={(e) => {
+            setSource(e.target.value);
+            setMappings({});
+          }}
+          className={selectClass}
+        >
+          {WEARABLE_SOURCES.map(name => (
+            <option key={name} value={name}>{sourceLabel(name)}</option>
+          ))}
+        </select>
+        <p className="text-sm text-gray-500">{SOURCE_HINTS[source]}</p>
+      </div>
+
+      <input
+        type="file"
+        multiple
+        accept=".csv,.json,text/csv,application/json"
+        onChange={handleFilesChange}
+        disabled={isReading}
+        className="block text-sm text-gray-600 file:mr-3 file:px-4 file:py-2 file:rounded-lg file:border-0 file:bg-violet-50 file:text-violet-700 hover:file:bg-violet-100"
+      />
+
+      {parsed.error && (
+        <div className="px-4 py-3 rounded-lg text-sm border bg-red-50 border-red-200 text-red-700">
+          {parsed.error}
+        </div>
+      )}
+
+      {tables.map(table => {
+        const mapping = mappingFor(table);
+        const headers = table.headers.filter(Boolean);
+        return (
+          <div key={table.id} className="border border-gray-100 rounded-lg p-4 space-y-3">
+            <div className="flex items-center justify-between gap-2">
+              <h3 className="text-sm font-medium">{table.id}</h3>
+              {!isMappingUsable(mapping) && (
+                <span className="text-xs text-amber-700">Choose a date column and at least one value to import this file</span>
+              )}
+            </div>
+            <div className="grid gap-3 sm:grid-cols-2">
+              {Object.entries(MAPPABLE_FIELDS).map(([field, { label, duration }]) => {
+                const value = columnsValue(mapping[field]);
+                return (
+                  <label key={field} className="text-xs text-gray-500 space-y-1">
+                    <span>{label}</span>
+                    <div className="flex gap-2">
+                      <select
+                        value={value}
+                        onChange={(e) => handleColumnChange(table, field, e.target.value)}
+                        className={selectClass}
+                      >
+                        <option value="">Not in this file</option>
+                        {value && !headers.includes(value) && <option value={value}>{value}</option>}
+                        {headers.map(header => (
+                          <option key={header} value={header}>{header}</option>
+                        ))}
+                      </select>
+                      {duration && mapping[field] && (
+                        <select
+                          value={mapping[field].unit || 'minutes'}
+                          onChange={(e) => updateMapping(table, field, { unit: e.target.value })}
+                          className={`${selectClass} w-auto`}
+                        >
+                          {Object.entries(DURATION_UNITS).map(([unit, unitLabel]) => (
+                            <option key={unit} value={unit}>{unitLabel}</option>
+                          ))}
+                        </select>
+                      )}
+                    </div>
+                  </label>
+                );
+              })}
+            </div>
+          </div>
+        );
+      })}
+
+      {preview && (
+        <div className="space-y-4">
+          {preview.records.length === 0 ? (
+            <p className="text-sm text-gray-600">No daily values found in the selected files.</p>
+          ) : (
+            <>
+              <p className="text-sm text-gray-600">
+                {preview.summary.days} days from {formatDay(preview.summary.start)} to {formatDay(preview.summary.end)}:
+                {' '}{preview.added} new, {preview.updated} will be updated and {preview.unchanged} already imported.
+                {preview.duplicates > 0 && ` ${preview.duplicates} duplicate rows were skipped.`}
+              </p>
+
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b border-gray-100">
+                    <th className="py-2 font-medium">Measure</th>
+                    <th className="py-2 font-medium text-right">Days with data</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {Object.entries(DAILY_METRIC_LABELS)
+                    .filter(([field]) => preview.summary.values[field] > 0)
+                    .map(([field, label]) => (
+                      <tr key={field} className="border-b border-gray-50">
+                        <td className="py-2">{label}</td>
+                        <td className="py-2 text-right">{preview.summary.values[field]}</td>
+                      </tr>
+                    ))}
+                </tbody>
+              </table>
+            </>
+          )}
+
+          <div className="flex gap-2">
+            <button
+              onClick={handleImport}
+              disabled={preview.added + preview.updated === 0}
+              className="px-4 py-2 bg-violet-600 text-white rounded-lg text-sm font-medium hover:bg-violet-700 transition-colors disabled:opacity-50"
+            >
+              Import
+            </button>
+            <button
+              onClick={reset}
+              className="px-4 py-2 border border-gray-200 rounded-lg text-sm text-gray-700 hover:bg-gray-50 transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
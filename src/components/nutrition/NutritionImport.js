@@ -0,0 +1,121 @@
+// src/components/nutrition/NutritionImport.js
+'use client';
+import { useState } from 'react';
+import { Upload } from 'lucide-react';
+import { readNutritionExport, applyNutritionImport, formatMacros } from '@/utils/nutritionImport';
+
+const PREVIEW_ROWS = 8;
+
+const formatDay = (value) => new Date(`${value}T00:00:00`).toLocaleDateString();
+
+// Import meals from a MyFitnessPal or Cronometer CSV export, with a preview
+// of what will be added before anything is saved
+export const NutritionImport = ({ meals, onImport, onClose }) => {
+  const [pending, setPending] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setError(null);
+    setPending(null);
+    try {
+      const result = readNutritionExport(await file.text(), meals);
+      if (result.meals.length === 0 && result.duplicates === 0) {
+        setError('No meals found in the file');
+        return;
+      }
+      setPending({ fileName: file.name, ...result });
+    } catch (err) {
+      setError(err.message || 'Failed to read the file');
+    }
+  };
+
+  const handleImport = () => {
+    onImport(applyNutritionImport(meals, pending), pending);
+    setPending(null);
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-6 space-y-4">
+      <h2 className="text-lg font-semibold flex items-center gap-2">
+        <Upload className="h-5 w-5 text-violet-600" />
+        Import Meals
+      </h2>
+      <p className="text-sm text-gray-500">
+        From MyFitnessPal, export the nutrition summary by meal from the website. From Cronometer, export Food &amp; Servings. Foods are grouped into breakfast, lunch, dinner and snacks per day, with protein, carbs and fat where the export has them.
+      </p>
+      <input
+        type="file"
+        accept=".csv,text/csv"
+        onChange={handleFileChange}
+        className="block w-full text-sm text-gray-600 file:mr-3 file:px-4 file:py-2 file:rounded-lg file:border-0 file:bg-violet-50 file:text-violet-700 hover:file:bg-violet-100"
+      />
+
+      {error && (
+        <div className="px-4 py-3 rounded-lg text-sm border bg-red-50 border-red-200 text-red-700">
+          {error}
+        </div>
+      )}
+
+      {pending && (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600">
+            {pending.label} export{pending.meals.length > 0 && (
+              <>: {pending.meals.length} meals over {pending.summary.days} days from {formatDay(pending.summary.start)} to {formatDay(pending.summary.end)}</>
+            )}.
+            {pending.replaces.length > 0 && ` ${pending.replaces.length} meals imported before will be updated.`}
+            {pending.duplicates > 0 && ` ${pending.duplicates} meals already logged will be skipped.`}
+          </p>
+
+          {pending.meals.length > 0 && (
+            <div className="space-y-2">
+              {pending.meals.slice(0, PREVIEW_ROWS).map(meal => (
+                <div key={meal.id} className="flex items-start justify-between gap-3 text-sm border-b border-gray-50 pb-2">
+                  <div className="min-w-0">
+                    <p className="font-medium truncate">{meal.description}</p>
+                    <p className="text-xs text-gray-500 capitalize">
+                      {formatDay(meal.date)} · {meal.type}
+                      {meal.macros && <span className="normal-case"> · {formatMacros(meal.macros)}</span>}
+                    </p>
+                  </div>
+                  <span className="text-violet-700 whitespace-nowrap">{meal.calories} cal</span>
+                </div>
+              ))}
+              {pending.meals.length > PREVIEW_ROWS && (
+                <p className="text-xs text-gray-500">and {pending.meals.length - PREVIEW_ROWS} more</p>
+              )}
+            </div>
+          )}
+
+          <div className="flex gap-2">
+            <button
+              onClick={handleImport}
+              disabled={pending.meals.length === 0}
+              className="px-4 py-2 bg-violet-600 text-white rounded-lg text-sm font-medium hover:bg-violet-700 transition-colors disabled:opacity-50"
+            >
+              Import {pending.meals.length} meals
+            </button>
+            <button
+              onClick={() => setPending(null)}
+              className="px-4 py-2 border border-gray-200 rounded-lg text-sm text-gray-700 hover:bg-gray-50 transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {!pending && (
+        <button
+          onClick={onClose}
+          className="text-sm text-gray-500 hover:text-gray-700"
+        >
+          Close
+        </button>
+      )}
+    </div>
+  );
+};
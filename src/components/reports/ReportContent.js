@@ -171,6 +171,22 @@ const ReportContent = ({ data, loading }) => {
               <p className="text-xl font-bold capitalize">{data.dateRange ? `${new Date(data.dateRange.start).toLocaleDateString()} - ${new Date(data.dateRange.end).toLocaleDateString()}` : 'N/A'}</p>
             </div>
           </div>
+          {data.nutrition?.avgMacros && (
+            <div className="grid grid-cols-3 gap-4">
+              <div>
+                <p className="text-sm text-gray-500">Avg. Daily Protein</p>
+                <p className="text-xl font-bold">{data.nutrition.avgMacros.protein}g</p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-500">Avg. Daily Carbs</p>
+                <p className="text-xl font-bold">{data.nutrition.avgMacros.carbs}g</p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-500">Avg. Daily Fat</p>
+                <p className="text-xl font-bold">{data.nutrition.avgMacros.fat}g</p>
+              </div>
+            </div>
+          )}
         </div>
       </div>
 
@@ -0,0 +1,160 @@
+// src/lib/analysisCache.js
+// The file and MongoDB backends need Node, so importing this from a client
+// component fails the build
+import 'server-only';
+
+// Analyses are keyed by content hash, so entries can stay cached for a long time
+const DEFAULT_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const MAX_MEMORY_ITEMS = 500;
+
+// SHA-256 of the JSON form of `value`, as hex
+export async function hashCacheKey(value) {
+  const data = new TextEncoder().encode(JSON.stringify(value));
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return [...new Uint8Array(digest)]
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+// Collapse whitespace so cosmetic edits do not miss the cache
+export const normalizeText = (text = '') => text.replace(/\s+/g, ' ').trim();
+
+export function createMemoryCache({ ttl = DEFAULT_TTL, maxItems = MAX_MEMORY_ITEMS } = {}) {
+  const items = new Map();
+
+  return {
+    name: 'memory',
+    async get(key) {
+      const item = items.get(key);
+      if (!item) return null;
+      if (item.expiresAt < Date.now()) {
+        items.delete(key);
+        return null;
+      }
+      return item.value;
+    },
+    async set(key, value) {
+      items.delete(key);
+      items.set(key, { value, expiresAt: Date.now() + ttl });
+      // Maps keep insertion order, so the first key is the oldest
+      if (items.size > maxItems) {
+        items.delete(items.keys().next().value);
+      }
+    }
+  };
+}
+
+// Node modules are loaded lazily so the memory backend works in any runtime
+export function createFileCache({ ttl = DEFAULT_TTL, dir } = {}) {
+  const getPaths = async (key) => {
+    const path = await import('path');
+    const os = await import('os');
+    const cacheDir = dir || path.join(os.tmpdir(), 'healthscribe-analysis-cache');
+    return { cacheDir, file: path.join(cacheDir, `${key}.json`) };
+  };
+
+  return {
+    name: 'file',
+    async get(key) {
+      const { promises: fs } = await import('fs');
+      const { file } = await getPaths(key);
+      try {
+        const item = JSON.parse(await fs.readFile(file, 'utf8'));
+        if (item.expiresAt < Date.now()) {
+          await fs.unlink(file).catch(() => {});
+          return null;
+        }
+        return item.value;
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error('Analysis cache read failed:', error);
+        }
+        return null;
+      }
+    },
+    async set(key, value) {
+      const { promises: fs } = await import('fs');
+      const { cacheDir, file } = await getPaths(key);
+      try {
+        await fs.mkdir(cacheDir, { recursive: true });
+        await fs.writeFile(file, JSON.stringify({ value, expiresAt: Date.now() + ttl }));
+      } catch (error) {
+        console.error('Analysis cache write failed:', error);
+      }
+    }
+  };
+}
+
+export function createMongoCache({ ttl = DEFAULT_TTL } = {}) {
+  const getModel = async () => {
+    const { connectDB, AnalysisCache } = await import('./db');
+    return (await connectDB()) ? AnalysisCache : null;
+  };
+
+  return {
+    name: 'mongo',
+    async get(key) {
+      try {
+        const AnalysisCache = await getModel();
+        if (!AnalysisCache) return null;
+        // The TTL index removes expired documents, but only once a minute
+        const item = await AnalysisCache.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+        return item ? item.value : null;
+      } catch (error) {
+        console.error('Analysis cache read failed:', error);
+        return null;
+      }
+    },
+    async set(key, value) {
+      try {
+        const AnalysisCache = await getModel();
+        if (!AnalysisCache) return;
+        await AnalysisCache.updateOne(
+          { key },
+          { key, value, expiresAt: new Date(Date.now() + ttl) },
+          { upsert: true }
+        );
+      } catch (error) {
+        console.error('Analysis cache write failed:', error);
+      }
+    }
+  };
+}
+
+export function createNoopCache() {
+  return {
+    name: 'none',
+    async get() {
+      return null;
+    },
+    async set() {}
+  };
+}
+
+// Pick a backend from ANALYSIS_CACHE (memory, file, mongo or none)
+export function createAnalysisCache(env = process.env) {
+  const backend = (env.ANALYSIS_CACHE || 'memory').toLowerCase();
+  const ttl = Number(env.ANALYSIS_CACHE_TTL_MINUTES) * 60 * 1000 || DEFAULT_TTL;
+
+  switch (backend) {
+    case 'memory':
+      return createMemoryCache({ ttl });
+    case 'file':
+      return createFileCache({ ttl, dir: env.ANALYSIS_CACHE_DIR });
+    case 'mongo':
+      return createMongoCache({ ttl });
+    case 'none':
+      return createNoopCache();
+    default:
+      throw new Error(`Unknown analysis cache backend: ${backend}`);
+  }
+}
+
+let sharedCache = null;
+
+export function getAnalysisCache() {
+  if (!sharedCache) {
+    sharedCache = createAnalysisCache();
+  }
+  return sharedCache;
+}
@@ -0,0 +1,214 @@
+// src/lib/analysisEvaluation.js
+import { extractMetrics, extractLocalMetrics, metricValues, METRIC_DEFAULTS } from './metricExtraction';
+import { renderPrompt } from './prompts';
+import { parseAnalysisContent } from './analysisSchema';
+import { isStubProvider } from './llmProvider';
+
+export const EVALUATED_FIELDS = ['sleep', 'exercise', 'mood', 'stress', 'symptoms'];
+
+// How far a numeric prediction may be from the label and still count as correct
+const TOLERANCES = {
+  sleep: 0.5, // hours
+  exercise: 5 // minutes
+};
+
+// Checked in order, so 'headache' wins over 'ache'
+const symptomNames = {
+  headache: 'headache',
+  migraine: 'headache',
+  nause: 'nausea',
+  fever: 'fever',
+  cough: 'cough',
+  dizz: 'dizziness',
+  insomnia: 'insomnia',
+  cramp: 'cramps',
+  anxi: 'anxiety',
+  fatigue: 'fatigue',
+  tired: 'fatigue',
+  exhaust: 'fatigue',
+  pain: 'pain',
+  ache: 'pain',
+  sore: 'pain'
+};
+
+export const normalizeSymptom = (symptom) => {
+  const text = String(symptom).toLowerCase().trim();
+  const match = Object.keys(symptomNames).find(name => text.includes(name));
+  return match ? symptomNames[match] : text;
+};
+
+// Collapse the different mood/stress vocabularies into three levels
+export const normalizeMood = (value) => {
+  const text = String(value || '').toLowerCase();
+  if (text.includes('positive')) return 'positive';
+  if (text.includes('negative')) return 'negative';
+  if (text.includes('neutral')) return 'neutral';
+  return null;
+};
+
+export const normalizeStress = (value) => {
+  const text = String(value || '').toLowerCase();
+  if (text.includes('high')) return 'high';
+  if (text.includes('low')) return 'low';
+  if (text.includes('moderate') || text.includes('medium')) return 'moderate';
+  return null;
+};
+
+// Zero means "not mentioned" in every extractor
+const toAmount = (value) => (typeof value === 'number' && value > 0 ? value : null);
+
+const toSymptoms = (values) =>
+  [...new Set((Array.isArray(values) ? values : []).map(normalizeSymptom))];
+
+// The analysis screens assume neutral mood and moderate stress when an entry
+// does not say. A default is not a detection, so it counts as not mentioned
+// and scores neither a true nor a false positive.
+const unlessDefault = (field, value) => (value === METRIC_DEFAULTS[field] ? null : value);
+
+// Unmentioned fields stay null rather than taking the defaults
+export const localExtractors = [
+  {
+    name: 'extractMetrics',
+    fields: EVALUATED_FIELDS,
+    extract: (text) => {
+      const metrics = metricValues(extractMetrics(text));
+      return {
+        sleep: toAmount(metrics.sleep),
+        exercise: toAmount(metrics.exercise),
+        mood: normalizeMood(metrics.mood),
+        stress: normalizeStress(metrics.stress),
+        symptoms: toSymptoms(metrics.symptoms)
+      };
+    }
+  }
+];
+
+// Score the model on its own: the batch prompt gives sleep, exercise, mood and
+// stress; the entry prompt gives symptoms. Responses are not repaired. The
+// stub answers from extractMetrics itself, so its scores only show that the
+// prompts and parsing work.
+export function createProviderExtractor(provider) {
+  return {
+    name: isStubProvider(provider)
+      ? 'stub provider (answers from extractMetrics; checks the pipeline, not a model)'
+      : `${provider.name} (${provider.model})`,
+    fields: EVALUATED_FIELDS,
+    extract: async (text) => {
+      const entries = [{ date: new Date().toISOString(), content: text }];
+      const metrics = extractLocalMetrics(text);
+
+      const batch = parseAnalysisContent(await provider.complete({
+        task: 'batchAnalysis',
+        input: { entries },
+        messages: renderPrompt('batch-analysis', {
+          description: 'this array of journal entries',
+          data: entries,
+          trendBasis: 'entries'
+        }),
+        temperature: 0,
+        json: true
+      }));
+
+      const entry = parseAnalysisContent(await provider.complete({
+        task: 'entryAnalysis',
+        input: { entry: text, metrics },
+        messages: renderPrompt('entry-analysis', { entry: text, metrics }),
+        temperature: 0,
+        json: true
+      }));
+
+      return {
+        sleep: toAmount(batch?.metrics?.sleep?.average),
+        exercise: toAmount(batch?.metrics?.exercise?.average),
+        mood: normalizeMood(unlessDefault('mood', batch?.metrics?.mentalHealth?.predominantMood)),
+        stress: normalizeStress(unlessDefault('stress', batch?.metrics?.mentalHealth?.stressLevel)),
+        symptoms: toSymptoms(entry?.analysis?.physicalHealth?.symptoms)
+      };
+    }
+  };
+}
+
+// True/false positives and false negatives for one field of one entry.
+// A prediction only counts as a positive when it names a value.
+function compareField(field, expected, predicted) {
+  if (field === 'symptoms') {
+    const expectedSet = new Set(expected);
+    const predictedSet = new Set(predicted);
+    const tp = [...predictedSet].filter(symptom => expectedSet.has(symptom)).length;
+    return { tp, fp: predictedSet.size - tp, fn: expectedSet.size - tp };
+  }
+
+  const hasExpected = expected !== null && expected !== undefined;
+  const hasPredicted = predicted !== null && predicted !== undefined;
+  const correct = hasExpected && hasPredicted && (
+    field in TOLERANCES
+      ? Math.abs(expected - predicted) <= TOLERANCES[field]
+      : expected === predicted
+  );
+
+  return {
+    tp: correct ? 1 : 0,
+    fp: hasPredicted && !correct ? 1 : 0,
+    fn: hasExpected && !correct ? 1 : 0
+  };
+}
+
+const ratio = (numerator, denominator) => (denominator > 0 ? numerator / denominator : null);
+
+const summarize = ({ tp, fp, fn }) => {
+  const precision = ratio(tp, tp + fp);
+  const recall = ratio(tp, tp + fn);
+  const f1 = precision !== null && recall !== null && precision + recall > 0
+    ? (2 * precision * recall) / (precision + recall)
+    : null;
+  return { tp, fp, fn, precision, recall, f1 };
+};
+
+// Reports in the shape evaluateExtractor returns, from recorded counts
+export const baselineReports = (baseline) =>
+  baseline.extractors.map(({ name, fields }) => ({
+    name,
+    fields: Object.fromEntries(Object.entries(fields).map(([field, counts]) => [field, summarize(counts)])),
+    mismatches: [],
+    errors: []
+  }));
+
+// Run one extractor over the corpus and report precision/recall per field
+export async function evaluateExtractor(extractor, corpus) {
+  const counts = Object.fromEntries(extractor.fields.map(field => [field, { tp: 0, fp: 0, fn: 0 }]));
+  const mismatches = [];
+  const errors = [];
+
+  for (const sample of corpus) {
+    let predicted;
+    try {
+      predicted = await extractor.extract(sample.text);
+    } catch (error) {
+      errors.push({ id: sample.id, error: error.message });
+      predicted = {};
+    }
+
+    for (const field of extractor.fields) {
+      const expected = sample.expected[field];
+      const value = predicted[field] ?? (field === 'symptoms' ? [] : null);
+      const result = compareField(field, expected, value);
+
+      counts[field].tp += result.tp;
+      counts[field].fp += result.fp;
+      counts[field].fn += result.fn;
+
+      if (result.fp > 0 || result.fn > 0) {
+        mismatches.push({ id: sample.id, field, expected, predicted: value });
+      }
+    }
+  }
+
+  return {
+    name: extractor.name,
+    fields: Object.fromEntries(
+      Object.entries(counts).map(([field, fieldCounts]) => [field, summarize(fieldCounts)])
+    ),
+    mismatches,
+    errors
+  };
+}
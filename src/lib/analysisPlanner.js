@@ -0,0 +1,175 @@
+// src/lib/analysisPlanner.js
+import { getEntryText, getEntryTime, summarizeEntriesLocally } from './mockAnalyst';
+import { parseAnalysisContent } from './analysisSchema';
+import { renderPrompt } from './prompts';
+
+// Prompt tokens allowed per request (override with ANALYSIS_TOKEN_BUDGET)
+const DEFAULT_TOKEN_BUDGET = 8000;
+
+// Coarsest grouping last; used when finer groups still exceed the budget
+const GRANULARITIES = ['day', 'week', 'month'];
+
+// Instructions and JSON template that surround the data in the analysis prompt
+const PROMPT_OVERHEAD_TOKENS = 500;
+
+// Rough estimate that holds for English text with OpenAI tokenizers
+export const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+// Adds up the tokens a run of provider calls used: the provider's own
+// figures when it reports them (through the request's onUsage), otherwise an
+// estimate of the prompt plus the response
+export function createTokenMeter() {
+  let total = 0;
+  return {
+    get total() {
+      return total;
+    },
+    add(messages, content, usage) {
+      total += usage
+        ? usage.promptTokens + usage.completionTokens
+        : estimateTokens(messages.map(message => message.content).join('\n')) + estimateTokens(content || '');
+    }
+  };
+}
+
+const estimatePromptTokens = (data) =>
+  PROMPT_OVERHEAD_TOKENS + estimateTokens(JSON.stringify(data, null, 2));
+
+export const getTokenBudget = (env = process.env) =>
+  Number(env.ANALYSIS_TOKEN_BUDGET) || DEFAULT_TOKEN_BUDGET;
+
+const toDateKey = (date) => date.toISOString().split('T')[0];
+
+const getPeriodKey = (entry, granularity) => {
+  const date = new Date(getEntryTime(entry));
+
+  if (granularity === 'month') {
+    return toDateKey(date).slice(0, 7);
+  }
+  if (granularity === 'week') {
+    // Weeks start on Monday
+    const monday = new Date(date);
+    monday.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+    return `week of ${toDateKey(monday)}`;
+  }
+  return toDateKey(date);
+};
+
+// Group entries into periods, oldest first
+export function groupEntriesByPeriod(entries, granularity) {
+  const groups = new Map();
+
+  [...entries]
+    .sort((a, b) => getEntryTime(a) - getEntryTime(b))
+    .forEach(entry => {
+      const period = getPeriodKey(entry, granularity);
+      if (!groups.has(period)) groups.set(period, []);
+      groups.get(period).push(entry);
+    });
+
+  return [...groups.entries()].map(([period, periodEntries]) => ({ period, entries: periodEntries }));
+}
+
+// Only the fields the model needs, to keep prompts small
+export const compactEntry = (entry) => ({
+  date: entry.date || entry.timestamp,
+  content: getEntryText(entry)
+});
+
+// Pack periods into chunks that each fit the budget
+function chunkPeriods(periods, budget) {
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+
+  for (const period of periods) {
+    const tokens = estimateTokens(JSON.stringify(period.entries.map(compactEntry)));
+    if (current.length > 0 && currentTokens + tokens > budget) {
+      chunks.push(current);
+      current = [];
+      currentTokens = 0;
+    }
+    current.push(period);
+    currentTokens += tokens;
+  }
+
+  if (current.length > 0) chunks.push(current);
+  return chunks;
+}
+
+// Reduce-step input: local metrics per period plus the model's summary
+const describePeriod = (period, summary) => ({
+  period: period.period,
+  ...summarizeEntriesLocally(period.entries),
+  summary
+});
+
+// Decide how to send entries to the model. Small histories go in one request;
+// larger ones are summarized per day, week or month first (map) and the
+// summaries analyzed together (reduce).
+export function planAnalysis(entries, budget = getTokenBudget()) {
+  const directTokens = estimatePromptTokens(entries.map(compactEntry));
+  if (directTokens <= budget) {
+    return { strategy: 'direct', estimatedTokens: directTokens, requests: 1 };
+  }
+
+  let plan = null;
+  for (const granularity of GRANULARITIES) {
+    const periods = groupEntriesByPeriod(entries, granularity);
+    const chunks = chunkPeriods(periods, budget - PROMPT_OVERHEAD_TOKENS);
+    // Size the reduce prompt with placeholder summaries of a typical length
+    const reduceTokens = estimatePromptTokens(periods.map(p => describePeriod(p, 'x'.repeat(200))));
+    const mapTokens = chunks.reduce(
+      (sum, chunk) => sum + estimateTokens(JSON.stringify(chunk.map(p => p.entries.map(compactEntry)))),
+      0
+    );
+
+    plan = {
+      strategy: 'map-reduce',
+      granularity,
+      periods,
+      chunks,
+      estimatedTokens: mapTokens + reduceTokens,
+      requests: chunks.length + 1
+    };
+    if (reduceTokens <= budget) break;
+  }
+
+  return plan;
+}
+
+// Map step: one request per chunk; local stats stand in for any missing summary
+export async function summarizePeriods(provider, plan, onProgress = () => {}, meter = createTokenMeter()) {
+  const described = [];
+
+  for (const [index, chunk] of plan.chunks.entries()) {
+    const messages = renderPrompt('period-summaries', {
+      periods: chunk.map(p => ({ period: p.period, entries: p.entries.map(compactEntry) }))
+    });
+    let usage = null;
+    const content = await provider.complete({
+      task: 'periodSummaries',
+      input: { periods: chunk },
+      messages,
+      temperature: 0.3,
+      json: true,
+      onUsage: (reported) => { usage = reported; }
+    });
+    meter.add(messages, content, usage);
+
+    const summaries = parseAnalysisContent(content)?.summaries;
+    const byPeriod = new Map(
+      (Array.isArray(summaries) ? summaries : [])
+        .filter(item => typeof item?.period === 'string' && typeof item?.summary === 'string')
+        .map(item => [item.period, item.summary])
+    );
+
+    chunk.forEach(period => {
+      described.push(describePeriod(period, byPeriod.get(period.period) || null));
+    });
+
+    onProgress({ phase: 'summarized', completed: index + 1, total: plan.chunks.length });
+  }
+
+  return described;
+}
@@ -0,0 +1,178 @@
+// src/lib/analysisSchema.js
+
+export const TRENDS = ['improving', 'stable', 'declining'];
+
+// Common model wording for each trend
+const trendSynonyms = {
+  improving: ['improved', 'increasing', 'increase', 'up', 'upward', 'better', 'rising'],
+  stable: ['steady', 'unchanged', 'consistent', 'flat', 'no change', 'neutral'],
+  declining: ['declined', 'decreasing', 'decrease', 'down', 'downward', 'worse', 'worsening', 'falling']
+};
+
+// Contract for the /api/analyze response. Leaves carry a `type`.
+export const analysisSchema = {
+  metrics: {
+    sleep: {
+      average: { type: 'number', min: 0, max: 24 },
+      quality: { type: 'number', min: 0, max: 100 },
+      trend: { type: 'enum', values: TRENDS, synonyms: trendSynonyms }
+    },
+    mentalHealth: {
+      averageScore: { type: 'number', min: 0, max: 100 },
+      predominantMood: { type: 'string' },
+      stressLevel: { type: 'string' },
+      trend: { type: 'enum', values: TRENDS, synonyms: trendSynonyms }
+    },
+    exercise: {
+      average: { type: 'number', min: 0, max: 1440 },
+      trend: { type: 'enum', values: TRENDS, synonyms: trendSynonyms }
+    }
+  },
+  insights: { type: 'list', length: 3 },
+  recommendations: { type: 'list', length: 3 }
+};
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+const isLeaf = (spec) => typeof spec.type === 'string';
+
+// Each validator returns { value, problem }; problem is null when the value was usable as-is
+const validators = {
+  number: (raw, spec, fallback) => {
+    let value = raw;
+    let problem = null;
+
+    if (typeof value === 'string') {
+      value = parseFloat(value.replace(/[^\d.-]/g, ''));
+      problem = 'coerced from string';
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return { value: fallback ?? spec.min, problem: 'not a number' };
+    }
+    if (value < spec.min || value > spec.max) {
+      value = Math.max(spec.min, Math.min(spec.max, value));
+      problem = `out of range ${spec.min}-${spec.max}`;
+    }
+
+    return { value: round1(value), problem };
+  },
+
+  enum: (raw, spec, fallback) => {
+    const normalized = typeof raw === 'string' ? raw.trim().toLowerCase() : '';
+    if (spec.values.includes(normalized)) {
+      return { value: normalized, problem: normalized === raw ? null : 'normalized case' };
+    }
+
+    const match = Object.entries(spec.synonyms || {})
+      .find(([, words]) => words.includes(normalized));
+    if (match) {
+      return { value: match[0], problem: `mapped "${raw}" to "${match[0]}"` };
+    }
+
+    return {
+      value: spec.values.includes(fallback) ? fallback : spec.values[0],
+      problem: `must be one of ${spec.values.join('/')}`
+    };
+  },
+
+  string: (raw, spec, fallback) => {
+    if (typeof raw === 'string' && raw.trim()) {
+      return { value: raw.trim(), problem: null };
+    }
+    if (typeof raw === 'number') {
+      return { value: String(raw), problem: 'coerced from number' };
+    }
+    return { value: fallback ?? '', problem: 'not a string' };
+  },
+
+  list: (raw, spec, fallback = []) => {
+    if (!Array.isArray(raw)) {
+      return { value: fallback.slice(0, spec.length), problem: 'not a list' };
+    }
+
+    // Models sometimes return { text: '...' } objects instead of strings
+    const items = raw
+      .map(item => (typeof item === 'string' ? item : Object.values(item || {}).find(v => typeof v === 'string')))
+      .filter(item => typeof item === 'string' && item.trim())
+      .map(item => item.trim());
+    const cleaned = items.length !== raw.length;
+
+    if (items.length === spec.length) {
+      return { value: items, problem: cleaned ? 'dropped non-text items' : null };
+    }
+
+    const padded = [...items, ...fallback.filter(item => !items.includes(item))].slice(0, spec.length);
+    return { value: padded, problem: `expected exactly ${spec.length} items, got ${raw.length}` };
+  }
+};
+
+function validateNode(raw, schema, fallback, path, issues) {
+  const result = {};
+
+  for (const [key, spec] of Object.entries(schema)) {
+    const fieldPath = path ? `${path}.${key}` : key;
+    const value = raw?.[key];
+    const fallbackValue = fallback?.[key];
+
+    if (!isLeaf(spec)) {
+      if (value === undefined || value === null || typeof value !== 'object') {
+        issues.push({ path: fieldPath, problem: 'missing' });
+      }
+      result[key] = validateNode(value, spec, fallbackValue, fieldPath, issues);
+      continue;
+    }
+
+    if (value === undefined || value === null) {
+      issues.push({ path: fieldPath, problem: 'missing' });
+    }
+
+    const checked = validators[spec.type](value, spec, fallbackValue);
+    if (checked.problem && value !== undefined && value !== null) {
+      issues.push({ path: fieldPath, problem: checked.problem });
+    }
+    result[key] = checked.value;
+  }
+
+  return result;
+}
+
+// Validate an analysis against the schema, filling bad fields from `fallback`.
+// Unknown fields are dropped. Returns the repaired analysis and a list of issues.
+export function validateAnalysis(raw, fallback = {}) {
+  const issues = [];
+  const analysis = validateNode(raw, analysisSchema, fallback, '', issues);
+
+  // A missing parent already covers its children
+  const missingParents = issues
+    .filter(issue => issue.problem === 'missing')
+    .map(issue => issue.path);
+  const reported = issues.filter(issue =>
+    !missingParents.some(parent => issue.path.startsWith(`${parent}.`))
+  );
+
+  return {
+    analysis,
+    issues: reported,
+    repairedFields: [...new Set(reported.map(issue => issue.path))]
+  };
+}
+
+// Missing blocks or fields mean the model ignored the structure, which is worth a re-prompt
+export function hasStructuralIssues(issues) {
+  return issues.some(issue => issue.problem === 'missing');
+}
+
+export function parseAnalysisContent(content) {
+  if (!content) return null;
+
+  try {
+    const parsed = JSON.parse(content.trim());
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+export function describeIssues(issues) {
+  return issues.map(issue => `- ${issue.path}: ${issue.problem}`).join('\n');
+}
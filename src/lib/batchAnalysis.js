@@ -0,0 +1,189 @@
+// src/lib/batchAnalysis.js
+import { getLLMProvider } from './llmProvider';
+import { mockBatchAnalysis } from './mockAnalyst';
+import { planAnalysis, summarizePeriods, compactEntry, createTokenMeter } from './analysisPlanner';
+import { getAnalysisCache, hashCacheKey, normalizeText } from './analysisCache';
+import { getPrompt, renderPrompt, describeGeneration } from './prompts';
+import {
+  validateAnalysis,
+  hasStructuralIssues,
+  parseAnalysisContent,
+  describeIssues
+} from './analysisSchema';
+
+// Initial request plus one re-prompt when the response is unusable
+const MAX_ATTEMPTS = 2;
+
+// Same entries in any order or spacing hash to the same key
+const getCacheKey = (provider, entries) => hashCacheKey({
+  task: 'batchAnalysis',
+  promptVersions: [getPrompt('batch-analysis').version, getPrompt('period-summaries').version],
+  provider: provider.name,
+  model: provider.model,
+  entries: entries
+    .map(entry => {
+      const { date, content } = compactEntry(entry);
+      return { date, content: normalizeText(content) };
+    })
+    .sort((a, b) => `${a.date}${a.content}`.localeCompare(`${b.date}${b.content}`))
+});
+
+// Pull the insight strings that have fully arrived out of a partial JSON response
+export function extractPartialInsights(text) {
+  const start = text.search(/"insights"\s*:\s*\[/);
+  if (start === -1) return [];
+
+  const insights = [];
+  // Sticky so matching stops at the first thing that is not a complete string item
+  const stringPattern = /\s*"((?:[^"\\]|\\.)*)"\s*([,\]])/y;
+  stringPattern.lastIndex = text.indexOf('[', start) + 1;
+
+  let match;
+  while ((match = stringPattern.exec(text)) !== null) {
+    try {
+      insights.push(JSON.parse(`"${match[1]}"`));
+    } catch {
+      break;
+    }
+    if (match[2] === ']') break;
+  }
+
+  return insights;
+}
+
+// Stream the completion when the caller wants partial insights
+async function requestCompletion(provider, request, { stream, onProgress }) {
+  if (!stream || !provider.stream) {
+    return provider.complete(request);
+  }
+
+  let content = '';
+  let sentInsights = 0;
+  for await (const chunk of provider.stream(request)) {
+    content += chunk;
+    const insights = extractPartialInsights(content);
+    if (insights.length > sentInsights) {
+      sentInsights = insights.length;
+      onProgress({ phase: 'partial', insights });
+    }
+  }
+
+  return content;
+}
+
+// How the prompt describes period summaries for each granularity
+const periodLabels = {
+  day: 'daily',
+  week: 'weekly',
+  month: 'monthly'
+};
+
+// Typical length of a JSON response, summaries or full analysis
+const RESPONSE_TOKENS = 1000;
+
+// Tokens an analysis of these entries will likely use, prompts and responses,
+// for budget checks before it runs. What it actually used, re-prompts
+// included, is counted by the meter passed to runBatchAnalysis.
+export const estimateAnalysisTokens = (entries) => {
+  const plan = planAnalysis(entries);
+  return plan.estimatedTokens + plan.requests * RESPONSE_TOKENS;
+};
+
+// Run the batch analysis with validation and one re-prompt. Every provider
+// call is counted on `meter`, including attempts that failed.
+// Returns null when no attempt produced parseable JSON.
+export async function runBatchAnalysis(entries, { stream = false, onProgress = () => {}, meter = createTokenMeter() } = {}) {
+  const provider = getLLMProvider();
+  const cache = getAnalysisCache();
+
+  // Local extraction fills any fields the model gets wrong
+  const fallback = mockBatchAnalysis(entries);
+  onProgress({ phase: 'extracted', entries: entries.length, metrics: fallback.metrics });
+
+  const cacheKey = await getCacheKey(provider, entries);
+  const cached = await cache.get(cacheKey);
+  if (cached) {
+    onProgress({ phase: 'cached' });
+    return { ...cached, cached: true };
+  }
+
+  const plan = planAnalysis(entries);
+  const planSummary = {
+    strategy: plan.strategy,
+    granularity: plan.granularity || null,
+    periods: plan.periods?.length || null,
+    requests: plan.requests,
+    estimatedTokens: plan.estimatedTokens
+  };
+  onProgress({ phase: 'planned', ...planSummary });
+
+  let messages;
+  if (plan.strategy === 'direct') {
+    messages = renderPrompt('batch-analysis', {
+      description: 'this array of journal entries',
+      data: entries.map(compactEntry),
+      trendBasis: 'entries'
+    });
+  } else {
+    const periods = await summarizePeriods(provider, plan, onProgress, meter);
+    messages = renderPrompt('batch-analysis', {
+      data: periods,
+      description: `these ${periodLabels[plan.granularity]} summaries of journal entries (sleepHours, exerciseMinutes, mood, stress and symptoms were extracted from the entries; summary was written from the entry text)`,
+      trendBasis: 'periods'
+    });
+  }
+
+  let result = null;
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    onProgress({ phase: 'model-started', attempt, provider: provider.name });
+
+    let usage = null;
+    const content = await requestCompletion(provider, {
+      task: 'batchAnalysis',
+      input: { entries },
+      messages,
+      temperature: 0.7,
+      json: true,
+      onUsage: (reported) => { usage = reported; }
+    }, { stream, onProgress });
+    meter.add(messages, content, usage);
+
+    const parsed = parseAnalysisContent(content);
+    result = parsed ? validateAnalysis(parsed, fallback) : null;
+
+    if ((result && !hasStructuralIssues(result.issues)) || attempt === MAX_ATTEMPTS) break;
+
+    // Re-prompt once with the problems we found
+    messages.push(
+      { role: "assistant", content: content || '' },
+      {
+        role: "user",
+        content: result
+          ? `Your response did not match the required structure:\n${describeIssues(result.issues)}\nReturn ONLY the corrected JSON object.`
+          : 'Your response was not a valid JSON object. Return ONLY the JSON object in the required structure.'
+      }
+    );
+  }
+
+  if (!result) return null;
+
+  const analysisResult = {
+    ...result,
+    plan: planSummary,
+    generation: describeGeneration('batch-analysis', provider)
+  };
+  await cache.set(cacheKey, analysisResult);
+  return { ...analysisResult, cached: false };
+}
+
+// Shape a runBatchAnalysis result for the API response
+export function formatAnalysisResponse(result) {
+  return {
+    ...result.analysis,
+    repairedFields: result.repairedFields,
+    plan: result.plan,
+    cached: result.cached,
+    ...result.generation
+  };
+}
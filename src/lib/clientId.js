@@ -0,0 +1,11 @@
+// src/lib/clientId.js
+
+// Cookie that tells browsers apart for usage limits. There are no accounts
+// yet, so this is the closest thing to a user id. Kept free of Node imports
+// because the middleware runs on the edge runtime.
+export const CLIENT_ID_COOKIE = 'journal_client';
+
+// One year, so a browser keeps its limits between visits
+export const CLIENT_ID_MAX_AGE = 365 * 24 * 60 * 60;
+
+export const createClientId = () => crypto.randomUUID();
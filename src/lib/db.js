@@ -1,5 +1,6 @@
 // src/lib/db.js
 import mongoose from 'mongoose';
+import { SCHEMA_VERSION } from '../utils/schema';
 
 // Database Connection
 const connectDB = async () => {
@@ -8,7 +9,7 @@ const connectDB = async () => {
       return true;
     }
 
-    await mongoose.connect('mongodb://localhost:27017/health-journal', {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/health-journal', {
       useNewUrlParser: true,
       useUnifiedTopology: true,
     });
@@ -45,14 +46,55 @@ const UserSchema = new mongoose.Schema({
       symptoms: [String],
       mood: String,
       energy: String
+    },
+    // Same versioning as browser records; see utils/schema.js
+    schemaVersion: {
+      type: Number,
+      default: SCHEMA_VERSION
     }
   }]
 }, {
   timestamps: true
 });
 
-// Initialize User model (prevent multiple model initialization)
+// Analysis Cache Schema
+const AnalysisCacheSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  value: mongoose.Schema.Types.Mixed,
+  expiresAt: {
+    type: Date,
+    required: true,
+    // MongoDB removes documents once expiresAt has passed
+    index: { expires: 0 }
+  }
+});
+
+// Usage Counter Schema (rate limits and daily budgets)
+const UsageCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 }
+  }
+});
+
+// Initialize models (prevent multiple model initialization)
 const User = mongoose.models.User || mongoose.model('User', UserSchema);
+const AnalysisCache = mongoose.models.AnalysisCache || mongoose.model('AnalysisCache', AnalysisCacheSchema);
+const UsageCounter = mongoose.models.UsageCounter || mongoose.model('UsageCounter', UsageCounterSchema);
 
-// Export both the connection function and the User model
-export { connectDB, User };
\ No newline at end of file
+// Export the connection function and the models
+export { connectDB, User, AnalysisCache, UsageCounter };
\ No newline at end of file
@@ -0,0 +1,223 @@
+// src/lib/entrySearch.js
+import { CATEGORY_PATTERNS } from './healthVocabulary';
+import { extractMetrics, metricValues } from './metricExtraction';
+import { createSearchIndex, tokenize, tokenizeWithPositions } from './journalSearch';
+import { parseTimeRange } from '../utils/dateUtils';
+import { getEntryText, getEntryTime } from './mockAnalyst';
+
+// Vocabulary groups whose words mean the same thing, so "tired" also finds
+// "exhausted" and "fatigued"
+const CONCEPT_GROUPS = ['mood', 'stress', 'energy', 'symptoms'];
+
+export const CONCEPTS = CONCEPT_GROUPS.flatMap(group =>
+  Object.entries(CATEGORY_PATTERNS[group]).map(([name, pattern]) => ({
+    id: `concept:${group}.${name}`,
+    group,
+    name,
+    pattern
+  }))
+);
+
+const CATEGORY_FIELDS = { mood: 'mood', stress: 'stress', energy: 'energy', symptom: 'symptoms', symptoms: 'symptoms' };
+const NUMERIC_FIELDS = ['sleep', 'exercise'];
+
+const NUMERIC_FILTER = /\b(sleep|exercise)\s*:?\s*(<=|>=|<|>|=)\s*(\d+(?:\.\d+)?)/gi;
+const CATEGORY_FILTER = /\b(mood|stress|energy|symptoms?):([a-z-]+)/gi;
+const DATE_FILTER = /\b(from|since|after|to|until|before|date):(\d{4}-\d{2}(?:-\d{2})?)/gi;
+const TIME_PHRASE = /\b(?:(?:last|past|previous)\s+(?:\d+\s+)?(?:day|week|month|year)s?|this\s+(?:week|month|year)|yesterday|today)\b/gi;
+
+// Metrics the filters work on. Values the text does not mention are null
+// rather than the analysis defaults, so "sleep < 6" skips entries that
+// never mention sleep.
+export const getEntryFacets = (entry) => metricValues(extractMetrics(getEntryText(entry)));
+
+// "very-negative" -> "veryNegative"
+const toCamelCase = (value) => value.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+
+// "2024-03" covers the whole month, "2024-03-05" the whole day
+const parseDateBound = (value, isEnd) => {
+  const [year, month, day] = value.split('-').map(Number);
+  const start = day ? new Date(year, month - 1, day) : new Date(year, month - 1, 1);
+  if (!isEnd) return start.getTime();
+  const end = day ? new Date(year, month - 1, day + 1) : new Date(year, month, 1);
+  return end.getTime() - 1;
+};
+
+// Split a search box query into filters and free text
+export function parseSearchQuery(query = '', now = Date.now()) {
+  const filters = [];
+  let range = null;
+
+  const narrowRange = (start, end) => {
+    range = {
+      start: Math.max(range?.start ?? -Infinity, start),
+      end: Math.min(range?.end ?? Infinity, end)
+    };
+  };
+
+  let text = query.replace(NUMERIC_FILTER, (_, field, operator, value) => {
+    filters.push({ field: field.toLowerCase(), operator, value: Number(value) });
+    return ' ';
+  });
+
+  text = text.replace(CATEGORY_FILTER, (match, field, value) => {
+    filters.push({ field: CATEGORY_FIELDS[field.toLowerCase()], operator: ':', value: toCamelCase(value.toLowerCase()) });
+    return ' ';
+  });
+
+  text = text.replace(DATE_FILTER, (_, bound, value) => {
+    switch (bound.toLowerCase()) {
+      case 'from':
+      case 'since':
+        narrowRange(parseDateBound(value, false), Infinity);
+        break;
+      case 'after':
+        narrowRange(parseDateBound(value, true) + 1, Infinity);
+        break;
+      case 'to':
+      case 'until':
+        narrowRange(-Infinity, parseDateBound(value, true));
+        break;
+      case 'before':
+        narrowRange(-Infinity, parseDateBound(value, false) - 1);
+        break;
+      default:
+        narrowRange(parseDateBound(value, false), parseDateBound(value, true));
+    }
+    return ' ';
+  });
+
+  const timeRange = parseTimeRange(text, now);
+  if (timeRange) {
+    narrowRange(timeRange.start, timeRange.end);
+    text = text.replace(TIME_PHRASE, ' ');
+  }
+
+  return { text: text.replace(/\s+/g, ' ').trim(), filters, range };
+}
+
+// "negative" also matches "veryNegative", "high" also matches "veryHigh"
+const matchesCategory = (actual, wanted) =>
+  actual === wanted || actual === `very${wanted.charAt(0).toUpperCase()}${wanted.slice(1)}`;
+
+const COMPARE = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '=': (a, b) => a === b
+};
+
+const matchesFilter = (facets, filter) => {
+  if (NUMERIC_FIELDS.includes(filter.field)) {
+    const value = facets[filter.field];
+    return value !== null && COMPARE[filter.operator](value, filter.value);
+  }
+  if (filter.field === 'symptoms') {
+    return facets.symptoms.some(symptom => matchesCategory(symptom, filter.value));
+  }
+  const value = facets[filter.field];
+  return value !== null && matchesCategory(value, filter.value);
+};
+
+const globalPattern = (pattern) => new RegExp(pattern.source, 'gi');
+
+// Concepts named by the query text. Plural words are also tried singular
+// because the vocabulary mostly lists the singular form.
+const getQueryConcepts = (text) => {
+  const words = text.toLowerCase().match(/[a-z]+/g) || [];
+  return CONCEPTS.filter(concept =>
+    concept.pattern.test(text) ||
+    words.some(word => word.endsWith('s') && concept.pattern.test(word.slice(0, -1)))
+  );
+};
+
+// Character ranges to highlight, merged and in order
+export function getHighlights(text = '', terms = [], concepts = []) {
+  const termSet = new Set(terms);
+  const spans = tokenizeWithPositions(text)
+    .filter(token => termSet.has(token.term))
+    .map(({ start, end }) => ({ start, end }));
+
+  concepts.forEach(concept => {
+    for (const match of text.matchAll(globalPattern(concept.pattern))) {
+      spans.push({ start: match.index, end: match.index + match[0].length });
+    }
+  });
+
+  return spans
+    .sort((a, b) => a.start - b.start)
+    .reduce((merged, span) => {
+      const last = merged[merged.length - 1];
+      if (last && span.start <= last.end) {
+        last.end = Math.max(last.end, span.end);
+      } else {
+        merged.push({ ...span });
+      }
+      return merged;
+    }, []);
+}
+
+// Split text into plain and highlighted parts for rendering
+export const splitHighlights = (text = '', highlights = []) => {
+  const parts = [];
+  let position = 0;
+  highlights.forEach(({ start, end }) => {
+    if (start > position) parts.push({ text: text.slice(position, start), highlighted: false });
+    parts.push({ text: text.slice(start, end), highlighted: true });
+    position = end;
+  });
+  if (position < text.length) parts.push({ text: text.slice(position), highlighted: false });
+  return parts;
+};
+
+// Build an index once per set of entries; search() can then run on every keystroke
+export function createEntrySearch(entries = []) {
+  const facets = entries.map(getEntryFacets);
+  const index = createSearchIndex(entries, {
+    // Each concept an entry mentions becomes an extra term, so synonyms
+    // score like a shared word
+    extraTerms: (entry) => {
+      const text = getEntryText(entry);
+      return CONCEPTS.flatMap(concept =>
+        Array.from(text.matchAll(globalPattern(concept.pattern)), () => concept.id)
+      );
+    }
+  });
+
+  return {
+    search(query, { now = Date.now() } = {}) {
+      const { text, filters, range } = parseSearchQuery(query, now);
+      const terms = tokenize(text);
+      const concepts = getQueryConcepts(text);
+      const hasText = terms.length > 0 || concepts.length > 0;
+
+      const scored = index.scoreTerms([...terms, ...concepts.map(concept => concept.id)]);
+
+      return scored
+        .filter(result => {
+          if (hasText && result.score <= 0) return false;
+          if (!filters.every(filter => matchesFilter(facets[result.index], filter))) return false;
+          if (range) {
+            const time = getEntryTime(result.entry);
+            if (time < range.start || time > range.end) return false;
+          }
+          return true;
+        })
+        .map(result => {
+          const matched = new Set(result.matches);
+          return {
+            entry: result.entry,
+            score: result.score,
+            facets: facets[result.index],
+            highlights: getHighlights(
+              getEntryText(result.entry),
+              terms.filter(term => matched.has(term)),
+              concepts.filter(concept => matched.has(concept.id))
+            )
+          };
+        })
+        .sort((a, b) => (b.score - a.score) || (getEntryTime(b.entry) - getEntryTime(a.entry)));
+    }
+  };
+}
@@ -0,0 +1,34 @@
+// src/lib/evaluationBaseline.js
+
+// Counts for the two extractors extractMetrics replaced, analyzeLocally
+// (src/lib/localAnalysis.js) and extractHealthMetrics (utils/healthMetrics.js),
+// recorded from the last commit that had them. They were run on the corpus
+// as it was when they were recorded, with the same scoring as today. The
+// runner prints them after the live reports so changes to the rules can be
+// compared with what the app did before; they no longer match once the
+// corpus changes.
+export const extractionBaseline = {
+  corpusSize: 31,
+  extractors: [
+    {
+      name: 'analyzeLocally',
+      fields: {
+        sleep: { tp: 23, fp: 0, fn: 7 },
+        exercise: { tp: 8, fp: 1, fn: 7 },
+        mood: { tp: 19, fp: 1, fn: 6 },
+        stress: { tp: 8, fp: 0, fn: 1 },
+        symptoms: { tp: 9, fp: 0, fn: 9 }
+      }
+    },
+    {
+      // Had no stress detection
+      name: 'extractHealthMetrics',
+      fields: {
+        sleep: { tp: 26, fp: 1, fn: 4 },
+        exercise: { tp: 2, fp: 0, fn: 13 },
+        mood: { tp: 14, fp: 2, fn: 11 },
+        symptoms: { tp: 10, fp: 2, fn: 8 }
+      }
+    }
+  ]
+};
@@ -0,0 +1,163 @@
+// src/lib/evaluationCorpus.js
+
+// Sample journal entries with hand-labelled expectations for the evaluation runner.
+// Labels come from what the text says, and are null (or an empty list) when
+// it does not say: sleep is hours, exercise is minutes, mood is positive,
+// neutral or negative, and stress is low, moderate or high.
+export const evaluationCorpus = [
+  {
+    id: 'sleep-exercise-basic',
+    text: 'Slept 8 hours last night. Ran for 30 minutes in the morning and felt great.',
+    expected: { sleep: 8, exercise: 30, mood: 'positive', stress: null, symptoms: [] }
+  },
+  {
+    id: 'short-sleep-headache',
+    text: 'Only slept 5 hours. Woke up with a headache and felt tired all day.',
+    expected: { sleep: 5, exercise: null, mood: null, stress: null, symptoms: ['headache', 'fatigue'] }
+  },
+  {
+    id: 'decimal-sleep',
+    text: 'Got 7.5 hours of sleep. Walked 45 minutes after lunch. Feeling calm and content.',
+    expected: { sleep: 7.5, exercise: 45, mood: 'positive', stress: 'low', symptoms: [] }
+  },
+  {
+    id: 'stressed-deadline',
+    text: 'Work deadline today, very stressed and anxious. Slept 6 hours. No time for exercise.',
+    expected: { sleep: 6, exercise: null, mood: 'negative', stress: 'high', symptoms: ['anxiety'] }
+  },
+  {
+    id: 'yoga-relaxed',
+    text: 'Did a 20 minute yoga session before bed. Felt relaxed and peaceful. Sleep was about 8 hours.',
+    expected: { sleep: 8, exercise: 20, mood: 'positive', stress: 'low', symptoms: [] }
+  },
+  {
+    id: 'sick-day',
+    text: 'Stayed home sick with a fever and a bad cough. Feeling awful. Slept 10 hours.',
+    expected: { sleep: 10, exercise: null, mood: 'negative', stress: null, symptoms: ['fever', 'cough'] }
+  },
+  {
+    id: 'gym-session',
+    text: 'Great gym session, worked out for 60 minutes. Slept 7 hours. Energetic all day.',
+    expected: { sleep: 7, exercise: 60, mood: 'positive', stress: null, symptoms: [] }
+  },
+  {
+    id: 'nausea-morning',
+    text: 'Felt nauseated this morning and skipped breakfast. Slept 6 hours. Feeling down.',
+    expected: { sleep: 6, exercise: null, mood: 'negative', stress: null, symptoms: ['nausea'] }
+  },
+  {
+    id: 'sore-after-run',
+    text: 'Legs are sore after yesterday. Jogged 25 minutes anyway. Slept 8 hours, feeling good.',
+    expected: { sleep: 8, exercise: 25, mood: 'positive', stress: null, symptoms: ['pain'] }
+  },
+  {
+    id: 'overwhelmed',
+    text: 'Completely overwhelmed with everything. Could not sleep, maybe 4 hours. Miserable day.',
+    expected: { sleep: 4, exercise: null, mood: 'negative', stress: 'high', symptoms: [] }
+  },
+  {
+    id: 'hours-of-sleep-phrasing',
+    text: 'Managed 9 hours of sleep over the weekend. Swam 40 minutes. Happy and rested.',
+    expected: { sleep: 9, exercise: 40, mood: 'positive', stress: null, symptoms: [] }
+  },
+  {
+    id: 'exercise-in-hours',
+    text: 'Went hiking and walked 2 hours on the trail. Slept 8 hours. Wonderful day outdoors.',
+    expected: { sleep: 8, exercise: 120, mood: 'positive', stress: null, symptoms: [] }
+  },
+  {
+    id: 'migraine',
+    text: 'Migraine for most of the afternoon, had to lie down in a dark room. Slept 7 hours.',
+    expected: { sleep: 7, exercise: null, mood: null, stress: null, symptoms: ['headache'] }
+  },
+  {
+    id: 'dizzy-spell',
+    text: 'Felt dizzy after standing up quickly. Otherwise an okay day. Slept 6 hours.',
+    expected: { sleep: 6, exercise: null, mood: 'neutral', stress: null, symptoms: ['dizziness'] }
+  },
+  {
+    id: 'neutral-routine',
+    text: 'Normal day at the office. Slept 7 hours. Walked 15 minutes to the station.',
+    expected: { sleep: 7, exercise: 15, mood: 'neutral', stress: null, symptoms: [] }
+  },
+  {
+    id: 'insomnia',
+    text: 'Insomnia again, only slept 3 hours. Exhausted and frustrated.',
+    expected: { sleep: 3, exercise: null, mood: 'negative', stress: null, symptoms: ['insomnia', 'fatigue'] }
+  },
+  {
+    id: 'cramps',
+    text: 'Bad cramps today so I took it easy. Slept 8 hours. Feeling fine otherwise.',
+    expected: { sleep: 8, exercise: null, mood: 'neutral', stress: null, symptoms: ['cramps'] }
+  },
+  {
+    id: 'cycling-minutes',
+    text: 'Cycled 50 minutes to work and back. Slept 7 hours. Feeling cheerful.',
+    expected: { sleep: 7, exercise: 50, mood: 'positive', stress: null, symptoms: [] }
+  },
+  {
+    id: 'worried-no-numbers',
+    text: 'Worried about the test results. Tense all day and could not focus.',
+    expected: { sleep: null, exercise: null, mood: 'negative', stress: 'high', symptoms: ['anxiety'] }
+  },
+  {
+    id: 'back-pain',
+    text: 'Lower back pain flared up, so I skipped the gym. Slept 6 hours. Upset about missing training.',
+    expected: { sleep: 6, exercise: null, mood: 'negative', stress: null, symptoms: ['pain'] }
+  },
+  {
+    id: 'workout-minutes-first',
+    text: 'Did a 35 minute workout at home. Slept 8 hours. Feeling balanced and happy.',
+    expected: { sleep: 8, exercise: 35, mood: 'positive', stress: 'low', symptoms: [] }
+  },
+  {
+    id: 'bit-stressed',
+    text: 'A bit stressed about the move but managing. Slept 7 hours. Ran 20 minutes.',
+    expected: { sleep: 7, exercise: 20, mood: null, stress: 'moderate', symptoms: [] }
+  },
+  {
+    id: 'depressed-fatigue',
+    text: 'Feeling depressed and drained. Stayed in bed, slept 11 hours but still fatigued.',
+    expected: { sleep: 11, exercise: null, mood: 'negative', stress: null, symptoms: ['fatigue'] }
+  },
+  {
+    id: 'excellent-day',
+    text: 'Excellent day! Slept 8 hours, exercised for 45 minutes, and felt calm the whole time.',
+    expected: { sleep: 8, exercise: 45, mood: 'positive', stress: 'low', symptoms: [] }
+  },
+  {
+    id: 'sore-throat-cough',
+    text: 'Sore throat and cough since yesterday. Slept 9 hours to recover. Feeling a bit down.',
+    expected: { sleep: 9, exercise: null, mood: 'negative', stress: null, symptoms: ['pain', 'cough'] }
+  },
+  {
+    id: 'panic',
+    text: 'Had a panic attack on the train. Slept 5 hours. Terrible evening.',
+    expected: { sleep: 5, exercise: null, mood: 'negative', stress: 'high', symptoms: ['anxiety'] }
+  },
+  {
+    id: 'sleep-hours-minutes-short',
+    text: 'Slept 7h 30m and woke up before the alarm. Quiet day at home.',
+    expected: { sleep: 7.5, exercise: null, mood: null, stress: null, symptoms: [] }
+  },
+  {
+    id: 'run-for-an-hour',
+    text: 'Had a great run for 1 hour along the river. Slept 8 hours.',
+    expected: { sleep: 8, exercise: 60, mood: 'positive', stress: null, symptoms: [] }
+  },
+  {
+    id: 'distance-in-minutes',
+    text: 'Ran 5 km in 30 minutes, a new personal best. Slept 7 hours.',
+    expected: { sleep: 7, exercise: 30, mood: null, stress: null, symptoms: [] }
+  },
+  {
+    id: 'sleep-label',
+    text: 'Hours of sleep: 7\nSkipped the gym today, feeling a bit down.',
+    expected: { sleep: 7, exercise: null, mood: 'negative', stress: null, symptoms: [] }
+  },
+  {
+    id: 'sleep-time-span',
+    text: 'Slept from 11pm to 7am without waking. Walked 30 minutes after work.',
+    expected: { sleep: 8, exercise: 30, mood: null, stress: null, symptoms: [] }
+  }
+];
@@ -0,0 +1,200 @@
+// src/lib/extractionRules.js
+import { VOCABULARY, NEGATIONS, NUMBER_WORDS, termsPattern } from './healthVocabulary';
+
+// The rules metricExtraction runs by default, and the factories they are
+// built with. A rule is { id, field, extract(text) } where extract returns
+// candidates as { value, confidence, start, end }; confidence is 0 to 1.
+// Rules for fields that hold a list, like symptoms, set multiple: true.
+
+// How sure a match is, by kind. An explicit amount next to its verb beats
+// an amount found near a keyword; a phrase beats a single word.
+export const CONFIDENCE = {
+  explicit: 0.9,
+  phrase: 0.8,
+  word: 0.7,
+  nearby: 0.6,
+  // Taken off for "about", "maybe" and the like
+  approximate: 0.1
+};
+
+const AMOUNT = `(\\d+(?:\\.\\d+)?|${Object.keys(NUMBER_WORDS).join('|')})`;
+const APPROXIMATE = /\b(?:about|around|maybe|roughly|nearly|almost|over|probably)\b/i;
+const QUALIFIER = '(?:(?:about|around|only|just|maybe|roughly|nearly|almost|over|probably|a good|a solid)\\s+)?';
+const NEGATION = new RegExp(`\\b(?:${NEGATIONS.join('|')})\\b(?:\\s+\\S+){0,2}\\s*$`, 'i');
+
+const parseAmount = (value) => {
+  const number = Number(value);
+  return isFinite(number) ? number : NUMBER_WORDS[value.toLowerCase()];
+};
+
+// "no headache" or "not feeling great": a negation shortly before the match,
+// in the same clause
+export const isNegated = (text, start) => {
+  const before = text.slice(Math.max(0, start - 40), start);
+  const clause = before.slice(before.search(/[^,.;:!?\n]*$/));
+  return NEGATION.test(clause);
+};
+
+// A rule from a regular expression. value(match) turns each match into a
+// value, or null to skip it.
+export function createPatternRule({ id, field, pattern, value, confidence = CONFIDENCE.explicit, multiple = false }) {
+  const flags = pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`;
+  return {
+    id,
+    field,
+    multiple,
+    extract: (text) => [...text.matchAll(new RegExp(pattern.source, flags))]
+      .map(match => ({
+        value: value(match),
+        confidence: APPROXIMATE.test(match[0]) ? confidence - CONFIDENCE.approximate : confidence,
+        start: match.index,
+        end: match.index + match[0].length
+      }))
+      .filter(candidate => candidate.value !== null && candidate.value !== undefined)
+  };
+}
+
+// A rule matching a vocabulary group, e.g. VOCABULARY.mood, whose value is
+// the level a term belongs to. Negated terms are skipped.
+export function createVocabularyRule({ id, field, levels, multiple = false }) {
+  const patterns = Object.entries(levels).map(([level, terms]) => [level, termsPattern(terms, 'gi')]);
+  return {
+    id,
+    field,
+    multiple,
+    extract: (text) => patterns.flatMap(([level, pattern]) => [...text.matchAll(pattern)]
+      .filter(match => !isNegated(text, match.index))
+      .map(match => ({
+        value: level,
+        confidence: /\s/.test(match[0]) ? CONFIDENCE.phrase : CONFIDENCE.word,
+        start: match.index,
+        end: match.index + match[0].length
+      })))
+  };
+}
+
+// Hours, plus any minutes after them, within a plausible night
+const sleepHours = (hoursIndex, minutesIndex) => (match) => {
+  const hours = parseAmount(match[hoursIndex]) + (match[minutesIndex] ? Number(match[minutesIndex]) / 60 : 0);
+  return hours > 0 && hours <= 16 ? Math.round(hours * 100) / 100 : null;
+};
+
+// Hours between bedtime and waking, across midnight. Times need am/pm or
+// minutes ("23:00") so a bare "11 to 7" is not read as a clock.
+const sleepSpan = (match) => {
+  const toHour = (hour, minutes, period) => {
+    if (!period && minutes === undefined) return null;
+    const base = Number(hour) % (period ? 12 : 24) + (period?.toLowerCase() === 'pm' ? 12 : 0);
+    return base + (minutes ? Number(minutes) / 60 : 0);
+  };
+  const start = toHour(match[1], match[2], match[3]);
+  const end = toHour(match[4], match[5], match[6]);
+  if (start === null || end === null) return null;
+  const hours = (end - start + 24) % 24;
+  return hours > 0 && hours <= 16 ? Math.round(hours * 100) / 100 : null;
+};
+
+// Minutes from an amount and its unit, within a plausible day
+const exerciseMinutes = (amountIndex, unitIndex) => (match) => {
+  const amount = parseAmount(match[amountIndex]);
+  const minutes = /^h/i.test(match[unitIndex]) ? amount * 60 : amount;
+  return minutes > 0 && minutes <= 600 ? Math.round(minutes) : null;
+};
+
+const HOURS = '(?:hours?|hrs?|h)\\b';
+const PLUS_MINUTES = '(?:\\s*(?:and\\s+)?(\\d+)\\s*(?:minutes?|mins?|m)\\b)?';
+const DISTANCE = '\\d+(?:\\.\\d+)?\\s*(?:km|k|kilomet(?:er|re)s?|mi|miles?)\\b';
+// "11pm", "11:30 pm", "23:00"
+const CLOCK_TIME = '(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm)?';
+const DURATION_UNIT = '(minutes?|mins?|hours?|hrs?|h)\\b';
+const ACTIVITY_VERBS = 'exercised|worked out|trained|ran|jogged|walked|swam|cycled|biked|rode|hiked|rowed|lifted|stretched|did yoga|practiced yoga|played \\w+';
+const ACTIVITY_NOUNS = 'workout|exercise|run|jog|walk|swim|yoga|pilates|gym session|training|bike ride|ride|hike|cardio|weights';
+
+const ENERGY_WORDS = { low: 'low', poor: 'low', high: 'high', good: 'high', great: 'high', medium: 'medium', moderate: 'medium', decent: 'medium' };
+
+export const DEFAULT_RULES = [
+  createPatternRule({
+    id: 'sleep.slept-hours',
+    field: 'sleep',
+    // "slept 7 hours", "sleep for about 6.5 hrs", "slept 7 hours and 30 minutes"
+    pattern: new RegExp(`\\b(?:slept|sleep|sleeping)\\s+(?:for\\s+)?${QUALIFIER}${AMOUNT}\\s*${HOURS}${PLUS_MINUTES}`, 'i'),
+    value: sleepHours(1, 2)
+  }),
+  createPatternRule({
+    id: 'sleep.hours-of-sleep',
+    field: 'sleep',
+    // "7.5 hours of sleep", "8 hrs sleep"
+    pattern: new RegExp(`\\b${AMOUNT}\\s*${HOURS}${PLUS_MINUTES}\\s+(?:of\\s+)?sleep\\b`, 'i'),
+    value: sleepHours(1, 2)
+  }),
+  createPatternRule({
+    id: 'sleep.label',
+    field: 'sleep',
+    // "Hours of sleep: 7", "sleep hours - 6.5"
+    pattern: new RegExp(`\\b(?:hours?\\s+of\\s+sleep|sleep\\s+hours?)\\s*[:=-]?\\s*${AMOUNT}\\b`, 'i'),
+    value: sleepHours(1)
+  }),
+  createPatternRule({
+    id: 'sleep.time-span',
+    field: 'sleep',
+    // "slept from 11pm to 7am", "in bed 23:00-06:30"
+    pattern: new RegExp(`\\b(?:slept|sleep|asleep|in bed|bed)\\s+(?:from\\s+|at\\s+)?${CLOCK_TIME}\\s*(?:to|until|till|-)\\s*${CLOCK_TIME}`, 'i'),
+    value: sleepSpan
+  }),
+  createPatternRule({
+    id: 'sleep.nearby-hours',
+    field: 'sleep',
+    // "sleep was about 8 hours", "could not sleep, maybe 4 hours"
+    pattern: new RegExp(`\\b(?:sleep|slept)\\b[^.!?\\n]{0,25}?\\b${AMOUNT}\\s*(?:hours?|hrs?)\\b`, 'i'),
+    value: sleepHours(1),
+    confidence: CONFIDENCE.nearby
+  }),
+  createPatternRule({
+    id: 'exercise.activity-duration',
+    field: 'exercise',
+    // "ran for 30 minutes", "walked 2 hours"
+    pattern: new RegExp(`\\b(?:${ACTIVITY_VERBS})\\s+(?:for\\s+)?${QUALIFIER}${AMOUNT}\\s*${DURATION_UNIT}`, 'i'),
+    value: exerciseMinutes(1, 2)
+  }),
+  createPatternRule({
+    id: 'exercise.duration-activity',
+    field: 'exercise',
+    // "a 30 minute run", "45 minutes of yoga", "20-min workout"
+    pattern: new RegExp(`\\b${AMOUNT}[\\s-]*${DURATION_UNIT}\\s*(?:of\\s+)?(?:${ACTIVITY_NOUNS})\\b`, 'i'),
+    value: exerciseMinutes(1, 2)
+  }),
+  createPatternRule({
+    id: 'exercise.activity-for-duration',
+    field: 'exercise',
+    // "a great run for 1 hour", "yoga for 20 minutes"
+    pattern: new RegExp(`\\b(?:${ACTIVITY_NOUNS})\\s+for\\s+${QUALIFIER}${AMOUNT}\\s*${DURATION_UNIT}`, 'i'),
+    value: exerciseMinutes(1, 2)
+  }),
+  createPatternRule({
+    id: 'exercise.distance-in-duration',
+    field: 'exercise',
+    // "ran 5 km in 30 minutes", "a 10k run in 55 mins"
+    pattern: new RegExp(`\\b(?:(?:${ACTIVITY_VERBS}|${ACTIVITY_NOUNS})\\s+(?:a\\s+)?${DISTANCE}|${DISTANCE}\\s*(?:${ACTIVITY_NOUNS}))\\s+in\\s+${QUALIFIER}${AMOUNT}\\s*${DURATION_UNIT}`, 'i'),
+    value: exerciseMinutes(1, 2)
+  }),
+  createPatternRule({
+    id: 'exercise.nearby-duration',
+    field: 'exercise',
+    // "gym session lasted 50 minutes"
+    pattern: new RegExp(`\\b(?:exercise|workout|gym|training)\\b[^.!?\\n]{0,25}?\\b${AMOUNT}\\s*${DURATION_UNIT}`, 'i'),
+    value: exerciseMinutes(1, 2),
+    confidence: CONFIDENCE.nearby
+  }),
+  createVocabularyRule({ id: 'mood.vocabulary', field: 'mood', levels: VOCABULARY.mood }),
+  createVocabularyRule({ id: 'stress.vocabulary', field: 'stress', levels: VOCABULARY.stress }),
+  createPatternRule({
+    id: 'energy.level-phrase',
+    field: 'energy',
+    // "energy was low", "energy levels were pretty high"
+    pattern: /\benergy(?:\s+levels?)?\s+(?:was|were|is|felt|feels|stayed|remained)\s+(?:pretty\s+|very\s+|really\s+|quite\s+|fairly\s+)?(low|poor|high|good|great|medium|moderate|decent)\b/i,
+    value: (match) => ENERGY_WORDS[match[1].toLowerCase()],
+    confidence: CONFIDENCE.explicit
+  }),
+  createVocabularyRule({ id: 'energy.vocabulary', field: 'energy', levels: VOCABULARY.energy }),
+  createVocabularyRule({ id: 'symptoms.vocabulary', field: 'symptoms', levels: VOCABULARY.symptoms, multiple: true })
+];
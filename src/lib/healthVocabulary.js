@@ -0,0 +1,69 @@
+// src/lib/healthVocabulary.js
+
+// Words and phrases that name a mood, stress level, energy level or
+// symptom. Extraction, search and chat all read from here so they agree on
+// what an entry says. Levels are listed from one end of the scale to the
+// other; when an entry matches two levels equally well the first wins.
+// A phrase counts for more than a single word inside it, so "a bit
+// stressed" is moderate stress rather than high.
+export const VOCABULARY = {
+  mood: {
+    veryPositive: ['amazing', 'fantastic', 'excellent', 'wonderful', 'great', 'thrilled', 'ecstatic', 'overjoyed'],
+    positive: ['happy', 'good', 'pleased', 'content', 'satisfied', 'cheerful', 'joyful'],
+    neutral: ['okay', 'ok', 'fine', 'alright', 'normal', 'average', 'so-so'],
+    // "down" only with a feeling word, so "lie down" is not a mood
+    negative: ['sad', 'unhappy', 'feeling down', 'felt down', 'feel down', 'bit down', 'upset', 'disappointed', 'frustrated', 'low mood'],
+    veryNegative: ['terrible', 'awful', 'horrible', 'depressed', 'miserable', 'devastated']
+  },
+  stress: {
+    veryLow: ['relaxed', 'peaceful', 'calm', 'serene', 'tranquil'],
+    low: ['composed', 'steady', 'balanced', 'stable'],
+    moderate: ['normal stress', 'some stress', 'bit stressed', 'a little stressed', 'slightly stressed'],
+    high: ['stressed', 'anxious', 'worried', 'tense', 'stressful'],
+    veryHigh: ['extremely stressed', 'very stressed', 'overwhelmed', 'panic', 'severe anxiety']
+  },
+  energy: {
+    high: ['energetic', 'energized', 'full of energy', 'high energy', 'vigorous'],
+    medium: ['moderate energy', 'decent energy', 'normal energy'],
+    low: ['tired', 'exhausted', 'fatigued', 'low energy', 'drained', 'worn out']
+  },
+  symptoms: {
+    headache: ['headache', 'headaches', 'migraine', 'migraines'],
+    nausea: ['nausea', 'nauseous', 'nauseated', 'sick to my stomach', 'sick to the stomach'],
+    pain: ['pain', 'painful', 'ache', 'aches', 'aching', 'sore'],
+    anxiety: ['anxiety', 'anxious', 'worried', 'panic attack'],
+    fatigue: ['fatigue', 'fatigued', 'exhaustion', 'exhausted', 'tired'],
+    fever: ['fever', 'feverish', 'high temperature'],
+    cough: ['cough', 'coughs', 'coughing'],
+    dizziness: ['dizzy', 'dizziness', 'lightheaded', 'light-headed'],
+    insomnia: ['insomnia'],
+    cramps: ['cramp', 'cramps', 'cramping']
+  }
+};
+
+// Words that make a following term not apply: "no headache", "not tired"
+export const NEGATIONS = ['no', 'not', 'never', 'without', "didn't", "don't", "doesn't", "wasn't", "isn't", 'hardly', 'free of'];
+
+// Spelled-out amounts, for "slept eight hours"
+export const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12,
+  fifteen: 15, twenty: 20, thirty: 30, forty: 40, 'forty-five': 45, sixty: 60, ninety: 90
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Longest first, so a phrase is preferred to a word inside it
+export const termsPattern = (terms, flags = 'i') => new RegExp(
+  `\\b(?:${[...terms].sort((a, b) => b.length - a.length).map(term => escapeRegExp(term).replace(/ /g, '\\s+')).join('|')})\\b`,
+  flags
+);
+
+// One pattern per level, e.g. CATEGORY_PATTERNS.symptoms.headache, for
+// search concepts and chat questions
+export const CATEGORY_PATTERNS = Object.fromEntries(
+  Object.entries(VOCABULARY).map(([group, levels]) => [
+    group,
+    Object.fromEntries(Object.entries(levels).map(([level, terms]) => [level, termsPattern(terms)]))
+  ])
+);
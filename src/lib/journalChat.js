@@ -0,0 +1,353 @@
+// src/lib/journalChat.js
+import { CATEGORY_PATTERNS } from './healthVocabulary';
+import { extractLocalMetrics } from './metricExtraction';
+import { getEntryText, getEntryTime } from './mockAnalyst';
+import { createSearchIndex, getExcerpt, tokenize } from './journalSearch';
+import { estimateTokens } from './analysisPlanner';
+import { getAnalysisCache, hashCacheKey } from './analysisCache';
+import { parseAnalysisContent } from './analysisSchema';
+import { renderPrompt, describeGeneration } from './prompts';
+import { parseTimeRange } from '../utils/dateUtils';
+
+// Entries sent to the model with each question
+export const MAX_SOURCES = 8;
+// Entries listed under a metric answer
+const MAX_METRIC_CITATIONS = 10;
+// Most recent entries compared by embedding when embeddings are enabled
+const MAX_EMBEDDED_ENTRIES = 200;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+const formatDate = (entry) =>
+  new Date(getEntryTime(entry)).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+const toCitation = (entry, number, terms = []) => ({
+  number,
+  id: entry.id ?? null,
+  date: entry.date || entry.timestamp || null,
+  excerpt: getExcerpt(getEntryText(entry), terms)
+});
+
+// Questions that ask for a number or a date rather than a description
+const QUANTITATIVE = /\b(?:how (?:many|much|long|often)|average|mean|total|most|least|longest|shortest|fewest|max(?:imum)?|min(?:imum)?|when did|first time|last time|start(?:ed)?|begin|began)\b/i;
+
+const AGGREGATES = [
+  ['last', /\b(?:last time|most recent|latest|when did i last)\b/i],
+  ['first', /\b(?:first|start(?:ed)?|begin|began)\b/i],
+  ['count', /\bhow often\b|\bhow many (?:days|nights|times|entries|mornings|evenings)\b/i],
+  ['average', /\b(?:average|mean|usually|typically|per (?:night|day))\b/i],
+  ['total', /\b(?:total|in all|altogether|combined)\b/i],
+  ['max', /\b(?:most|longest|max(?:imum)?|best)\b/i],
+  ['min', /\b(?:least|shortest|fewest|min(?:imum)?|worst)\b/i]
+];
+
+// Amount metrics are summed or averaged; presence metrics are counted
+const AMOUNT_METRICS = {
+  sleep: {
+    pattern: /\bsle(?:ep|pt|eping)\b/i,
+    unit: 'hours',
+    noun: 'sleep',
+    defaultAggregate: 'average',
+    longest: 'longest sleep',
+    shortest: 'shortest sleep'
+  },
+  exercise: {
+    pattern: /\b(?:exercis\w*|work(?:ed)? out|workouts?|ran|run(?:ning)?|walk(?:ed|ing)?|jog(?:ged|ging)?|active|activity)\b/i,
+    unit: 'minutes',
+    noun: 'exercise',
+    defaultAggregate: 'total',
+    longest: 'longest exercise session',
+    shortest: 'shortest exercise session'
+  }
+};
+
+const HIGH_STRESS = ['high', 'veryHigh'];
+const NEGATIVE_MOODS = ['negative', 'veryNegative'];
+const POSITIVE_MOODS = ['positive', 'veryPositive'];
+
+// Which presence metric a question is about, if any
+function findPresenceMetric(question) {
+  if (/\bstress(?:ed|ful)?\b|\banxious\b/i.test(question)) {
+    return { label: 'high stress', matches: metrics => HIGH_STRESS.includes(metrics.stress) };
+  }
+
+  const symptom = Object.entries(CATEGORY_PATTERNS.symptoms).find(([name, pattern]) =>
+    pattern.test(question) || question.toLowerCase().includes(name)
+  );
+  if (symptom) {
+    return { label: symptom[0], matches: metrics => metrics.symptoms.includes(symptom[0]) };
+  }
+
+  if (/\b(?:sad|bad|negative|down|upset|low mood)\b/i.test(question)) {
+    return { label: 'a negative mood', matches: metrics => NEGATIVE_MOODS.includes(metrics.mood) };
+  }
+  if (/\b(?:happy|good mood|positive|great)\b/i.test(question)) {
+    return { label: 'a positive mood', matches: metrics => POSITIVE_MOODS.includes(metrics.mood) };
+  }
+
+  return null;
+}
+
+function answerAmountQuestion(metric, aggregate, measured, range) {
+  const { unit, noun } = metric;
+  const label = range?.label || '';
+
+  if (measured.length === 0) {
+    return { answer: `None of your entries${label} mention ${noun} ${unit}.`, cited: [] };
+  }
+
+  const newestFirst = [...measured].sort((a, b) => getEntryTime(b.entry) - getEntryTime(a.entry));
+  const values = measured.map(item => item.value);
+  const total = values.reduce((sum, value) => sum + value, 0);
+
+  switch (aggregate) {
+    case 'total':
+      return {
+        answer: `You logged ${round1(total)} ${unit} of ${noun} across ${measured.length} ${measured.length === 1 ? 'entry' : 'entries'}${label}.`,
+        cited: newestFirst
+      };
+    case 'max':
+    case 'min': {
+      const pick = measured.reduce((best, item) =>
+        (aggregate === 'max' ? item.value > best.value : item.value < best.value) ? item : best
+      );
+      return {
+        answer: `Your ${aggregate === 'max' ? metric.longest : metric.shortest}${label} was ${pick.value} ${unit}, on ${formatDate(pick.entry)}.`,
+        cited: [pick]
+      };
+    }
+    case 'count':
+      return {
+        answer: `${measured.length} ${measured.length === 1 ? 'entry' : 'entries'}${label} mention ${noun} ${unit}, most recently on ${formatDate(newestFirst[0].entry)}.`,
+        cited: newestFirst
+      };
+    case 'first':
+    case 'last': {
+      const pick = aggregate === 'first' ? newestFirst[newestFirst.length - 1] : newestFirst[0];
+      return {
+        answer: `The ${aggregate} entry${label} with ${noun} ${unit} is from ${formatDate(pick.entry)}: ${pick.value} ${unit}.`,
+        cited: [pick]
+      };
+    }
+    default:
+      return {
+        answer: `You averaged ${round1(total / measured.length)} ${unit} of ${noun} across ${measured.length} ${measured.length === 1 ? 'entry' : 'entries'} that mention it${label}.`,
+        cited: newestFirst
+      };
+  }
+}
+
+function answerPresenceQuestion(metric, aggregate, matching, total, range) {
+  const label = range?.label || '';
+
+  if (matching.length === 0) {
+    return { answer: `None of your ${total} entries${label} mention ${metric.label}.`, cited: [] };
+  }
+
+  const newestFirst = [...matching].sort((a, b) => getEntryTime(b.entry) - getEntryTime(a.entry));
+  const newest = newestFirst[0];
+  const oldest = newestFirst[newestFirst.length - 1];
+
+  if (aggregate === 'first') {
+    return {
+      answer: `${metric.label[0].toUpperCase()}${metric.label.slice(1)} first appears in your entry from ${formatDate(oldest.entry)}${label}. It appears in ${matching.length} ${matching.length === 1 ? 'entry' : 'entries'} in total, most recently on ${formatDate(newest.entry)}.`,
+      cited: [oldest, ...newestFirst.filter(item => item !== oldest)]
+    };
+  }
+  if (aggregate === 'last') {
+    return {
+      answer: `The most recent entry mentioning ${metric.label}${label} is from ${formatDate(newest.entry)}.`,
+      cited: [newest]
+    };
+  }
+
+  return {
+    answer: `${matching.length} of your ${total} entries${label} mention ${metric.label}, from ${formatDate(oldest.entry)} to ${formatDate(newest.entry)}.`,
+    cited: newestFirst
+  };
+}
+
+// Answer "how much/how many/when" questions exactly from local metric
+// extraction. Returns null for questions that need the model.
+export function answerMetricQuestion(question, entries, now = Date.now()) {
+  if (!QUANTITATIVE.test(question)) return null;
+
+  const amountMetric = Object.values(AMOUNT_METRICS).find(metric => metric.pattern.test(question));
+  const presenceMetric = amountMetric ? null : findPresenceMetric(question);
+  if (!amountMetric && !presenceMetric) return null;
+
+  const aggregate = AGGREGATES.find(([, pattern]) => pattern.test(question))?.[0];
+  // "most"/"least" mean nothing for yes/no metrics, e.g. "what helps most when I'm stressed?"
+  if (presenceMetric && !['first', 'last', 'count'].includes(aggregate) && !/\bhow (?:many|often)\b|\bwhen did\b/i.test(question)) {
+    return null;
+  }
+
+  const range = parseTimeRange(question, now);
+  const inRange = entries.filter(entry => {
+    if (!range) return true;
+    const time = getEntryTime(entry);
+    return time >= range.start && time <= range.end;
+  });
+  const analyzed = inRange.map(entry => ({ entry, metrics: extractLocalMetrics(getEntryText(entry)) }));
+
+  const { answer, cited } = amountMetric
+    ? answerAmountQuestion(
+        amountMetric,
+        aggregate || amountMetric.defaultAggregate,
+        analyzed
+          .map(item => ({ entry: item.entry, value: item.metrics[amountMetric.noun] }))
+          .filter(item => item.value > 0),
+        range
+      )
+    : answerPresenceQuestion(
+        presenceMetric,
+        aggregate || 'count',
+        analyzed.filter(item => presenceMetric.matches(item.metrics)),
+        analyzed.length,
+        range
+      );
+
+  const terms = tokenize(question);
+  return {
+    answer,
+    citations: cited.slice(0, MAX_METRIC_CITATIONS).map((item, index) => toCitation(item.entry, index + 1, terms)),
+    method: 'metrics'
+  };
+}
+
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+// Embeddings are cached by text so each entry is embedded once. Returns the
+// vectors and the tokens sent to the provider for the texts not cached.
+async function embedTexts(provider, texts) {
+  const cache = getAnalysisCache();
+  const keys = await Promise.all(texts.map(text =>
+    hashCacheKey({ task: 'embedding', provider: provider.name, model: provider.embeddingModel, text })
+  ));
+  const vectors = await Promise.all(keys.map(key => cache.get(key)));
+
+  const missing = texts.map((_, index) => index).filter(index => !vectors[index]);
+  if (missing.length === 0) return { vectors, tokens: 0 };
+
+  const missingTexts = missing.map(index => texts[index]);
+  const embedded = await provider.embed(missingTexts);
+  await Promise.all(missing.map(async (index, i) => {
+    vectors[index] = embedded[i];
+    await cache.set(keys[index], embedded[i]);
+  }));
+
+  return { vectors, tokens: estimateTokens(missingTexts.join('\n')) };
+}
+
+// Entries compared by embedding: every keyword match plus the most recent
+const getEmbeddingCandidates = (entries, keywordResults) => {
+  const recent = [...entries]
+    .sort((a, b) => getEntryTime(b) - getEntryTime(a))
+    .slice(0, MAX_EMBEDDED_ENTRIES);
+  return [...new Set([...keywordResults.map(result => result.entry), ...recent])];
+};
+
+const searchByKeyword = (question, entries) =>
+  createSearchIndex(entries).search(question, { limit: entries.length });
+
+// Keyword (BM25) retrieval, blended with embedding similarity when the
+// provider supports embeddings. Returns the sources and the embedding
+// tokens spent finding them.
+export async function retrieveEntries(question, entries, provider) {
+  const keywordResults = searchByKeyword(question, entries);
+  const byKeyword = () => keywordResults.slice(0, MAX_SOURCES).map(result => result.entry);
+
+  if (!provider?.embed) {
+    return { sources: byKeyword(), embeddingTokens: 0 };
+  }
+
+  try {
+    const candidates = getEmbeddingCandidates(entries, keywordResults);
+    const { vectors: [questionVector, ...entryVectors], tokens } = await embedTexts(provider, [
+      question,
+      ...candidates.map(getEntryText)
+    ]);
+
+    const maxKeywordScore = keywordResults[0]?.score || 1;
+    const keywordScores = new Map(keywordResults.map(result => [result.entry, result.score / maxKeywordScore]));
+
+    const sources = candidates
+      .map((entry, i) => ({
+        entry,
+        score: 0.5 * (keywordScores.get(entry) || 0) + 0.5 * cosineSimilarity(questionVector, entryVectors[i])
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_SOURCES)
+      .map(result => result.entry);
+    return { sources, embeddingTokens: tokens };
+  } catch (error) {
+    console.error('Embedding search failed, using keyword search:', error);
+    return { sources: byKeyword(), embeddingTokens: 0 };
+  }
+}
+
+const buildChatMessages = (question, sources) =>
+  renderPrompt('journal-chat', {
+    question,
+    entries: sources
+      .map((entry, index) => `[${index + 1}] ${formatDate(entry)}: ${getEntryText(entry)}`)
+      .join('\n\n')
+  });
+
+// Prompt tokens a chat answer will use, for budget checks
+export const estimateChatTokens = (question, sources) =>
+  estimateTokens(buildChatMessages(question, sources).map(message => message.content).join('\n'));
+
+// Most tokens a question can use, for checking limits before retrieval:
+// embedding every candidate entry, as if none were cached, and a prompt with
+// the longest entries as sources
+export function estimateQuestionTokens(question, entries, provider) {
+  const embeddingTokens = provider?.embed
+    ? estimateTokens([question, ...getEmbeddingCandidates(entries, searchByKeyword(question, entries)).map(getEntryText)].join('\n'))
+    : 0;
+  const longest = [...entries]
+    .sort((a, b) => getEntryText(b).length - getEntryText(a).length)
+    .slice(0, MAX_SOURCES);
+  return embeddingTokens + estimateChatTokens(question, longest);
+}
+
+// Ask the model to answer from the retrieved entries, citing them by number
+export async function answerFromSources(provider, question, sources) {
+  const content = await provider.complete({
+    task: 'journalChat',
+    input: { question, sources },
+    messages: buildChatMessages(question, sources),
+    temperature: 0.3,
+    json: true
+  });
+
+  const parsed = parseAnalysisContent(content);
+  const answer = typeof parsed?.answer === 'string' ? parsed.answer : content;
+
+  // Citations can be listed or only written inline as [n]
+  const numbers = new Set([
+    ...(Array.isArray(parsed?.citations) ? parsed.citations : []),
+    ...[...answer.matchAll(/\[(\d+)\]/g)].map(match => Number(match[1]))
+  ]);
+  const cited = [...numbers]
+    .filter(number => Number.isInteger(number) && number >= 1 && number <= sources.length)
+    .sort((a, b) => a - b);
+
+  const terms = tokenize(question);
+  return {
+    answer,
+    citations: cited.map(number => toCitation(sources[number - 1], number, terms)),
+    method: 'model',
+    ...describeGeneration('journal-chat', provider)
+  };
+}
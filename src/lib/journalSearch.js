@@ -0,0 +1,111 @@
+// src/lib/journalSearch.js
+import { getEntryText } from './mockAnalyst';
+
+// BM25 parameters (the usual defaults)
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set([
+  'a', 'about', 'after', 'all', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been',
+  'before', 'but', 'by', 'can', 'did', 'do', 'does', 'for', 'from', 'had', 'has', 'have',
+  'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'so',
+  'than', 'that', 'the', 'their', 'then', 'there', 'this', 'to', 'was', 'we', 'were',
+  'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your'
+]);
+
+// Irregular forms the suffix rules below cannot reach
+const IRREGULAR = {
+  slept: 'sleep',
+  ran: 'run',
+  ate: 'eat',
+  felt: 'feel',
+  went: 'go',
+  swam: 'swim',
+  rode: 'ride'
+};
+
+// Light suffix stripping so "headaches", "exercised" and "walking" match
+// "headache", "exercise" and "walk"
+export const stem = (word) => {
+  if (IRREGULAR[word]) return IRREGULAR[word];
+  let result = word;
+  if (result.length > 3 && result.endsWith('s') && !result.endsWith('ss')) result = result.slice(0, -1);
+  if (result.length > 5 && result.endsWith('ing')) result = result.slice(0, -3);
+  else if (result.length > 4 && result.endsWith('ed')) result = result.slice(0, -2);
+  if (result.length > 3 && result.endsWith('e')) result = result.slice(0, -1);
+  return result;
+};
+
+// Lowercase word tokens with stopwords removed, each with its position in the text
+export const tokenizeWithPositions = (text = '') =>
+  [...text.toLowerCase().matchAll(/[a-z0-9_]+/g)]
+    .filter(([word]) => !STOPWORDS.has(word))
+    .map(match => ({ term: stem(match[0]), start: match.index, end: match.index + match[0].length }));
+
+export const tokenize = (text = '') => tokenizeWithPositions(text).map(token => token.term);
+
+// Build a BM25 index over journal entries. `extraTerms` can add terms that
+// are not words in the text, such as concepts found by pattern matching.
+export function createSearchIndex(entries = [], { extraTerms } = {}) {
+  const documents = entries.map(entry => {
+    const terms = tokenize(getEntryText(entry));
+    if (extraTerms) terms.push(...extraTerms(entry));
+    const frequencies = terms.reduce((acc, term) => {
+      acc[term] = (acc[term] || 0) + 1;
+      return acc;
+    }, {});
+    return { entry, length: terms.length, frequencies };
+  });
+
+  const documentFrequency = {};
+  documents.forEach(doc => {
+    Object.keys(doc.frequencies).forEach(term => {
+      documentFrequency[term] = (documentFrequency[term] || 0) + 1;
+    });
+  });
+
+  const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / (documents.length || 1);
+
+  const idf = (term) => {
+    const df = documentFrequency[term] || 0;
+    return Math.log(1 + (documents.length - df + 0.5) / (df + 0.5));
+  };
+
+  // Terms are expanded by the caller when synonyms should also match
+  const scoreTerms = (queryTerms) => {
+    const terms = [...new Set(queryTerms)];
+    return documents.map((doc, index) => {
+      const matches = terms.filter(term => doc.frequencies[term]);
+      const score = matches.reduce((sum, term) => {
+        const tf = doc.frequencies[term];
+        const norm = tf + K1 * (1 - B + B * (doc.length / (averageLength || 1)));
+        return sum + idf(term) * ((tf * (K1 + 1)) / norm);
+      }, 0);
+      return { entry: doc.entry, index, score, matches };
+    });
+  };
+
+  return {
+    size: documents.length,
+    scoreTerms,
+    // Entries matching the query, best first
+    search(query, { limit = 10 } = {}) {
+      return scoreTerms(tokenize(query))
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+    }
+  };
+}
+
+// A window of the entry text around the first matched term
+export function getExcerpt(text = '', terms = [], length = 160) {
+  if (text.length <= length) return text;
+
+  const termSet = new Set(terms);
+  const first = tokenizeWithPositions(text).find(token => termSet.has(token.term));
+  const start = first ? Math.max(0, first.start - Math.floor(length / 3)) : 0;
+  const end = Math.min(text.length, start + length);
+
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+}
@@ -0,0 +1,187 @@
+// src/lib/llmProvider.js
+import OpenAI, { AzureOpenAI } from 'openai';
+import { mockBatchAnalysis, mockEntryAnalysis, mockPeriodSummaries, mockJournalAnswer } from './mockAnalyst';
+
+// Default model per provider (overridden by LLM_MODEL)
+const DEFAULT_MODELS = {
+  openai: 'gpt-4o',
+  azure: 'gpt-4o',
+  local: 'llama3.1',
+  stub: 'stub'
+};
+
+// Deterministic responses for the offline stub, keyed by task
+const stubResponders = {
+  batchAnalysis: ({ entries = [] } = {}) => mockBatchAnalysis(entries),
+  entryAnalysis: ({ entry, metrics } = {}) => mockEntryAnalysis(entry, metrics),
+  periodSummaries: ({ periods = [] } = {}) => mockPeriodSummaries(periods),
+  journalChat: (input) => mockJournalAnswer(input)
+};
+
+// Read provider settings from the environment
+export function getLLMConfig(env = process.env) {
+  // Without an explicit provider or an OpenAI key, fall back to offline analysis
+  const provider = (env.LLM_PROVIDER || (env.OPENAI_API_KEY ? 'openai' : 'stub')).toLowerCase();
+
+  return {
+    provider,
+    model: env.LLM_MODEL || DEFAULT_MODELS[provider],
+    // Optional; enables embedding-based search in journal chat
+    embeddingModel: env.LLM_EMBEDDING_MODEL,
+    openai: {
+      apiKey: env.OPENAI_API_KEY
+    },
+    azure: {
+      apiKey: env.AZURE_OPENAI_API_KEY,
+      endpoint: env.AZURE_OPENAI_ENDPOINT,
+      deployment: env.AZURE_OPENAI_DEPLOYMENT,
+      apiVersion: env.AZURE_OPENAI_API_VERSION || '2024-10-21'
+    },
+    local: {
+      baseURL: env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+      apiKey: env.LOCAL_LLM_API_KEY || 'local'
+    }
+  };
+}
+
+// Token counts as reported by the API, for request.onUsage
+const toUsage = (usage) =>
+  usage ? { promptTokens: usage.prompt_tokens || 0, completionTokens: usage.completion_tokens || 0 } : null;
+
+// Wrap any client that speaks the OpenAI chat completions API. Local servers
+// may not accept stream_options, so only providers that do report usage
+// for streamed responses.
+function createChatCompletionsProvider(name, client, model, embeddingModel, { streamUsage = false } = {}) {
+  return {
+    name,
+    model,
+    ...(embeddingModel && {
+      embeddingModel,
+      async embed(texts) {
+        const response = await client.embeddings.create({ model: embeddingModel, input: texts });
+        return response.data.map(item => item.embedding);
+      }
+    }),
+    async complete({ messages, temperature = 0.7, json = false, timeout, maxRetries, onUsage }) {
+      const completion = await client.chat.completions.create(
+        {
+          model,
+          messages,
+          temperature,
+          ...(json && { response_format: { type: 'json_object' } })
+        },
+        { timeout, maxRetries }
+      );
+
+      const usage = toUsage(completion.usage);
+      if (usage) onUsage?.(usage);
+      return completion.choices[0]?.message?.content || '';
+    },
+    async *stream({ messages, temperature = 0.7, json = false, timeout, maxRetries, onUsage }) {
+      const chunks = await client.chat.completions.create(
+        {
+          model,
+          messages,
+          temperature,
+          stream: true,
+          ...(streamUsage && { stream_options: { include_usage: true } }),
+          ...(json && { response_format: { type: 'json_object' } })
+        },
+        { timeout, maxRetries }
+      );
+
+      for await (const chunk of chunks) {
+        // With include_usage the last chunk has the usage and no choices
+        const usage = toUsage(chunk.usage);
+        if (usage) onUsage?.(usage);
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) yield delta;
+      }
+    }
+  };
+}
+
+// Number of pieces the stub splits a streamed response into
+const STUB_STREAM_CHUNKS = 8;
+
+function createStubProvider(model) {
+  const respond = ({ task, input }) => {
+    const responder = stubResponders[task];
+    if (!responder) {
+      throw new Error(`Stub provider has no response for task "${task}"`);
+    }
+    return JSON.stringify(responder(input));
+  };
+
+  return {
+    name: 'stub',
+    model,
+    async complete(request) {
+      return respond(request);
+    },
+    async *stream(request) {
+      const content = respond(request);
+      const size = Math.ceil(content.length / STUB_STREAM_CHUNKS);
+      for (let i = 0; i < content.length; i += size) {
+        yield content.slice(i, i + size);
+      }
+    }
+  };
+}
+
+export function createLLMProvider(config = getLLMConfig()) {
+  const { provider, model, embeddingModel } = config;
+
+  switch (provider) {
+    case 'openai': {
+      if (!config.openai.apiKey) {
+        throw new Error('OpenAI API key not configured');
+      }
+      return createChatCompletionsProvider(
+        'openai',
+        new OpenAI({ apiKey: config.openai.apiKey }),
+        model,
+        embeddingModel,
+        { streamUsage: true }
+      );
+    }
+    case 'azure': {
+      const { apiKey, endpoint, deployment, apiVersion } = config.azure;
+      if (!apiKey || !endpoint) {
+        throw new Error('Azure OpenAI API key and endpoint must be configured');
+      }
+      // Azure routes requests by deployment name rather than model name
+      return createChatCompletionsProvider(
+        'azure',
+        new AzureOpenAI({ apiKey, endpoint, apiVersion }),
+        deployment || model,
+        embeddingModel,
+        { streamUsage: true }
+      );
+    }
+    case 'local':
+      return createChatCompletionsProvider(
+        'local',
+        new OpenAI({ apiKey: config.local.apiKey, baseURL: config.local.baseURL }),
+        model,
+        embeddingModel
+      );
+    case 'stub':
+      return createStubProvider(model);
+    default:
+      throw new Error(`Unknown LLM provider: ${provider}`);
+  }
+}
+
+let sharedProvider = null;
+
+// Lazily create the provider so a missing key fails the request, not the import
+export function getLLMProvider() {
+  if (!sharedProvider) {
+    sharedProvider = createLLMProvider();
+  }
+  return sharedProvider;
+}
+
+// The offline stub calls no model, so its requests cost nothing
+export const isStubProvider = (provider) => provider?.name === 'stub';
@@ -0,0 +1,141 @@
+// src/lib/localAnalysis.js
+
+export function calculateSleepScore(hours) {
+  if (!hours) return 0;
+  const idealHours = 8;
+  const deviation = Math.abs(hours - idealHours);
+  return Math.max(0, Math.min(100, Math.round(100 - (deviation * 12.5))));
+}
+
+export function getSleepQualityLabel(score) {
+  if (score >= 90) return 'Excellent';
+  if (score >= 80) return 'Very Good';
+  if (score >= 70) return 'Good';
+  if (score >= 60) return 'Fair';
+  if (score >= 50) return 'Poor';
+  return 'Very Poor';
+}
+
+export function calculateMentalHealthScore(mood, stress, symptoms) {
+  // Base score starts at 75 (neutral)
+  let score = 75;
+  
+  // Mood impact (-25 to +25)
+  const moodScores = {
+    veryPositive: 25,
+    positive: 15,
+    neutral: 0,
+    negative: -15,
+    veryNegative: -25
+  };
+  score += moodScores[mood] || 0;
+  
+  // Stress impact (-25 to +25)
+  const stressScores = {
+    veryLow: 25,
+    low: 15,
+    moderate: 0,
+    high: -15,
+    veryHigh: -25
+  };
+  score += stressScores[stress] || 0;
+  
+  // Symptoms impact (up to -25)
+  const symptomImpact = Math.min(symptoms.length * 5, 25);
+  score -= symptomImpact;
+  
+  // Ensure score stays within 0-100 range
+  return Math.max(0, Math.min(100, Math.round(score)));
+}
+
+export function getMentalHealthLabel(score) {
+  if (score >= 90) return 'Excellent';
+  if (score >= 80) return 'Very Good';
+  if (score >= 70) return 'Good';
+  if (score >= 60) return 'Fair';
+  if (score >= 50) return 'Poor';
+  return 'Needs Attention';
+}
+
+export function generateLocalInsights(metrics) {
+  const insights = [];
+
+  // Sleep insights
+  if (metrics.sleep > 0) {
+    const sleepQuality = metrics.sleep >= 7 ? "healthy" : "below recommended";
+    insights.push(
+      `Sleep duration is ${metrics.sleep} hours (${sleepQuality}). ${
+        metrics.sleep < 7 
+          ? "Consider aiming for 7-9 hours for optimal health."
+          : "Maintain this healthy sleep pattern."
+      }`
+    );
+  }
+
+  // Exercise insights
+  if (metrics.exercise > 0) {
+    const exerciseQuality = metrics.exercise >= 30 ? "meeting" : "below";
+    insights.push(
+      `Exercise duration is ${metrics.exercise} minutes (${exerciseQuality} recommended levels). ${
+        metrics.exercise < 30
+          ? "Aim for at least 30 minutes of daily activity."
+          : "Keep up this good level of activity."
+      }`
+    );
+  }
+
+  // Mood and energy insights
+  insights.push(
+    `Overall wellbeing shows ${metrics.mood} mood with ${metrics.energy} energy levels` +
+    (metrics.symptoms.length 
+      ? `. Health concerns noted: ${metrics.symptoms.join(', ')}` 
+      : " with no reported symptoms."
+    )
+  );
+
+  return insights;
+}
+
+export function generateLocalSuggestions(metrics) {
+  const suggestions = [];
+
+  // Sleep suggestions
+  if (metrics.sleep < 7) {
+    suggestions.push(
+      "Establish a consistent bedtime routine and aim for 7-9 hours of sleep"
+    );
+  }
+
+  // Exercise suggestions
+  if (metrics.exercise < 30) {
+    suggestions.push(
+      "Start with short exercise sessions and gradually work up to 30 minutes daily"
+    );
+  }
+
+  // Health management suggestions
+  if (metrics.symptoms.length > 0) {
+    suggestions.push(
+      "Monitor your symptoms and consider consulting a healthcare provider if they persist"
+    );
+  }
+
+  // If we need more suggestions
+  if (suggestions.length < 2) {
+    if (metrics.energy === 'low') {
+      suggestions.push(
+        "Try to identify and address factors affecting your energy levels"
+      );
+    } else if (metrics.mood === 'bad') {
+      suggestions.push(
+        "Consider activities that boost your mood like exercise or socializing"
+      );
+    } else {
+      suggestions.push(
+        "Maintain your current healthy routines and track any changes in your wellbeing"
+      );
+    }
+  }
+
+  return suggestions;
+}
@@ -0,0 +1,104 @@
+// src/lib/metricExtraction.js
+import { DEFAULT_RULES } from './extractionRules';
+
+// One engine reads health metrics out of journal text for analysis, search,
+// chat, evaluation and export. Each field comes from the rules registered
+// for it; the best candidate wins, and symptoms keep every match.
+
+export const METRIC_FIELDS = ['sleep', 'exercise', 'mood', 'stress', 'energy', 'symptoms'];
+
+// What the analysis screens assume when an entry does not say
+export const METRIC_DEFAULTS = {
+  sleep: 0,
+  exercise: 0,
+  mood: 'neutral',
+  stress: 'moderate',
+  energy: 'medium',
+  symptoms: []
+};
+
+// Rules keyed by id, run in the order they were registered. Registering an
+// id again replaces that rule in place.
+export function createRuleRegistry(rules = []) {
+  const registered = new Map();
+  const registry = {
+    register(rule) {
+      if (!rule?.id || !rule.field || typeof rule.extract !== 'function') {
+        throw new Error('An extraction rule needs an id, a field and an extract function');
+      }
+      registered.set(rule.id, rule);
+      return registry;
+    },
+    unregister: (id) => registered.delete(id),
+    rules: () => [...registered.values()]
+  };
+  rules.forEach(rule => registry.register(rule));
+  return registry;
+}
+
+// The rules extractMetrics uses unless given a registry of its own
+export const defaultRegistry = createRuleRegistry(DEFAULT_RULES);
+
+export const registerRule = (rule) => defaultRegistry.register(rule);
+
+const toMatch = (text, rule, candidate) => ({
+  value: candidate.value,
+  confidence: Math.round(Math.min(1, candidate.confidence) * 100) / 100,
+  span: { start: candidate.start, end: candidate.end, text: text.slice(candidate.start, candidate.end) },
+  rule: rule.id
+});
+
+// Every field, including any a registered rule adds, with what was found,
+// or null (an empty list for list fields) when nothing matched. A match is
+// { value, confidence, span: { start, end, text }, rule }; symptoms are a
+// list of matches, one per symptom, in the order they appear.
+export function extractMetrics(text, { registry = defaultRegistry } = {}) {
+  const input = String(text || '');
+  const rules = registry.rules();
+  const fields = new Set([...METRIC_FIELDS, ...rules.map(rule => rule.field)]);
+  const lists = new Set(['symptoms']);
+  const candidates = new Map();
+
+  rules.forEach(rule => {
+    if (rule.multiple) lists.add(rule.field);
+    rule.extract(input).forEach(candidate => {
+      if (!(candidate.confidence > 0)) return;
+      if (!candidates.has(rule.field)) candidates.set(rule.field, []);
+      candidates.get(rule.field).push(toMatch(input, rule, candidate));
+    });
+  });
+
+  const result = Object.fromEntries([...fields].map(field => [field, lists.has(field) ? [] : null]));
+  candidates.forEach((matches, field) => {
+    // Stable sort: on equal confidence the rule registered first wins
+    const ranked = [...matches].sort((a, b) => b.confidence - a.confidence);
+    if (!lists.has(field)) {
+      result[field] = ranked[0];
+      return;
+    }
+    const best = new Map();
+    ranked.forEach(match => {
+      if (!best.has(match.value)) best.set(match.value, match);
+    });
+    result[field] = [...best.values()].sort((a, b) => a.span.start - b.span.start);
+  });
+  return result;
+}
+
+// Just the values, null where the text says nothing. Search and export use
+// this so an unmentioned field is not mistaken for a measured one.
+export const metricValues = (extracted) => Object.fromEntries(
+  Object.entries(extracted).map(([field, match]) => [
+    field,
+    Array.isArray(match) ? match.map(item => item.value) : match?.value ?? null
+  ])
+);
+
+// Values with METRIC_DEFAULTS filled in, the shape the analysis prompts,
+// mock analyst and chat have always worked with
+export function extractLocalMetrics(text, options) {
+  const values = metricValues(extractMetrics(text, options));
+  return Object.fromEntries(
+    Object.entries(values).map(([field, value]) => [field, value ?? METRIC_DEFAULTS[field] ?? null])
+  );
+}
@@ -0,0 +1,297 @@
+// src/lib/mockAnalyst.js
+import {
+  calculateSleepScore,
+  calculateMentalHealthScore,
+  generateLocalInsights,
+  generateLocalSuggestions
+} from './localAnalysis';
+import { extractLocalMetrics } from './metricExtraction';
+
+// Readable labels for the local mood/stress levels
+const moodLabels = {
+  veryPositive: 'very positive',
+  positive: 'positive',
+  neutral: 'neutral',
+  negative: 'negative',
+  veryNegative: 'very negative'
+};
+
+const stressLabels = {
+  veryLow: 'very low',
+  low: 'low',
+  moderate: 'moderate',
+  high: 'high',
+  veryHigh: 'very high'
+};
+
+// Minimum change across the last 3 entries to count as a trend
+const TREND_THRESHOLDS = {
+  sleep: 5,
+  mentalHealth: 5,
+  exercise: 5
+};
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+const average = (values) =>
+  values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+
+const mostCommon = (values, fallback) => {
+  if (values.length === 0) return fallback;
+  const counts = values.reduce((acc, value) => {
+    acc[value] = (acc[value] || 0) + 1;
+    return acc;
+  }, {});
+  // Ties go to the value seen first so results stay deterministic
+  return Object.keys(counts).reduce((best, value) =>
+    counts[value] > counts[best] ? value : best
+  );
+};
+
+// Compare the first and last of the 3 most recent values
+const calculateTrend = (values, threshold) => {
+  const recent = values.slice(-3);
+  if (recent.length < 2) return 'stable';
+  const change = recent[recent.length - 1] - recent[0];
+  if (Math.abs(change) < threshold) return 'stable';
+  return change > 0 ? 'improving' : 'declining';
+};
+
+export const getEntryText = (entry) => {
+  if (typeof entry === 'string') return entry;
+  return entry?.content || entry?.text || '';
+};
+
+export const getEntryTime = (entry) => {
+  const time = new Date(entry?.date || entry?.timestamp).getTime();
+  return isNaN(time) ? 0 : time;
+};
+
+// Oldest first, so trends read left to right
+const sortChronologically = (entries) =>
+  [...entries].sort((a, b) => getEntryTime(a) - getEntryTime(b));
+
+function buildInsights({ sleepAverage, sleepDays, exerciseAverage, exerciseDays, mood, symptoms, entryCount }) {
+  const sleepInsight = sleepDays > 0
+    ? `You averaged ${sleepAverage} hours of sleep across ${sleepDays} of ${entryCount} entries${
+        sleepAverage < 7 ? ', below the recommended 7-9 hours.' : sleepAverage > 9 ? ', above the recommended 7-9 hours.' : ', within the recommended 7-9 hours.'
+      }`
+    : 'None of the analyzed entries mention how many hours you slept.';
+
+  const exerciseInsight = exerciseDays > 0
+    ? `You logged exercise in ${exerciseDays} of ${entryCount} entries, averaging ${exerciseAverage} minutes per entry.`
+    : 'None of the analyzed entries mention exercise duration.';
+
+  const moodInsight = symptoms.length > 0
+    ? `Your predominant mood was ${mood}, with ${symptoms.join(', ')} reported most often.`
+    : `Your predominant mood was ${mood}, with no symptoms reported.`;
+
+  return [sleepInsight, exerciseInsight, moodInsight];
+}
+
+function buildRecommendations({ sleepAverage, exerciseAverage, symptoms, mood, stress }) {
+  const recommendations = generateLocalSuggestions({
+    sleep: sleepAverage,
+    exercise: exerciseAverage,
+    symptoms,
+    mood,
+    energy: 'medium'
+  });
+
+  const extras = [
+    stress === 'high' || stress === 'very high'
+      ? 'Set aside time each day for a relaxation practice such as breathing exercises or a short walk'
+      : null,
+    'Keep noting sleep hours and exercise minutes in your entries so trends stay accurate',
+    'Maintain your current healthy routines and track any changes in your wellbeing',
+    'Review your journal weekly to spot patterns between sleep, activity and mood'
+  ].filter(Boolean);
+
+  for (const extra of extras) {
+    if (recommendations.length >= 3) break;
+    if (!recommendations.includes(extra)) recommendations.push(extra);
+  }
+
+  return recommendations.slice(0, 3);
+}
+
+// Build the /api/analyze response from local extraction alone
+export function mockBatchAnalysis(entries = []) {
+  const perEntry = sortChronologically(entries).map(entry => {
+    const metrics = extractLocalMetrics(getEntryText(entry));
+    return {
+      metrics,
+      sleepScore: calculateSleepScore(metrics.sleep),
+      mentalScore: calculateMentalHealthScore(metrics.mood, metrics.stress, metrics.symptoms)
+    };
+  });
+
+  const sleepValues = perEntry.filter(e => e.metrics.sleep > 0);
+  const sleepAverage = round1(average(sleepValues.map(e => e.metrics.sleep)));
+  const exerciseDays = perEntry.filter(e => e.metrics.exercise > 0).length;
+  const exerciseAverage = round1(average(perEntry.map(e => e.metrics.exercise)));
+
+  const mood = moodLabels[mostCommon(perEntry.map(e => e.metrics.mood), 'neutral')];
+  const stress = stressLabels[mostCommon(perEntry.map(e => e.metrics.stress), 'moderate')];
+
+  const symptomCounts = perEntry
+    .flatMap(e => e.metrics.symptoms)
+    .reduce((acc, symptom) => {
+      acc[symptom] = (acc[symptom] || 0) + 1;
+      return acc;
+    }, {});
+  const symptoms = Object.entries(symptomCounts)
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, 3)
+    .map(([symptom]) => symptom);
+
+  const summary = {
+    sleepAverage,
+    sleepDays: sleepValues.length,
+    exerciseAverage,
+    exerciseDays,
+    mood,
+    stress,
+    symptoms,
+    entryCount: perEntry.length
+  };
+
+  return {
+    metrics: {
+      sleep: {
+        average: sleepAverage,
+        quality: round1(calculateSleepScore(sleepAverage)),
+        trend: calculateTrend(sleepValues.map(e => e.sleepScore), TREND_THRESHOLDS.sleep)
+      },
+      mentalHealth: {
+        averageScore: round1(average(perEntry.map(e => e.mentalScore))),
+        predominantMood: mood,
+        stressLevel: stress,
+        trend: calculateTrend(perEntry.map(e => e.mentalScore), TREND_THRESHOLDS.mentalHealth)
+      },
+      exercise: {
+        average: exerciseAverage,
+        trend: calculateTrend(perEntry.map(e => e.metrics.exercise), TREND_THRESHOLDS.exercise)
+      }
+    },
+    insights: buildInsights(summary),
+    recommendations: buildRecommendations(summary)
+  };
+}
+
+// Build the per-entry analysis structure requested by getAIAnalysis
+export function mockEntryAnalysis(entry, metrics = extractLocalMetrics(getEntryText(entry))) {
+  const sleepScore = calculateSleepScore(metrics.sleep);
+  const exerciseScore = Math.min(100, Math.round((metrics.exercise / 30) * 100));
+  const mentalScore = calculateMentalHealthScore(metrics.mood, metrics.stress, metrics.symptoms);
+  const physicalScore = Math.max(0, 100 - metrics.symptoms.length * 20);
+
+  const level = (score) => (score >= 70 ? 'good' : score >= 50 ? 'fair' : 'poor');
+  const stressLevel = metrics.stress.toLowerCase().includes('high')
+    ? 'high'
+    : metrics.stress.toLowerCase().includes('low') ? 'low' : 'moderate';
+  const moodOverall = metrics.mood.toLowerCase().includes('positive')
+    ? 'positive'
+    : metrics.mood.toLowerCase().includes('negative') ? 'negative' : 'neutral';
+
+  const strengths = [];
+  const improvements = [];
+  if (metrics.sleep >= 7 && metrics.sleep <= 9) strengths.push('Sleep duration within the recommended range');
+  else if (metrics.sleep > 0) improvements.push('Sleep duration outside the recommended 7-9 hours');
+  if (metrics.exercise >= 30) strengths.push('Met the 30 minute daily activity target');
+  else improvements.push('Below the 30 minute daily activity target');
+  if (moodOverall === 'positive') strengths.push('Positive mood reported');
+  if (metrics.symptoms.length > 0) improvements.push(`Symptoms reported: ${metrics.symptoms.join(', ')}`);
+
+  return {
+    analysis: {
+      sleep: {
+        quality: level(sleepScore),
+        pattern: 'regular',
+        concerns: metrics.sleep > 0 && metrics.sleep < 7 ? ['Short sleep duration'] : [],
+        score: sleepScore
+      },
+      exercise: {
+        intensity: metrics.exercise >= 45 ? 'high' : metrics.exercise >= 20 ? 'moderate' : 'low',
+        consistency: 'regular',
+        activities: [],
+        score: exerciseScore
+      },
+      mentalHealth: {
+        overall: moodOverall,
+        stressLevel,
+        moodPatterns: [metrics.mood],
+        score: mentalScore
+      },
+      physicalHealth: {
+        status: level(physicalScore),
+        symptoms: metrics.symptoms,
+        concerns: metrics.symptoms.length > 1 ? ['Multiple symptoms reported'] : [],
+        score: physicalScore
+      }
+    },
+    insights: {
+      strengths,
+      improvements,
+      patterns: generateLocalInsights(metrics)
+    },
+    recommendations: {
+      immediate: generateLocalSuggestions(metrics),
+      shortTerm: [],
+      longTerm: []
+    },
+    overallHealthScore: Math.round((sleepScore + exerciseScore + mentalScore + physicalScore) / 4)
+  };
+}
+
+// Aggregate local metrics for a group of entries (used for period summaries)
+export function summarizeEntriesLocally(entries = []) {
+  const metrics = entries.map(entry => extractLocalMetrics(getEntryText(entry)));
+  const sleepValues = metrics.filter(m => m.sleep > 0).map(m => m.sleep);
+  const symptoms = [...new Set(metrics.flatMap(m => m.symptoms))];
+
+  return {
+    entryCount: entries.length,
+    sleepHours: sleepValues.length > 0 ? round1(average(sleepValues)) : null,
+    exerciseMinutes: round1(average(metrics.map(m => m.exercise))),
+    mood: moodLabels[mostCommon(metrics.map(m => m.mood), 'neutral')],
+    stress: stressLabels[mostCommon(metrics.map(m => m.stress), 'moderate')],
+    symptoms
+  };
+}
+
+// Deterministic one-line summaries for the stub provider's map step
+export function mockPeriodSummaries(periods = []) {
+  return {
+    summaries: periods.map(({ period, entries }) => {
+      const stats = summarizeEntriesLocally(entries);
+      const sleep = stats.sleepHours !== null ? `${stats.sleepHours} hours of sleep` : 'no sleep hours logged';
+      const symptoms = stats.symptoms.length > 0 ? `symptoms: ${stats.symptoms.join(', ')}` : 'no symptoms';
+      return {
+        period,
+        summary: `${stats.entryCount} ${stats.entryCount === 1 ? 'entry' : 'entries'}, ${sleep}, ${stats.exerciseMinutes} minutes of exercise on average, ${stats.mood} mood, ${stats.stress} stress, ${symptoms}.`
+      };
+    })
+  };
+}
+
+const formatEntryDate = (date) => {
+  const parsed = new Date(date);
+  return isNaN(parsed.getTime())
+    ? 'an undated entry'
+    : parsed.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+};
+
+// Deterministic chat answer for the stub provider: point at the retrieved entries
+export function mockJournalAnswer({ sources = [] } = {}) {
+  if (sources.length === 0) {
+    return { answer: 'None of your journal entries mention this.', citations: [] };
+  }
+
+  const cited = sources.slice(0, 3);
+  const list = cited.map((source, index) => `${formatEntryDate(source.date)} [${index + 1}]`).join(', ');
+  return {
+    answer: `These entries are the closest match to your question: ${list}.`,
+    citations: cited.map((_, index) => index + 1)
+  };
+}
@@ -0,0 +1,206 @@
+// src/lib/prompts.js
+
+// Every prompt sent to the model lives here. Bump a prompt's version whenever
+// its wording changes so stored and cached analyses from earlier wording can
+// be told apart.
+
+const JSON_ONLY_SYSTEM = "You are a health analytics expert. You MUST respond with ONLY a valid JSON object matching the EXACT structure specified. Do not include any other text, markdown, or explanation.";
+
+const prompts = {
+  'batch-analysis': {
+    id: 'batch-analysis',
+    version: 1,
+    variables: ['description', 'data', 'trendBasis'],
+    system: JSON_ONLY_SYSTEM,
+    template: `Analyze {{description}} and return ONLY a valid JSON object:
+{{data}}
+
+Required JSON structure (return EXACTLY this structure):
+{
+  "metrics": {
+    "sleep": {
+      "average": number,
+      "quality": number,
+      "trend": string
+    },
+    "mentalHealth": {
+      "averageScore": number,
+      "predominantMood": string,
+      "stressLevel": string,
+      "trend": string
+    },
+    "exercise": {
+      "average": number,
+      "trend": string
+    }
+  },
+  "insights": [
+    string,
+    string,
+    string
+  ],
+  "recommendations": [
+    string,
+    string,
+    string
+  ]
+}
+
+Analysis rules:
+1. Sleep score (0-100): Based on deviation from ideal 8 hours (subtract 12.5 points per hour deviation)
+2. Mental health score (0-100): Based on mood, stress, and symptoms
+3. Provide exactly 3 specific insights
+4. Provide exactly 3 actionable recommendations
+5. Calculate trends as "improving", "stable", or "declining" based on last 3 {{trendBasis}}
+6. Round all numbers to 1 decimal place
+7. DO NOT include any text or explanation, ONLY the JSON object
+8. DO NOT add any additional fields to the JSON structure`
+  },
+
+  'period-summaries': {
+    id: 'period-summaries',
+    version: 1,
+    variables: ['periods'],
+    system: JSON_ONLY_SYSTEM,
+    template: `Summarize the journal entries for each period below in 1-2 sentences, focusing on sleep, exercise, mood, stress and symptoms.
+
+{{periods}}
+
+Return ONLY this JSON structure, with every period exactly once:
+{
+  "summaries": [
+    { "period": string, "summary": string }
+  ]
+}`
+  },
+
+  'entry-analysis': {
+    id: 'entry-analysis',
+    version: 1,
+    variables: ['entry', 'metrics'],
+    system: `You are an expert health analyst. Analyze the journal entry and metrics to provide structured insights about health patterns. Focus on:
+
+1. Sleep Analysis:
+   - Quality assessment
+   - Pattern identification
+   - Improvement areas
+
+2. Exercise Analysis:
+   - Intensity level
+   - Consistency
+   - Type of activities
+
+3. Mood & Mental Health:
+   - Overall state
+   - Triggers or patterns
+   - Stress indicators
+
+4. Physical Health:
+   - Symptoms analysis
+   - Pattern recognition
+   - Health concerns
+
+5. Recommendations:
+   - Specific, actionable steps
+   - Lifestyle adjustments
+   - Health optimization
+
+Provide response in this JSON structure:
+{
+  "analysis": {
+    "sleep": {
+      "quality": "good|fair|poor",
+      "pattern": "regular|irregular",
+      "concerns": [],
+      "score": 0-100
+    },
+    "exercise": {
+      "intensity": "high|moderate|low",
+      "consistency": "regular|irregular",
+      "activities": [],
+      "score": 0-100
+    },
+    "mentalHealth": {
+      "overall": "positive|neutral|negative",
+      "stressLevel": "high|moderate|low",
+      "moodPatterns": [],
+      "score": 0-100
+    },
+    "physicalHealth": {
+      "status": "good|fair|poor",
+      "symptoms": [],
+      "concerns": [],
+      "score": 0-100
+    }
+  },
+  "insights": {
+    "strengths": [],
+    "improvements": [],
+    "patterns": []
+  },
+  "recommendations": {
+    "immediate": [],
+    "shortTerm": [],
+    "longTerm": []
+  },
+  "overallHealthScore": 0-100
+}`,
+    template: 'Analyze this health journal entry and the extracted metrics:\n\nEntry: "{{entry}}"\n\nMetrics detected:\n{{metrics}}\n\nProvide a comprehensive analysis in the specified JSON format.'
+  },
+
+  'journal-chat': {
+    id: 'journal-chat',
+    version: 1,
+    variables: ['question', 'entries'],
+    system: `You answer questions about the user's own health journal. Use ONLY the numbered journal entries provided. Cite every entry you rely on by its number in square brackets, like [2]. If the entries do not answer the question, say so plainly. Do not diagnose conditions.
+
+Return ONLY this JSON structure:
+{
+  "answer": string,
+  "citations": [number]
+}`,
+    template: `Question: {{question}}
+
+Journal entries (most relevant first):
+{{entries}}`
+  }
+};
+
+export function getPrompt(id) {
+  const prompt = prompts[id];
+  if (!prompt) {
+    throw new Error(`Unknown prompt: ${id}`);
+  }
+  return prompt;
+}
+
+// Strings are inserted as-is; anything else as indented JSON
+const formatVariable = (value) =>
+  typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+
+// Fill {{name}} placeholders and return the chat messages
+export function renderPrompt(id, variables = {}) {
+  const prompt = getPrompt(id);
+  const missing = prompt.variables.filter(name => variables[name] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Missing variables for prompt ${id}: ${missing.join(', ')}`);
+  }
+
+  const fill = (text) =>
+    text.replace(/\{\{(\w+)\}\}/g, (placeholder, name) =>
+      prompt.variables.includes(name) ? formatVariable(variables[name]) : placeholder
+    );
+
+  return [
+    { role: "system", content: fill(prompt.system) },
+    { role: "user", content: fill(prompt.template) }
+  ];
+}
+
+// What produced an analysis, stored alongside it
+export const describeGeneration = (id, provider) => ({
+  promptId: id,
+  promptVersion: getPrompt(id).version,
+  provider: provider.name,
+  model: provider.model
+});
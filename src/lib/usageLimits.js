@@ -0,0 +1,169 @@
+// src/lib/usageLimits.js
+import { NextResponse } from 'next/server';
+import { getUsageStore } from './usageStore';
+import { getLLMProvider, isStubProvider } from './llmProvider';
+import { CLIENT_ID_COOKIE } from './clientId';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Each kind of request has its own counters, so automatic entry analysis and
+// chat do not use up the limits of a full analysis. Every limit can be set
+// with <prefix>_RATE_LIMIT, <prefix>_RATE_LIMIT_WINDOW_MINUTES,
+// <prefix>_DAILY_TOKEN_BUDGET, <prefix>_DAILY_COST_BUDGET and <prefix>_MAX_ENTRIES.
+const SCOPES = {
+  analysis: {
+    prefix: 'ANALYSIS',
+    label: 'analysis requests',
+    requestsPerWindow: 10,
+    windowMinutes: 60,
+    dailyTokenBudget: 200000,
+    // Long histories are summarized per period, so this only guards against
+    // runaway requests and leaves room for "All entries"
+    maxEntries: 1000
+  },
+  entry: {
+    prefix: 'ENTRY_ANALYSIS',
+    label: 'entry analyses',
+    requestsPerWindow: 60,
+    windowMinutes: 60,
+    dailyTokenBudget: 50000,
+    maxEntries: 1
+  },
+  chat: {
+    prefix: 'CHAT',
+    label: 'chat questions',
+    requestsPerWindow: 30,
+    windowMinutes: 60,
+    dailyTokenBudget: 100000,
+    // Applied to the entries sent to the model, not the whole history
+    maxEntries: 200
+  }
+};
+
+// USD per 1K prompt tokens, used to turn a daily cost budget into tokens
+const DEFAULT_COST_PER_1K_TOKENS = 0.0025;
+
+const readNumber = (value, fallback) =>
+  value === undefined || value === '' || isNaN(Number(value)) ? fallback : Number(value);
+
+const getScope = (scope) => {
+  if (!SCOPES[scope]) throw new Error(`Unknown usage scope: ${scope}`);
+  return SCOPES[scope];
+};
+
+// Read limits for one scope from the environment. A limit of 0 disables it.
+export function getUsageLimits(scope = 'analysis', env = process.env) {
+  const { prefix, ...defaults } = getScope(scope);
+  let dailyTokenBudget = readNumber(env[`${prefix}_DAILY_TOKEN_BUDGET`], defaults.dailyTokenBudget);
+
+  const costBudget = readNumber(env[`${prefix}_DAILY_COST_BUDGET`], 0);
+  if (costBudget > 0) {
+    const costPer1k = readNumber(env.ANALYSIS_COST_PER_1K_TOKENS, DEFAULT_COST_PER_1K_TOKENS);
+    const costTokens = Math.floor((costBudget / costPer1k) * 1000);
+    dailyTokenBudget = dailyTokenBudget > 0 ? Math.min(dailyTokenBudget, costTokens) : costTokens;
+  }
+
+  return {
+    requestsPerWindow: readNumber(env[`${prefix}_RATE_LIMIT`], defaults.requestsPerWindow),
+    windowMinutes: readNumber(env[`${prefix}_RATE_LIMIT_WINDOW_MINUTES`], defaults.windowMinutes),
+    dailyTokenBudget,
+    maxEntries: readNumber(env[`${prefix}_MAX_ENTRIES`], defaults.maxEntries)
+  };
+}
+
+const CLIENT_ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+// There are no accounts yet. Behind proxies that set X-Forwarded-For,
+// ANALYSIS_TRUSTED_PROXIES says how many there are and the client is that
+// many entries from the end, since each proxy appends the address it received
+// the request from. The header is whatever the client sent otherwise, and
+// Next.js does not give route handlers the connection address, so clients
+// are told apart by the id cookie the middleware sets instead. Requests
+// without one share a single set of limits.
+export const getClientId = (request, env = process.env) => {
+  const proxies = readNumber(env.ANALYSIS_TRUSTED_PROXIES, 0);
+  if (proxies > 0) {
+    const addresses = (request.headers.get('x-forwarded-for') || '')
+      .split(',')
+      .map(address => address.trim())
+      .filter(Boolean);
+    const address = addresses[Math.max(0, addresses.length - proxies)];
+    if (address) return address;
+  }
+
+  const cookie = request.cookies?.get(CLIENT_ID_COOKIE)?.value;
+  return cookie && CLIENT_ID_PATTERN.test(cookie) ? `client:${cookie}` : 'anonymous';
+};
+
+// Fixed window containing `now`
+const getWindow = (duration, now) => {
+  const start = Math.floor(now / duration) * duration;
+  return { start, end: start + duration };
+};
+
+const tooManyRequests = (reason, error, retryAt) => {
+  const retryAfter = Math.max(1, Math.ceil((retryAt - Date.now()) / 1000));
+  return NextResponse.json(
+    { error, reason, retryAt: new Date(retryAt).toISOString(), retryAfter },
+    { status: 429, headers: { 'Retry-After': String(retryAfter) } }
+  );
+};
+
+const tooLarge = (error) =>
+  NextResponse.json({ error, reason: 'too-large' }, { status: 413 });
+
+// Check the entry count, daily token budget and request rate for one request
+// in `scope` (analysis, entry or chat). Returns an error response when the
+// request is not allowed.
+export async function limitAnalysisRequest(request, { scope = 'analysis', entryCount, estimatedTokens }, limits = getUsageLimits(scope)) {
+  const { label } = getScope(scope);
+  const clientId = getClientId(request);
+  const store = getUsageStore();
+  const now = Date.now();
+
+  if (limits.maxEntries > 0 && entryCount > limits.maxEntries) {
+    return {
+      clientId,
+      response: tooLarge(`Too many entries: at most ${limits.maxEntries} can be analyzed at once.`)
+    };
+  }
+
+  if (limits.dailyTokenBudget > 0) {
+    if (estimatedTokens > limits.dailyTokenBudget) {
+      return {
+        clientId,
+        response: tooLarge(`This request needs about ${estimatedTokens} tokens, more than the daily budget of ${limits.dailyTokenBudget}. Select fewer entries.`)
+      };
+    }
+
+    const day = getWindow(DAY, now);
+    const used = await store.get(`tokens:${scope}:${clientId}:${day.start}`);
+    if (used + estimatedTokens > limits.dailyTokenBudget) {
+      return {
+        clientId,
+        response: tooManyRequests('budget', `Daily budget for ${label} reached (${used} of ${limits.dailyTokenBudget} tokens used)`, day.end)
+      };
+    }
+  }
+
+  if (limits.requestsPerWindow > 0) {
+    const window = getWindow(limits.windowMinutes * 60 * 1000, now);
+    const count = await store.increment(`requests:${scope}:${clientId}:${window.start}`, 1, window.end);
+    if (count > limits.requestsPerWindow) {
+      return {
+        clientId,
+        response: tooManyRequests('rate-limit', `Too many ${label} (limit ${limits.requestsPerWindow} per ${limits.windowMinutes} minutes)`, window.end)
+      };
+    }
+  }
+
+  return { clientId, response: null };
+}
+
+// Charge the tokens a request used against the client's daily budget for
+// `scope`. Requests answered by the stub provider are free.
+export async function recordTokenUsage(clientId, tokens, scope = 'analysis') {
+  if (!tokens || isStubProvider(getLLMProvider())) return;
+  const day = getWindow(DAY, Date.now());
+  await getUsageStore().increment(`tokens:${scope}:${clientId}:${day.start}`, tokens, day.end);
+}
@@ -0,0 +1,93 @@
+// src/lib/usageStore.js
+
+// Counters for rate limits and budgets. Each key belongs to one time window
+// and is dropped once that window has ended.
+
+const MAX_MEMORY_KEYS = 10000;
+
+export function createMemoryUsageStore() {
+  const counters = new Map();
+
+  const prune = () => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.expiresAt <= now) counters.delete(key);
+    }
+  };
+
+  return {
+    name: 'memory',
+    async get(key) {
+      const counter = counters.get(key);
+      return counter && counter.expiresAt > Date.now() ? counter.count : 0;
+    },
+    async increment(key, amount, expiresAt) {
+      if (counters.size > MAX_MEMORY_KEYS) prune();
+      const current = await this.get(key);
+      counters.set(key, { count: current + amount, expiresAt });
+      return current + amount;
+    }
+  };
+}
+
+// Falls back to allowing requests when MongoDB is unreachable, so an outage
+// does not take analysis down with it
+export function createMongoUsageStore() {
+  const getModel = async () => {
+    const { connectDB, UsageCounter } = await import('./db');
+    return (await connectDB()) ? UsageCounter : null;
+  };
+
+  return {
+    name: 'mongo',
+    async get(key) {
+      try {
+        const UsageCounter = await getModel();
+        if (!UsageCounter) return 0;
+        const counter = await UsageCounter.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+        return counter ? counter.count : 0;
+      } catch (error) {
+        console.error('Usage store read failed:', error);
+        return 0;
+      }
+    },
+    async increment(key, amount, expiresAt) {
+      try {
+        const UsageCounter = await getModel();
+        if (!UsageCounter) return 0;
+        const counter = await UsageCounter.findOneAndUpdate(
+          { key },
+          { $inc: { count: amount }, $setOnInsert: { expiresAt: new Date(expiresAt) } },
+          { upsert: true, new: true }
+        ).lean();
+        return counter.count;
+      } catch (error) {
+        console.error('Usage store write failed:', error);
+        return 0;
+      }
+    }
+  };
+}
+
+// Pick a backend from ANALYSIS_USAGE_STORE (memory or mongo)
+export function createUsageStore(env = process.env) {
+  const backend = (env.ANALYSIS_USAGE_STORE || 'memory').toLowerCase();
+
+  switch (backend) {
+    case 'memory':
+      return createMemoryUsageStore();
+    case 'mongo':
+      return createMongoUsageStore();
+    default:
+      throw new Error(`Unknown usage store: ${backend}`);
+  }
+}
+
+let sharedStore = null;
+
+export function getUsageStore() {
+  if (!sharedStore) {
+    sharedStore = createUsageStore();
+  }
+  return sharedStore;
+}
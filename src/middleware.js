@@ -0,0 +1,25 @@
+// src/middleware.js
+import { NextResponse } from 'next/server';
+import { CLIENT_ID_COOKIE, CLIENT_ID_MAX_AGE, createClientId } from './lib/clientId';
+
+// Give each browser a client id on its first visit, before it can call the
+// analysis routes, so usage limits apply per client rather than to everyone
+export function middleware(request) {
+  const response = NextResponse.next();
+
+  if (!request.cookies.has(CLIENT_ID_COOKIE)) {
+    response.cookies.set(CLIENT_ID_COOKIE, createClientId(), {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: request.nextUrl.protocol === 'https:',
+      maxAge: CLIENT_ID_MAX_AGE,
+      path: '/'
+    });
+  }
+
+  return response;
+}
+
+export const config = {
+  matcher: ['/((?!_next/static|_next/image|favicon.ico).*)']
+};
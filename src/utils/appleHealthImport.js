@@ -0,0 +1,244 @@
+// src/utils/appleHealthImport.js
+import { createDailyMetric } from './dailyMetrics';
+
+// Reads the export.xml from Apple Health's "Export All Health Data" zip.
+// The file is often hundreds of megabytes, so it is read as a stream and
+// only the <Record> and <Workout> start tags are parsed; each is folded
+// into per-day totals straight away rather than kept.
+
+export const APPLE_HEALTH_SOURCE = 'apple-health';
+
+const SLEEP = 'HKCategoryTypeIdentifierSleepAnalysis';
+const STEPS = 'HKQuantityTypeIdentifierStepCount';
+const HEART_RATE = 'HKQuantityTypeIdentifierHeartRate';
+const RESTING_HEART_RATE = 'HKQuantityTypeIdentifierRestingHeartRate';
+const BODY_MASS = 'HKQuantityTypeIdentifierBodyMass';
+const DIETARY_ENERGY = 'HKQuantityTypeIdentifierDietaryEnergyConsumed';
+
+// Sleep stages that count as asleep; "in bed" and "awake" do not
+const ASLEEP_VALUES = new Set([
+  'HKCategoryValueSleepAnalysisAsleep',
+  'HKCategoryValueSleepAnalysisAsleepUnspecified',
+  'HKCategoryValueSleepAnalysisAsleepCore',
+  'HKCategoryValueSleepAnalysisAsleepDeep',
+  'HKCategoryValueSleepAnalysisAsleepREM'
+]);
+
+const KILOGRAMS_PER_UNIT = { kg: 1, g: 0.001, lb: 0.45359237, st: 6.35029318 };
+const KCAL_PER_UNIT = { kcal: 1, Cal: 1, cal: 0.001, kJ: 1 / 4.184 };
+const MINUTES_PER_UNIT = { min: 1, s: 1 / 60, hr: 60, h: 60 };
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decodeEntities = (value) => value.replace(/&(amp|lt|gt|quot|apos);/g, (_, name) => ENTITIES[name]);
+
+const parseAttributes = (tag) => {
+  const attributes = {};
+  for (const [, name, value] of tag.matchAll(/([\w:]+)="([^"]*)"/g)) attributes[name] = decodeEntities(value);
+  return attributes;
+};
+
+// "2024-01-15 07:30:00 -0800" in milliseconds
+const parseTime = (value) => {
+  const match = /^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}) ([+-]\d{2})(\d{2})$/.exec(value || '');
+  return match ? Date.parse(`${match[1]}T${match[2]}${match[3]}:${match[4]}`) : NaN;
+};
+
+// The day as it was on the device's clock when the sample was recorded
+const dayOf = (value) => (/^\d{4}-\d{2}-\d{2}/.test(value || '') ? value.slice(0, 10) : null);
+
+const addBySource = (totals, source, amount) => totals.set(source, (totals.get(source) || 0) + amount);
+
+// iPhone and Apple Watch both count steps and both can log food, so take
+// the source with the highest total rather than adding them together
+const largestSource = (totals) => (totals.size > 0 ? Math.max(...totals.values()) : undefined);
+
+// Total length of possibly overlapping intervals, in hours
+const mergedHours = (intervals) => {
+  let total = 0;
+  let end = -Infinity;
+  [...intervals].sort((a, b) => a[0] - b[0]).forEach(([intervalStart, intervalEnd]) => {
+    if (intervalEnd <= end) return;
+    total += intervalEnd - Math.max(intervalStart, end);
+    end = intervalEnd;
+  });
+  return total / 3600000;
+};
+
+// Folds parsed records into per-day values
+export function createAppleHealthAggregator() {
+  const days = new Map();
+  let used = 0;
+
+  const day = (date) => {
+    if (!days.has(date)) {
+      days.set(date, {
+        sleep: [],
+        steps: new Map(),
+        energy: new Map(),
+        heartRate: { sum: 0, count: 0, min: Infinity, max: -Infinity },
+        resting: [],
+        weight: null,
+        exerciseMinutes: 0,
+        workouts: 0
+      });
+    }
+    return days.get(date);
+  };
+
+  const addRecord = ({ type, value, unit, sourceName = '', startDate, endDate }) => {
+    const amount = Number(value);
+
+    if (type === SLEEP) {
+      const start = parseTime(startDate);
+      const end = parseTime(endDate);
+      // A night belongs to the day you wake up on
+      if (!ASLEEP_VALUES.has(value) || !dayOf(endDate) || !(end > start)) return;
+      day(dayOf(endDate)).sleep.push([start, end]);
+      used += 1;
+      return;
+    }
+
+    const date = dayOf(startDate);
+    if (!date || !isFinite(amount) || amount < 0) return;
+
+    switch (type) {
+      case STEPS:
+        addBySource(day(date).steps, sourceName, amount);
+        break;
+      case DIETARY_ENERGY:
+        if (!KCAL_PER_UNIT[unit]) return;
+        addBySource(day(date).energy, sourceName, amount * KCAL_PER_UNIT[unit]);
+        break;
+      case HEART_RATE: {
+        const heartRate = day(date).heartRate;
+        heartRate.sum += amount;
+        heartRate.count += 1;
+        heartRate.min = Math.min(heartRate.min, amount);
+        heartRate.max = Math.max(heartRate.max, amount);
+        break;
+      }
+      case RESTING_HEART_RATE:
+        day(date).resting.push(amount);
+        break;
+      case BODY_MASS: {
+        if (!KILOGRAMS_PER_UNIT[unit]) return;
+        // The last weighing of the day
+        const time = parseTime(startDate);
+        const current = day(date).weight;
+        if (!current || time >= current.time) day(date).weight = { time, kg: amount * KILOGRAMS_PER_UNIT[unit] };
+        break;
+      }
+      default:
+        return;
+    }
+    used += 1;
+  };
+
+  const addWorkout = ({ duration, durationUnit = 'min', startDate, endDate }) => {
+    const date = dayOf(startDate);
+    if (!date) return;
+    let minutes = Number(duration) * (MINUTES_PER_UNIT[durationUnit] ?? NaN);
+    if (!isFinite(minutes)) minutes = (parseTime(endDate) - parseTime(startDate)) / 60000;
+    if (!isFinite(minutes) || minutes < 0) return;
+    day(date).exerciseMinutes += minutes;
+    day(date).workouts += 1;
+    used += 1;
+  };
+
+  const finish = (importedAt = new Date().toISOString()) => {
+    const records = [...days.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([date, values]) => createDailyMetric(APPLE_HEALTH_SOURCE, date, {
+        sleepHours: values.sleep.length > 0 ? mergedHours(values.sleep) : undefined,
+        exerciseMinutes: values.workouts > 0 ? values.exerciseMinutes : undefined,
+        workouts: values.workouts > 0 ? values.workouts : undefined,
+        steps: largestSource(values.steps),
+        heartRateAvg: values.heartRate.count > 0 ? values.heartRate.sum / values.heartRate.count : undefined,
+        heartRateMin: values.heartRate.count > 0 ? values.heartRate.min : undefined,
+        heartRateMax: values.heartRate.count > 0 ? values.heartRate.max : undefined,
+        restingHeartRate: values.resting.length > 0
+          ? values.resting.reduce((sum, value) => sum + value, 0) / values.resting.length
+          : undefined,
+        weightKg: values.weight?.kg,
+        caloriesIn: largestSource(values.energy)
+      }, importedAt))
+      .filter(record => Object.keys(record).length > 4);
+    return { records, used };
+  };
+
+  return { addRecord, addWorkout, finish };
+}
+
+// Index just past the end of the tag starting at `start`, or -1 if the
+// buffer ends first. A '>' inside a quoted attribute does not end it.
+const findTagEnd = (buffer, start) => {
+  let end = buffer.indexOf('>', start);
+  while (end !== -1) {
+    const quotes = buffer.slice(start, end).split('"').length - 1;
+    if (quotes % 2 === 0) return end + 1;
+    end = buffer.indexOf('>', end + 1);
+  }
+  return -1;
+};
+
+const TAGS = [['<Record', 'addRecord'], ['<Workout', 'addWorkout']];
+const LONGEST_TAG = '<Workout '.length;
+
+// Parse the start tags in buffer, returning what is left over for the
+// next chunk
+const scanBuffer = (buffer, aggregator) => {
+  let position = 0;
+  while (true) {
+    const open = buffer.indexOf('<', position);
+    if (open === -1) return '';
+    if (open + LONGEST_TAG > buffer.length) return buffer.slice(open);
+
+    const tag = TAGS.find(([name]) => buffer.startsWith(name, open) && /\s/.test(buffer[open + name.length]));
+    if (!tag) {
+      position = open + 1;
+      continue;
+    }
+    const end = findTagEnd(buffer, open);
+    if (end === -1) return buffer.slice(open);
+    aggregator[tag[1]](parseAttributes(buffer.slice(open, end)));
+    position = end;
+  }
+};
+
+// Parse an export.xml File (or Blob). onProgress gets the fraction read.
+// Resolves with one daily metric record per day that has data.
+export async function parseAppleHealthExport(file, { onProgress } = {}) {
+  const reader = file.stream().getReader();
+  const decoder = new TextDecoder();
+  const aggregator = createAppleHealthAggregator();
+  let buffer = '';
+  let head = '';
+  let read = 0;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    const text = decoder.decode(value, { stream: !done });
+    buffer += text;
+
+    // The root element, or the DOCTYPE naming it, comes first
+    if (head !== null) {
+      head += text;
+      if (head.length > 4096 || done) {
+        if (!head.includes('HealthData')) {
+          reader.cancel();
+          throw new Error('This is not an Apple Health export.xml file');
+        }
+        head = null;
+      }
+    }
+
+    buffer = scanBuffer(buffer, aggregator);
+    if (done) break;
+    read += value.byteLength;
+    onProgress?.(file.size ? read / file.size : 0);
+  }
+
+  const { records, used } = aggregator.finish();
+  return { records, used };
+}
@@ -0,0 +1,101 @@
+// src/utils/csvParser.js
+
+// Rows of a CSV file as arrays of strings. Handles quoted fields with
+// commas, quotes and line breaks, CRLF or LF line endings and a leading
+// byte order mark. Blank lines come back as empty rows so callers can split
+// files that hold several tables.
+export function parseCSV(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row.length === 1 && row[0] === '' ? [] : row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Semicolons are common in exports from locales that use a decimal comma
+const detectDelimiter = (text) => {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  return (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+};
+
+// The first non-empty row as headers and the rest as objects keyed by them
+export function parseCSVTable(text) {
+  const rows = parseCSV(text, detectDelimiter(text)).filter(row => row.length > 0);
+  const [headerRow = [], ...dataRows] = rows;
+  const headers = headerRow.map(header => header.trim());
+  return {
+    headers,
+    rows: dataRows.map(row => Object.fromEntries(headers.map((header, index) => [header, (row[index] ?? '').trim()])))
+  };
+}
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const fullYear = (year) => (year.length === 2 ? `20${year}` : year);
+
+// YYYY-MM-DD from the date formats app exports use. Slashes are read as US
+// month/day, as in Fitbit's exports; dots as day.month.
+export function parseDay(value) {
+  const text = String(value ?? '').trim();
+  let match = /^(\d{4})-(\d{2})-(\d{2})/.exec(text);
+  if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+
+  match = /^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})\b/.exec(text);
+  if (match) return `${fullYear(match[3])}-${pad(match[1])}-${pad(match[2])}`;
+
+  match = /^(\d{1,2})\.(\d{1,2})\.(\d{4})\b/.exec(text);
+  if (match) return `${match[3]}-${pad(match[2])}-${pad(match[1])}`;
+
+  // "Jan 15, 2024" or "15 Jan 2024"
+  match = /^([a-z]{3})[a-z]*\.? (\d{1,2}),? (\d{4})/i.exec(text) || /^(\d{1,2}) ([a-z]{3})[a-z]*\.? (\d{4})/i.exec(text);
+  if (match) {
+    const [day, month] = /^\d/.test(match[1]) ? [match[1], match[2]] : [match[2], match[1]];
+    const index = MONTHS.indexOf(month.toLowerCase());
+    if (index !== -1) return `${match[3]}-${pad(index + 1)}-${pad(day)}`;
+  }
+  return null;
+}
+
+// A number from a cell, allowing "1,234" thousands separators and "7,5"
+// decimal commas
+export function parseNumber(value) {
+  let text = String(value ?? '').trim();
+  if (!text || text === '--') return null;
+  text = /^\d{1,3}(,\d{3})+(\.\d+)?$/.test(text) ? text.replace(/,/g, '') : text.replace(',', '.');
+  const number = Number(text);
+  return isFinite(number) ? number : null;
+}
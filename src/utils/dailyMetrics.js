@@ -0,0 +1,196 @@
+// src/utils/dailyMetrics.js
+import { buildDailyMetrics, listDays } from './metricsExport';
+import { DAILY_METRIC_FIELDS } from './schema';
+import { toDateKey } from './dateUtils';
+import { calculateSleepScore } from '../lib/localAnalysis';
+
+// Where a daily metric record came from. Journal values are extracted from
+// entry text; the others are imported from apps and devices, in the order
+// they are preferred when more than one measured the same day.
+export const METRIC_SOURCES = {
+  journal: { label: 'Journal', color: '#8b5cf6' },
+  oura: { label: 'Oura', color: '#64748b' },
+  garmin: { label: 'Garmin', color: '#0ea5e9' },
+  fitbit: { label: 'Fitbit', color: '#14b8a6' },
+  'apple-health': { label: 'Apple Health', color: '#ef4444' },
+  'google-fit': { label: 'Google Fit', color: '#f59e0b' },
+  other: { label: 'Other device', color: '#ec4899' }
+};
+
+// What the charts can show. journalField is the matching column of
+// buildDailyMetrics, for metrics the journal also records.
+export const CHART_METRICS = {
+  sleep: { label: 'Sleep', unit: 'h', field: 'sleepHours', journalField: 'sleepHours' },
+  sleepScore: { label: 'Sleep score', unit: '/ 100', field: 'sleepScore' },
+  exercise: { label: 'Exercise', unit: 'min', field: 'exerciseMinutes', journalField: 'exerciseMinutes' },
+  steps: { label: 'Steps', unit: 'steps', field: 'steps' },
+  heartRate: { label: 'Resting heart rate', unit: 'bpm', field: 'restingHeartRate', fallbackField: 'heartRateAvg' },
+  weight: { label: 'Weight', unit: 'kg', field: 'weightKg' },
+  calories: { label: 'Calories eaten', unit: 'kcal', field: 'caloriesIn', journalField: 'calories' }
+};
+
+// Labels for import previews; heart rate minimum and maximum come with the
+// average so they are not listed separately
+export const DAILY_METRIC_LABELS = {
+  sleepHours: 'Sleep',
+  sleepScore: 'Sleep score',
+  exerciseMinutes: 'Exercise',
+  workouts: 'Workouts',
+  steps: 'Steps',
+  heartRateAvg: 'Heart rate',
+  restingHeartRate: 'Resting heart rate',
+  weightKg: 'Body mass',
+  caloriesIn: 'Dietary energy'
+};
+
+export const sourceLabel = (source) => METRIC_SOURCES[source]?.label || source;
+
+export const dailyMetricId = (source, date) => `${source}:${date}`;
+
+const round = (value, digits = 0) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// A record for one source and day, keeping only the values that were measured
+export function createDailyMetric(source, date, values, importedAt = new Date().toISOString()) {
+  const record = { id: dailyMetricId(source, date), source, date, importedAt };
+  DAILY_METRIC_FIELDS.forEach(field => {
+    const value = values[field];
+    if (typeof value === 'number' && isFinite(value) && value >= 0) {
+      record[field] = round(value, field === 'sleepHours' || field === 'weightKg' ? 1 : 0);
+    }
+  });
+  return record;
+}
+
+// Imported records are merged into stored ones for the same source and day:
+// values in the new record win and the rest are kept, so importing a sleep
+// file after an activity file for the same days fills in both. Records that
+// would not change anything are counted as unchanged.
+export function mergeDailyMetrics(existing, incoming) {
+  const merged = new Map(existing.map(record => [record.id, record]));
+  let added = 0;
+  let updated = 0;
+  let unchanged = 0;
+  incoming.forEach(record => {
+    const current = merged.get(record.id);
+    if (!current) {
+      added += 1;
+      merged.set(record.id, record);
+      return;
+    }
+    const changed = DAILY_METRIC_FIELDS.some(field => record[field] !== undefined && record[field] !== current[field]);
+    if (!changed) {
+      unchanged += 1;
+      return;
+    }
+    updated += 1;
+    merged.set(record.id, { ...current, ...record });
+  });
+  return {
+    records: [...merged.values()].sort((a, b) => a.date.localeCompare(b.date) || a.source.localeCompare(b.source)),
+    added,
+    updated,
+    unchanged
+  };
+}
+
+// Days, sources and value counts of a set of records, for import previews
+export function summarizeDailyMetrics(records) {
+  const dates = records.map(record => record.date).sort();
+  return {
+    days: new Set(dates).size,
+    start: dates[0] || null,
+    end: dates[dates.length - 1] || null,
+    values: Object.fromEntries(DAILY_METRIC_FIELDS.map(field => [
+      field,
+      records.filter(record => record[field] !== undefined).length
+    ]))
+  };
+}
+
+const metricValue = (record, metric) =>
+  record[metric.field] ?? (metric.fallbackField ? record[metric.fallbackField] : undefined) ?? null;
+
+// Chart rows for one metric between two YYYY-MM-DD dates: one value per
+// source per day, with the journal alongside imported sources when it
+// records the same thing
+export function buildMetricSeries({ entries = [], meals = [], dailyMetrics = [] }, metricName, { start, end }) {
+  const metric = CHART_METRICS[metricName];
+  const inRange = dailyMetrics.filter(record => record.date >= start && record.date <= end);
+  const journal = metric.journalField ? buildDailyMetrics({ entries, meals }, { start, end }) : [];
+  const journalByDay = new Map(journal.map(day => [day.date, day[metric.journalField]]));
+
+  const byDay = new Map();
+  inRange.forEach(record => {
+    const value = metricValue(record, metric);
+    if (value === null) return;
+    if (!byDay.has(record.date)) byDay.set(record.date, {});
+    byDay.get(record.date)[record.source] = value;
+  });
+
+  const rows = listDays(start, end).map(date => {
+    const journalValue = journalByDay.get(date);
+    return {
+      date,
+      ...byDay.get(date),
+      // Days without meals have no calories rather than zero
+      ...(journalValue !== null && journalValue !== undefined && { journal: journalValue })
+    };
+  });
+
+  const sources = Object.keys(METRIC_SOURCES).filter(source => rows.some(row => row[source] !== undefined));
+  const extra = [...new Set(rows.flatMap(row => Object.keys(row)))]
+    .filter(key => key !== 'date' && !sources.includes(key));
+  return { metric, rows, sources: [...sources, ...extra] };
+}
+
+// One measured value per day for a field between two YYYY-MM-DD dates,
+// from the most preferred source that has it
+const measuredValues = (dailyMetrics, field, { start, end }) => {
+  const priority = Object.keys(METRIC_SOURCES);
+  const rank = (source) => (priority.includes(source) ? priority.indexOf(source) : priority.length);
+  const byDay = new Map();
+  dailyMetrics
+    .filter(record => record.source !== 'journal' && record.date >= start && record.date <= end && record[field] !== undefined)
+    .sort((a, b) => rank(a.source) - rank(b.source))
+    .forEach(record => {
+      if (!byDay.has(record.date)) byDay.set(record.date, record[field]);
+    });
+  return [...byDay.values()];
+};
+
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// The days an analysis covers: the period it was run over, or for older
+// analyses the week up to when it was run
+export function analysisPeriod(analysis) {
+  if (analysis?.period?.start && analysis?.period?.end) return analysis.period;
+  const end = new Date(analysis?.timestamp || Date.now());
+  return {
+    start: toDateKey(new Date(end.getFullYear(), end.getMonth(), end.getDate() - 6)),
+    end: toDateKey(end)
+  };
+}
+
+// Analysis metrics with sleep and exercise taken from imported device data
+// for the period when there is any, rather than from what the journal text
+// mentions. Exercise is averaged over the days a device recorded.
+export function preferMeasuredMetrics(metrics, dailyMetrics = [], period) {
+  const sleepHours = measuredValues(dailyMetrics, 'sleepHours', period);
+  const sleepScores = measuredValues(dailyMetrics, 'sleepScore', period);
+  const exerciseMinutes = measuredValues(dailyMetrics, 'exerciseMinutes', period);
+  const result = { ...metrics };
+
+  if (sleepHours.length > 0) {
+    const hours = round(average(sleepHours), 1);
+    result.sleep = {
+      ...result.sleep,
+      average: hours,
+      quality: sleepScores.length > 0 ? Math.round(average(sleepScores)) : calculateSleepScore(hours),
+      source: 'measured'
+    };
+  }
+  if (exerciseMinutes.length > 0) {
+    result.exercise = { ...result.exercise, average: Math.round(average(exerciseMinutes)), source: 'measured' };
+  }
+  return result;
+}
@@ -0,0 +1,77 @@
+// src/utils/dataArchive.js
+import { storageUtils } from './storage';
+import { SCHEMA_VERSION } from './schema';
+
+export const ARCHIVE_FORMAT = 'healthscribe-archive';
+export const ARCHIVE_VERSION = 1;
+
+// JSON with object keys sorted, so the checksum does not depend on key order
+const canonicalJSON = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(name => value[name] !== undefined)
+      .sort()
+      .map(name => `${JSON.stringify(name)}:${canonicalJSON(value[name])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+const sha256 = async (text) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// The checksum covers everything in the archive except itself
+const computeChecksum = async ({ checksum, ...archive }) => `sha256:${await sha256(canonicalJSON(archive))}`;
+
+export async function createArchive() {
+  const archive = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    data: storageUtils.exportData()
+  };
+  return { ...archive, checksum: await computeChecksum(archive) };
+}
+
+export const archiveFileName = (archive) =>
+  `healthscribe-backup-${archive.exportedAt.split('T')[0]}.json`;
+
+// Parse and check an archive file. Throws with a readable message when the
+// file cannot be imported; otherwise returns the archive.
+export async function readArchive(text) {
+  let archive;
+  try {
+    archive = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+
+  if (!archive || archive.format !== ARCHIVE_FORMAT) {
+    throw new Error('The file is not a HealthScribeGPT backup');
+  }
+  if (!Number.isInteger(archive.version) || archive.version > ARCHIVE_VERSION) {
+    throw new Error('The backup was made by a newer version of the app');
+  }
+  if (typeof archive.checksum !== 'string' || archive.checksum !== await computeChecksum(archive)) {
+    throw new Error('The backup checksum does not match; the file is damaged or was edited');
+  }
+  if (!archive.data || typeof archive.data.collections !== 'object' || archive.data.collections === null) {
+    throw new Error('The backup has no data');
+  }
+
+  return { archive };
+}
+
+// What importing the archive with `mode` would do, without saving anything
+export const previewArchive = (archive, mode) =>
+  storageUtils.importData(archive.data, { mode, dryRun: true });
+
+export function importArchive(archive, mode) {
+  return storageUtils.importData(archive.data, { mode });
+}
@@ -21,3 +21,53 @@ export function getConsistentISOString() {
 export function formatDate(date, options) {
   return new Date(date).toLocaleDateString('en-US', options);
 }
+
+// Local calendar day as YYYY-MM-DD, for grouping by day
+export function toDateKey(date) {
+  const value = new Date(date);
+  const month = String(value.getMonth() + 1).padStart(2, '0');
+  const day = String(value.getDate()).padStart(2, '0');
+  return `${value.getFullYear()}-${month}-${day}`;
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const startOfDay = (time) => {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+};
+
+// "last 2 weeks", "this month", "yesterday"... relative to `now`
+export function parseTimeRange(question, now = Date.now()) {
+  const text = question.toLowerCase();
+  const units = { day: DAY, week: 7 * DAY, month: 30 * DAY, year: 365 * DAY };
+
+  let match = text.match(/\b(?:last|past|previous)\s+(\d+)\s+(day|week|month|year)s?\b/);
+  if (match) {
+    return { start: now - Number(match[1]) * units[match[2]], end: now, label: ` in the last ${match[1]} ${match[2]}s` };
+  }
+
+  match = text.match(/\b(?:last|past|previous)\s+(day|week|month|year)\b/);
+  if (match) {
+    return { start: now - units[match[1]], end: now, label: ` in the last ${match[1]}` };
+  }
+
+  match = text.match(/\bthis\s+(week|month|year)\b/);
+  if (match) {
+    const start = new Date(startOfDay(now));
+    if (match[1] === 'week') start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+    if (match[1] === 'month') start.setDate(1);
+    if (match[1] === 'year') start.setMonth(0, 1);
+    return { start: start.getTime(), end: now, label: ` this ${match[1]}` };
+  }
+
+  if (/\byesterday\b/.test(text)) {
+    return { start: startOfDay(now) - DAY, end: startOfDay(now) - 1, label: ' yesterday' };
+  }
+  if (/\btoday\b/.test(text)) {
+    return { start: startOfDay(now), end: now, label: ' today' };
+  }
+
+  return null;
+}
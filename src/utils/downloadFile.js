@@ -0,0 +1,14 @@
+// src/utils/downloadFile.js
+
+// Save generated content through a temporary link
+export const downloadFile = (content, fileName, type) => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  window.URL.revokeObjectURL(url);
+};
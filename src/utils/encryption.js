@@ -0,0 +1,102 @@
+// src/utils/encryption.js
+
+// Stored data is encrypted with a random AES-GCM data key. The data key is
+// itself encrypted ("wrapped") with a key derived from the passphrase.
+// Changing the passphrase creates a new data key and re-encrypts every
+// record with it (see storageUtils.changePassphrase), so an old wrapped key
+// and passphrase no longer open anything.
+
+const PBKDF2_ITERATIONS = 310000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// Chunked so large records do not overflow the argument limit
+const toBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const fromBase64 = (value) => Uint8Array.from(atob(value), char => char.charCodeAt(0));
+
+const randomBytes = (length) => crypto.getRandomValues(new Uint8Array(length));
+
+export const isEncryptionAvailable = () =>
+  typeof crypto !== 'undefined' && Boolean(crypto.subtle);
+
+const derivePassphraseKey = async (passphrase, salt, iterations) => {
+  const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['wrapKey', 'unwrapKey']
+  );
+};
+
+const wrapDataKey = async (dataKey, passphrase) => {
+  const salt = randomBytes(SALT_BYTES);
+  const iv = randomBytes(IV_BYTES);
+  const passphraseKey = await derivePassphraseKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const wrapped = await crypto.subtle.wrapKey('raw', dataKey, passphraseKey, { name: 'AES-GCM', iv });
+  return {
+    version: 1,
+    salt: toBase64(salt),
+    iterations: PBKDF2_ITERATIONS,
+    iv: toBase64(iv),
+    wrappedKey: toBase64(wrapped)
+  };
+};
+
+// AES-GCM authenticates the wrapped key, so a wrong passphrase fails here
+const unwrapDataKey = async (passphrase, settings, extractable) => {
+  const passphraseKey = await derivePassphraseKey(passphrase, fromBase64(settings.salt), settings.iterations);
+  try {
+    return await crypto.subtle.unwrapKey(
+      'raw',
+      fromBase64(settings.wrappedKey),
+      passphraseKey,
+      { name: 'AES-GCM', iv: fromBase64(settings.iv) },
+      { name: 'AES-GCM', length: 256 },
+      extractable,
+      ['encrypt', 'decrypt']
+    );
+  } catch (error) {
+    throw new Error('Incorrect passphrase');
+  }
+};
+
+// New data key for a first-time setup. Returns the key to use and the
+// settings to store.
+export async function createEncryptionKey(passphrase) {
+  const dataKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+  const settings = await wrapDataKey(dataKey, passphrase);
+  return { key: await unwrapDataKey(passphrase, settings, false), settings };
+}
+
+export async function unlockEncryptionKey(passphrase, settings) {
+  return unwrapDataKey(passphrase, settings, false);
+}
+
+export async function encryptValue(key, value) {
+  const iv = randomBytes(IV_BYTES);
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(JSON.stringify(value)));
+  return { iv: toBase64(iv), data: toBase64(data) };
+}
+
+export async function decryptValue(key, envelope) {
+  const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(envelope.iv) }, key, fromBase64(envelope.data));
+  return JSON.parse(decoder.decode(data));
+}
+
+export const isEncryptedValue = (value) =>
+  Boolean(value) && typeof value === 'object' && typeof value.iv === 'string' && typeof value.data === 'string';
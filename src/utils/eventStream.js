@@ -0,0 +1,48 @@
+// src/utils/eventStream.js
+
+// Parse one Server-Sent Event block into { event, data }
+const parseEvent = (block) => {
+  let event = 'message';
+  const dataLines = [];
+
+  for (const line of block.split('\n')) {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trimStart());
+    }
+  }
+
+  if (dataLines.length === 0) return null;
+
+  try {
+    return { event, data: JSON.parse(dataLines.join('\n')) };
+  } catch (error) {
+    console.error('Invalid event data:', error);
+    return null;
+  }
+};
+
+// Read a text/event-stream fetch response, calling onEvent for each event
+export async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const blocks = buffer.split('\n\n');
+    buffer = blocks.pop();
+
+    for (const block of blocks) {
+      const parsed = parseEvent(block);
+      if (parsed) onEvent(parsed.event, parsed.data);
+    }
+  }
+
+  const parsed = buffer.trim() ? parseEvent(buffer) : null;
+  if (parsed) onEvent(parsed.event, parsed.data);
+}
@@ -0,0 +1,184 @@
+// src/utils/fhirExport.js
+import { getEntryFacets } from '../lib/entrySearch';
+import { getEntryText, getEntryTime } from '../lib/mockAnalyst';
+import { toDateKey } from './dateUtils';
+
+// Maps the journal and meals to a FHIR R4 "collection" Bundle for clinical
+// systems. Every value is self-reported, so the patient is the performer
+// and symptom conditions stay unconfirmed.
+
+const LOINC = 'http://loinc.org';
+const SNOMED = 'http://snomed.info/sct';
+const UCUM = 'http://unitsofmeasure.org';
+const OBSERVATION_CATEGORY = 'http://terminology.hl7.org/CodeSystem/observation-category';
+const CONDITION_CATEGORY = 'http://terminology.hl7.org/CodeSystem/condition-category';
+const CONDITION_CLINICAL = 'http://terminology.hl7.org/CodeSystem/condition-clinical';
+const CONDITION_VERIFICATION = 'http://terminology.hl7.org/CodeSystem/condition-ver-status';
+
+export const FHIR_CODES = {
+  sleepDuration: { system: LOINC, code: '93832-4', display: 'Sleep duration' },
+  exerciseDuration: { system: LOINC, code: '55411-3', display: 'Exercise duration' },
+  calorieIntake: { system: LOINC, code: '9052-2', display: 'Calorie intake total' },
+  symptom: { system: LOINC, code: '75325-1', display: 'Symptom' },
+  patientNote: { system: LOINC, code: '51855-5', display: 'Patient Note' }
+};
+
+// SNOMED CT codes for the symptoms in the shared health vocabulary
+const SYMPTOM_CODES = {
+  headache: { code: '25064002', display: 'Headache' },
+  nausea: { code: '422587007', display: 'Nausea' },
+  pain: { code: '22253000', display: 'Pain' },
+  anxiety: { code: '48694002', display: 'Anxiety' },
+  fatigue: { code: '84229001', display: 'Fatigue' },
+  fever: { code: '386661006', display: 'Fever' },
+  cough: { code: '49727002', display: 'Cough' },
+  dizziness: { code: '404640003', display: 'Dizziness' },
+  insomnia: { code: '193462001', display: 'Insomnia' },
+  cramps: { code: '55300003', display: 'Cramp' }
+};
+
+// A symptom last reported longer ago than this is exported as inactive
+const ACTIVE_SYMPTOM_DAYS = 30;
+
+const concept = (coding, text = coding.display) => ({ coding: [coding], text });
+
+const category = (code, display) => [concept({ system: OBSERVATION_CATEGORY, code, display })];
+
+const quantity = (value, unit) => ({ value, unit, system: UCUM, code: unit });
+
+const symptomConcept = (name) => {
+  const known = SYMPTOM_CODES[name];
+  return known ? concept({ system: SNOMED, ...known }) : { text: name };
+};
+
+// UTF-8 text as base64, chunked so long entries do not overflow the
+// argument limit
+const toBase64 = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+// Symptoms the metric extraction finds in an entry
+export const findEntrySymptoms = (entry) => getEntryFacets(entry).symptoms;
+
+export function createFhirBundle({ entries = [], meals = [] }, { generatedAt = new Date() } = {}) {
+  const resources = [];
+  const add = (resource) => {
+    const id = crypto.randomUUID();
+    resources.push({ ...resource, id });
+    return { reference: `urn:uuid:${id}` };
+  };
+
+  const patient = add({ resourceType: 'Patient', active: true });
+  const selfReported = (resource) => ({ status: 'final', ...resource, subject: patient, performer: [patient] });
+
+  const sorted = [...entries].sort((a, b) => getEntryTime(a) - getEntryTime(b));
+  const symptoms = new Map();
+
+  sorted.forEach(entry => {
+    const text = getEntryText(entry).trim();
+    if (!text) return;
+    const time = new Date(getEntryTime(entry)).toISOString();
+    const facets = getEntryFacets(entry);
+
+    const document = add({
+      resourceType: 'DocumentReference',
+      status: 'current',
+      docStatus: 'final',
+      type: concept(FHIR_CODES.patientNote),
+      subject: patient,
+      date: time,
+      author: [patient],
+      description: 'Journal entry',
+      content: [{
+        attachment: { contentType: 'text/plain; charset=utf-8', data: toBase64(text), title: 'Journal entry', creation: time }
+      }]
+    });
+
+    if (facets.sleep !== null) {
+      add(selfReported({
+        resourceType: 'Observation',
+        category: category('activity', 'Activity'),
+        code: concept(FHIR_CODES.sleepDuration),
+        effectiveDateTime: time,
+        valueQuantity: quantity(facets.sleep, 'h'),
+        derivedFrom: [document]
+      }));
+    }
+    if (facets.exercise !== null) {
+      add(selfReported({
+        resourceType: 'Observation',
+        category: category('activity', 'Activity'),
+        code: concept(FHIR_CODES.exerciseDuration),
+        effectiveDateTime: time,
+        valueQuantity: quantity(facets.exercise, 'min'),
+        derivedFrom: [document]
+      }));
+    }
+
+    findEntrySymptoms(entry).forEach(name => {
+      const observation = add(selfReported({
+        resourceType: 'Observation',
+        category: category('survey', 'Survey'),
+        code: concept(FHIR_CODES.symptom),
+        effectiveDateTime: time,
+        valueCodeableConcept: symptomConcept(name),
+        derivedFrom: [document]
+      }));
+      if (!symptoms.has(name)) symptoms.set(name, { first: time, last: time, observations: [] });
+      const symptom = symptoms.get(name);
+      symptom.last = time;
+      symptom.observations.push(observation);
+    });
+  });
+
+  // One condition per symptom, spanning the entries that report it
+  const activeSince = new Date(generatedAt);
+  activeSince.setDate(activeSince.getDate() - ACTIVE_SYMPTOM_DAYS);
+  symptoms.forEach(({ first, last, observations }, name) => {
+    add({
+      resourceType: 'Condition',
+      clinicalStatus: concept({
+        system: CONDITION_CLINICAL,
+        ...(new Date(last) >= activeSince ? { code: 'active', display: 'Active' } : { code: 'inactive', display: 'Inactive' })
+      }),
+      verificationStatus: concept({ system: CONDITION_VERIFICATION, code: 'unconfirmed', display: 'Unconfirmed' }),
+      category: [concept({ system: CONDITION_CATEGORY, code: 'problem-list-item', display: 'Problem List Item' })],
+      code: symptomConcept(name),
+      subject: patient,
+      onsetDateTime: first,
+      recordedDate: last,
+      asserter: patient,
+      evidence: [{ detail: observations }],
+      note: [{
+        text: `Self-reported in ${observations.length} journal ${observations.length === 1 ? 'entry' : 'entries'}, ` +
+          `last on ${toDateKey(new Date(last))}`
+      }]
+    });
+  });
+
+  meals.forEach(meal => {
+    add(selfReported({
+      resourceType: 'Observation',
+      category: category('survey', 'Survey'),
+      code: concept(FHIR_CODES.calorieIntake, `Calorie intake (${meal.type})`),
+      effectiveDateTime: meal.date,
+      valueQuantity: quantity(Number(meal.calories) || 0, 'kcal'),
+      ...(meal.description?.trim() && { note: [{ text: meal.description.trim() }] })
+    }));
+  });
+
+  return {
+    resourceType: 'Bundle',
+    id: crypto.randomUUID(),
+    type: 'collection',
+    timestamp: new Date(generatedAt).toISOString(),
+    entry: resources.map(resource => ({ fullUrl: `urn:uuid:${resource.id}`, resource }))
+  };
+}
+
+export const fhirFileName = (bundle) => `healthscribe-fhir-${bundle.timestamp.slice(0, 10)}.json`;
@@ -0,0 +1,413 @@
+// src/utils/fhirValidation.js
+
+// Offline checks of FHIR R4 resources against the base specification:
+// element names, types and cardinality, primitive formats, required
+// terminology bindings, the invariants that apply to what we export, and
+// that references inside a Bundle resolve. Element tables cover the
+// resources and data types the export writes; anything else is only checked
+// for being a non-empty object.
+
+const YEAR = '([0-9]([0-9]([0-9][1-9]|[1-9]0)|[1-9]00)|[1-9]000)';
+const MONTH = '(0[1-9]|1[0-2])';
+const DAY = '(0[1-9]|[1-2][0-9]|3[0-1])';
+const TIME = '([01][0-9]|2[0-3]):[0-5][0-9]:([0-5][0-9]|60)(\\.[0-9]+)?';
+const ZONE = '(Z|(\\+|-)((0[0-9]|1[0-3]):[0-5][0-9]|14:00))';
+
+// Formats from the R4 primitive type definitions
+const PRIMITIVES = {
+  boolean: value => typeof value === 'boolean',
+  integer: value => Number.isInteger(value),
+  unsignedInt: value => Number.isInteger(value) && value >= 0,
+  positiveInt: value => Number.isInteger(value) && value > 0,
+  decimal: value => typeof value === 'number' && isFinite(value),
+  string: value => typeof value === 'string' && /^[ \r\n\t\S]+$/.test(value),
+  markdown: value => typeof value === 'string' && /^[ \r\n\t\S]+$/.test(value),
+  xhtml: value => typeof value === 'string' && /^<div[\s>]/.test(value),
+  id: value => typeof value === 'string' && /^[A-Za-z0-9\-.]{1,64}$/.test(value),
+  code: value => typeof value === 'string' && /^[^\s]+(\s[^\s]+)*$/.test(value),
+  uri: value => typeof value === 'string' && /^\S+$/.test(value),
+  url: value => typeof value === 'string' && /^\S+$/.test(value),
+  canonical: value => typeof value === 'string' && /^\S+$/.test(value),
+  base64Binary: value => typeof value === 'string' && /^(\s*([0-9a-zA-Z+/=]){4}\s*)+$/.test(value),
+  date: value => typeof value === 'string' && new RegExp(`^${YEAR}(-${MONTH}(-${DAY})?)?$`).test(value),
+  dateTime: value => typeof value === 'string' &&
+    new RegExp(`^${YEAR}(-${MONTH}(-${DAY}(T${TIME}${ZONE})?)?)?$`).test(value),
+  instant: value => typeof value === 'string' && new RegExp(`^${YEAR}-${MONTH}-${DAY}T${TIME}${ZONE}$`).test(value)
+};
+
+// Element definition: a type name, or { type, min, max, values }. max is 1
+// unless given as '*'. A type can also be an element table for a backbone
+// element, and choice elements ("value[x]") list their allowed types.
+const many = (type, extra = {}) => ({ type, max: '*', ...extra });
+const required = (type, extra = {}) => ({ type, min: 1, ...extra });
+
+const ELEMENT = { id: 'string', extension: many('Extension') };
+const BACKBONE = { ...ELEMENT, modifierExtension: many('Extension') };
+
+const RESOURCE = { id: 'id', meta: 'Meta', implicitRules: 'uri', language: 'code' };
+const DOMAIN_RESOURCE = {
+  ...RESOURCE,
+  text: 'Narrative',
+  contained: many('Resource'),
+  extension: many('Extension'),
+  modifierExtension: many('Extension')
+};
+
+const DATA_TYPES = {
+  Meta: {
+    ...ELEMENT,
+    versionId: 'id',
+    lastUpdated: 'instant',
+    source: 'uri',
+    profile: many('canonical'),
+    security: many('Coding'),
+    tag: many('Coding')
+  },
+  Narrative: {
+    ...ELEMENT,
+    status: required('code', { values: ['generated', 'extensions', 'additional', 'empty'] }),
+    div: required('xhtml')
+  },
+  Coding: { ...ELEMENT, system: 'uri', version: 'string', code: 'code', display: 'string', userSelected: 'boolean' },
+  CodeableConcept: { ...ELEMENT, coding: many('Coding'), text: 'string' },
+  Quantity: {
+    ...ELEMENT,
+    value: 'decimal',
+    comparator: { type: 'code', values: ['<', '<=', '>=', '>'] },
+    unit: 'string',
+    system: 'uri',
+    code: 'code'
+  },
+  Period: { ...ELEMENT, start: 'dateTime', end: 'dateTime' },
+  Identifier: {
+    ...ELEMENT,
+    use: { type: 'code', values: ['usual', 'official', 'temp', 'secondary', 'old'] },
+    type: 'CodeableConcept',
+    system: 'uri',
+    value: 'string',
+    period: 'Period',
+    assigner: 'Reference'
+  },
+  Reference: { ...ELEMENT, reference: 'string', type: 'uri', identifier: 'Identifier', display: 'string' },
+  Annotation: {
+    ...ELEMENT,
+    'author[x]': { choice: ['Reference', 'string'] },
+    time: 'dateTime',
+    text: required('markdown')
+  },
+  Attachment: {
+    ...ELEMENT,
+    contentType: 'code',
+    language: 'code',
+    data: 'base64Binary',
+    url: 'url',
+    size: 'unsignedInt',
+    hash: 'base64Binary',
+    title: 'string',
+    creation: 'dateTime'
+  }
+};
+
+const OBSERVATION_VALUE = {
+  choice: ['Quantity', 'CodeableConcept', 'string', 'boolean', 'integer', 'Range', 'Ratio', 'SampledData', 'time', 'dateTime', 'Period']
+};
+
+const CONDITION_TIME = { choice: ['dateTime', 'Age', 'Period', 'Range', 'string'] };
+
+const RESOURCES = {
+  Bundle: {
+    ...RESOURCE,
+    identifier: 'Identifier',
+    type: required('code', {
+      values: ['document', 'message', 'transaction', 'transaction-response', 'batch', 'batch-response', 'history', 'searchset', 'collection']
+    }),
+    timestamp: 'instant',
+    total: 'unsignedInt',
+    link: many('BackboneElement'),
+    entry: many({
+      ...BACKBONE,
+      link: many('BackboneElement'),
+      fullUrl: 'uri',
+      resource: 'Resource',
+      search: 'BackboneElement',
+      request: 'BackboneElement',
+      response: 'BackboneElement'
+    }),
+    signature: 'Signature'
+  },
+  Patient: {
+    ...DOMAIN_RESOURCE,
+    identifier: many('Identifier'),
+    active: 'boolean',
+    name: many('HumanName'),
+    telecom: many('ContactPoint'),
+    gender: { type: 'code', values: ['male', 'female', 'other', 'unknown'] },
+    birthDate: 'date',
+    'deceased[x]': { choice: ['boolean', 'dateTime'] },
+    address: many('Address'),
+    maritalStatus: 'CodeableConcept',
+    'multipleBirth[x]': { choice: ['boolean', 'integer'] },
+    photo: many('Attachment'),
+    contact: many('BackboneElement'),
+    communication: many('BackboneElement'),
+    generalPractitioner: many('Reference'),
+    managingOrganization: 'Reference',
+    link: many('BackboneElement')
+  },
+  Observation: {
+    ...DOMAIN_RESOURCE,
+    identifier: many('Identifier'),
+    basedOn: many('Reference'),
+    partOf: many('Reference'),
+    status: required('code', {
+      values: ['registered', 'preliminary', 'final', 'amended', 'corrected', 'cancelled', 'entered-in-error', 'unknown']
+    }),
+    category: many('CodeableConcept'),
+    code: required('CodeableConcept'),
+    subject: 'Reference',
+    focus: many('Reference'),
+    encounter: 'Reference',
+    'effective[x]': { choice: ['dateTime', 'Period', 'Timing', 'instant'] },
+    issued: 'instant',
+    performer: many('Reference'),
+    'value[x]': OBSERVATION_VALUE,
+    dataAbsentReason: 'CodeableConcept',
+    interpretation: many('CodeableConcept'),
+    note: many('Annotation'),
+    bodySite: 'CodeableConcept',
+    method: 'CodeableConcept',
+    specimen: 'Reference',
+    device: 'Reference',
+    referenceRange: many('BackboneElement'),
+    hasMember: many('Reference'),
+    derivedFrom: many('Reference'),
+    component: many({
+      ...BACKBONE,
+      code: required('CodeableConcept'),
+      'value[x]': OBSERVATION_VALUE,
+      dataAbsentReason: 'CodeableConcept',
+      interpretation: many('CodeableConcept'),
+      referenceRange: many('BackboneElement')
+    })
+  },
+  Condition: {
+    ...DOMAIN_RESOURCE,
+    identifier: many('Identifier'),
+    clinicalStatus: {
+      type: 'CodeableConcept',
+      system: 'http://terminology.hl7.org/CodeSystem/condition-clinical',
+      values: ['active', 'recurrence', 'relapse', 'inactive', 'remission', 'resolved']
+    },
+    verificationStatus: {
+      type: 'CodeableConcept',
+      system: 'http://terminology.hl7.org/CodeSystem/condition-ver-status',
+      values: ['unconfirmed', 'provisional', 'differential', 'confirmed', 'refuted', 'entered-in-error']
+    },
+    category: many('CodeableConcept'),
+    severity: 'CodeableConcept',
+    code: 'CodeableConcept',
+    bodySite: many('CodeableConcept'),
+    subject: required('Reference'),
+    encounter: 'Reference',
+    'onset[x]': CONDITION_TIME,
+    'abatement[x]': CONDITION_TIME,
+    recordedDate: 'dateTime',
+    recorder: 'Reference',
+    asserter: 'Reference',
+    stage: many('BackboneElement'),
+    evidence: many({ ...BACKBONE, code: many('CodeableConcept'), detail: many('Reference') }),
+    note: many('Annotation')
+  },
+  DocumentReference: {
+    ...DOMAIN_RESOURCE,
+    masterIdentifier: 'Identifier',
+    identifier: many('Identifier'),
+    status: required('code', { values: ['current', 'superseded', 'entered-in-error'] }),
+    docStatus: { type: 'code', values: ['preliminary', 'final', 'amended', 'entered-in-error'] },
+    type: 'CodeableConcept',
+    category: many('CodeableConcept'),
+    subject: 'Reference',
+    date: 'instant',
+    author: many('Reference'),
+    authenticator: 'Reference',
+    custodian: 'Reference',
+    relatesTo: many('BackboneElement'),
+    description: 'string',
+    securityLabel: many('CodeableConcept'),
+    content: many({ ...BACKBONE, attachment: required('Attachment'), format: 'Coding' }, { min: 1 }),
+    context: 'BackboneElement'
+  }
+};
+
+const normalize = (definition) => (
+  typeof definition === 'string' || !('type' in definition || 'choice' in definition)
+    ? { type: definition, min: 0, max: 1 }
+    : { min: 0, max: 1, ...definition }
+);
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const codesOf = (concept, system) =>
+  (concept?.coding || []).filter(coding => coding.system === system).map(coding => coding.code);
+
+// Invariants from the R4 resource definitions that apply to the export
+const INVARIANTS = {
+  Bundle: (bundle, issue) => {
+    const fullUrls = (bundle.entry || []).map(entry => entry.fullUrl).filter(Boolean);
+    if (new Set(fullUrls).size !== fullUrls.length) issue('', 'bdl-7: fullUrl must be unique in a bundle');
+    if (fullUrls.some(url => url.includes('/_history/'))) issue('', 'bdl-8: fullUrl cannot be a version specific reference');
+    if (bundle.total !== undefined && !['searchset', 'history'].includes(bundle.type)) {
+      issue('total', 'bdl-1: total only when a search or history');
+    }
+  },
+  Observation: (observation, issue) => {
+    const hasValue = Object.keys(observation).some(key => key.startsWith('value'));
+    if (hasValue && observation.dataAbsentReason) issue('', 'obs-6: dataAbsentReason only when there is no value');
+    const codes = (observation.code?.coding || []).map(coding => `${coding.system}|${coding.code}`);
+    (observation.component || []).forEach((component, index) => {
+      if ((component.code?.coding || []).some(coding => codes.includes(`${coding.system}|${coding.code}`))) {
+        issue(`component[${index}]`, 'obs-7: component code must differ from the observation code');
+      }
+    });
+  },
+  Condition: (condition, issue) => {
+    const verification = codesOf(condition.verificationStatus, RESOURCES.Condition.verificationStatus.system);
+    const clinical = codesOf(condition.clinicalStatus, RESOURCES.Condition.clinicalStatus.system);
+    const abated = Object.keys(condition).some(key => key.startsWith('abatement'));
+    const problemListItem = (condition.category || []).some(category =>
+      codesOf(category, 'http://terminology.hl7.org/CodeSystem/condition-category').includes('problem-list-item'));
+    if (problemListItem && !verification.includes('entered-in-error') && !condition.clinicalStatus) {
+      issue('', 'con-3: clinicalStatus is required for a problem list item');
+    }
+    if (abated && clinical.length > 0 && !clinical.some(code => ['inactive', 'resolved', 'remission'].includes(code))) {
+      issue('', 'con-4: an abated condition must be inactive, resolved or in remission');
+    }
+    if (verification.includes('entered-in-error') && condition.clinicalStatus) {
+      issue('', 'con-5: no clinicalStatus when entered-in-error');
+    }
+  }
+};
+
+// Problems with one resource, as { path, message }
+export function validateFhirResource(resource, path = resource?.resourceType || 'Resource') {
+  const issues = [];
+  const issue = (at, message) => issues.push({ path: at ? `${path}.${at}` : path, message });
+
+  if (!isObject(resource) || typeof resource.resourceType !== 'string') {
+    issue('', 'resource must be an object with a resourceType');
+    return issues;
+  }
+  const elements = RESOURCES[resource.resourceType];
+  if (!elements) {
+    issue('resourceType', `${resource.resourceType} is not supported by this validator`);
+    return issues;
+  }
+
+  const checkValue = (value, type, at, definition) => {
+    if (type === 'Resource') {
+      issues.push(...validateFhirResource(value, at));
+      return;
+    }
+    if (PRIMITIVES[type]) {
+      if (!PRIMITIVES[type](value)) {
+        issues.push({ path: at, message: `must be a valid ${type}` });
+      } else if (definition.values && type === 'code' && !definition.values.includes(value)) {
+        issues.push({ path: at, message: `must be one of ${definition.values.join(', ')}` });
+      }
+      return;
+    }
+    if (!isObject(value) || Object.keys(value).length === 0) {
+      issues.push({ path: at, message: 'ele-1: must be an object with content' });
+      return;
+    }
+    const table = typeof type === 'string' ? DATA_TYPES[type] : type;
+    if (table) checkElements(value, table, at);
+    if (definition.system && !codesOf(value, definition.system).some(code => definition.values.includes(code))) {
+      issues.push({ path: at, message: `must have a ${definition.system} code: ${definition.values.join(', ')}` });
+    }
+  };
+
+  const checkElement = (value, type, at, definition) => {
+    if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+      issues.push({ path: at, message: 'ele-1: empty values are not allowed, leave the element out' });
+      return;
+    }
+    if (Array.isArray(value) !== (definition.max === '*')) {
+      issues.push({ path: at, message: definition.max === '*' ? 'must be an array' : 'must not be an array' });
+      return;
+    }
+    [].concat(value).forEach((item, index) =>
+      checkValue(item, type, Array.isArray(value) ? `${at}[${index}]` : at, definition));
+  };
+
+  function checkElements(object, table, at) {
+    const known = new Set();
+
+    Object.entries(table).forEach(([name, raw]) => {
+      const definition = normalize(raw);
+      if (definition.choice) {
+        const base = name.replace('[x]', '');
+        const present = definition.choice
+          .map(type => [`${base}${capitalize(type)}`, type])
+          .filter(([key]) => key in object);
+        present.forEach(([key]) => known.add(key));
+        if (present.length > 1) issues.push({ path: `${at}.${base}[x]`, message: 'only one type may be given' });
+        present.forEach(([key, type]) => checkElement(object[key], type, `${at}.${key}`, definition));
+        return;
+      }
+      known.add(name);
+      if (!(name in object)) {
+        if (definition.min > 0) issues.push({ path: `${at}.${name}`, message: 'is required' });
+        return;
+      }
+      checkElement(object[name], definition.type, `${at}.${name}`, definition);
+    });
+
+    Object.keys(object).forEach(key => {
+      if (key === 'resourceType' && object === resource) return;
+      // Primitive extensions sit next to their element as "_name"
+      if (key.startsWith('_') && known.has(key.slice(1))) return;
+      if (!known.has(key)) issues.push({ path: `${at}.${key}`, message: 'is not a known element' });
+    });
+  }
+
+  checkElements(resource, elements, path);
+  INVARIANTS[resource.resourceType]?.(resource, issue);
+  return issues;
+}
+
+const collectReferences = (value, found = []) => {
+  if (Array.isArray(value)) value.forEach(item => collectReferences(item, found));
+  else if (isObject(value)) {
+    if (typeof value.reference === 'string') found.push(value.reference);
+    Object.values(value).forEach(item => collectReferences(item, found));
+  }
+  return found;
+};
+
+// Problems with a Bundle and every resource in it. References written as
+// urn:uuid must point at an entry's fullUrl.
+export function validateFhirBundle(bundle) {
+  if (bundle?.resourceType !== 'Bundle') return [{ path: 'Bundle', message: 'resourceType must be Bundle' }];
+
+  const issues = validateFhirResource(bundle, 'Bundle');
+  const fullUrls = new Set((bundle.entry || []).map(entry => entry.fullUrl));
+
+  (bundle.entry || []).forEach((entry, index) => {
+    if (!entry.resource) return;
+    if (entry.fullUrl?.startsWith('urn:uuid:') &&
+      !/^urn:uuid:[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(entry.fullUrl)) {
+      issues.push({ path: `Bundle.entry[${index}].fullUrl`, message: 'must be a lowercase urn:uuid' });
+    }
+    collectReferences(entry.resource)
+      .filter(reference => reference.startsWith('urn:uuid:') && !fullUrls.has(reference))
+      .forEach(reference => issues.push({
+        path: `Bundle.entry[${index}].resource`,
+        message: `reference ${reference} is not in the bundle`
+      }));
+  });
+
+  return issues;
+}
@@ -0,0 +1,179 @@
+// src/utils/indexedDBStorage.js
+
+const DB_NAME = 'health-journal';
+const DB_VERSION = 2;
+
+// One record per item, keyed by the ids the pages already assign.
+// Stores with a date index are read back in date order.
+export const STORES = {
+  journalEntries: { keyPath: 'id', dateIndex: 'date' },
+  meals: { keyPath: 'id', dateIndex: 'date' },
+  goals: { keyPath: 'id' },
+  habits: { keyPath: 'id' },
+  analysisHistory: { keyPath: 'timestamp', dateIndex: 'timestamp' },
+  // Added in version 2: per-day values imported from health apps and devices
+  dailyMetrics: { keyPath: 'id', dateIndex: 'date' }
+};
+
+// Single values such as the water intake and the migration marker
+const META_STORE = 'meta';
+
+const MIGRATION_KEY = 'migratedFromLocalStorage';
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+});
+
+export const isIndexedDBAvailable = () =>
+  typeof window !== 'undefined' && typeof window.indexedDB !== 'undefined';
+
+export function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      Object.entries(STORES).forEach(([name, { keyPath, dateIndex }]) => {
+        if (db.objectStoreNames.contains(name)) return;
+        const store = db.createObjectStore(name, { keyPath });
+        if (dateIndex && dateIndex !== keyPath) store.createIndex('date', dateIndex);
+      });
+      if (!db.objectStoreNames.contains(META_STORE)) {
+        db.createObjectStore(META_STORE);
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another open tab'));
+  });
+}
+
+// All records in a store, oldest first for stores with a date
+export async function readStore(db, name) {
+  const store = db.transaction(name, 'readonly').objectStore(name);
+  return promisify(store.indexNames.contains('date') ? store.index('date').getAll() : store.getAll());
+}
+
+// Apply puts and deletes to one store in a single transaction
+export async function writeRecords(db, name, { put = [], remove = [] }) {
+  if (put.length === 0 && remove.length === 0) return;
+  const transaction = db.transaction(name, 'readwrite');
+  const store = transaction.objectStore(name);
+  remove.forEach(key => store.delete(key));
+  put.forEach(record => store.put(record));
+  await transactionDone(transaction);
+}
+
+export async function readMeta(db, key) {
+  return promisify(db.transaction(META_STORE, 'readonly').objectStore(META_STORE).get(key));
+}
+
+export async function writeMeta(db, values) {
+  const transaction = db.transaction(META_STORE, 'readwrite');
+  const store = transaction.objectStore(META_STORE);
+  Object.entries(values).forEach(([key, value]) => store.put(value, key));
+  await transactionDone(transaction);
+}
+
+// Put records into several stores and meta values in one transaction, so
+// either all of them are written or none are. Records replace those with the
+// same key; anything not listed is left as it is.
+export async function writeAll(db, { records = {}, meta = {} }) {
+  const transaction = db.transaction([...Object.keys(STORES), META_STORE], 'readwrite');
+  Object.entries(records).forEach(([name, items]) => {
+    const store = transaction.objectStore(name);
+    items.forEach(item => store.put(item));
+  });
+  const metaStore = transaction.objectStore(META_STORE);
+  Object.entries(meta).forEach(([key, value]) => metaStore.put(value, key));
+  await transactionDone(transaction);
+}
+
+const readLegacyKey = (key, fallback) => {
+  try {
+    const value = localStorage.getItem(key);
+    return value && value !== 'undefined' ? JSON.parse(value) : fallback;
+  } catch (error) {
+    console.error(`Skipping unreadable ${key} during migration:`, error);
+    return fallback;
+  }
+};
+
+const LEGACY_KEYS = ['journalEntries', 'nutritionData', 'goalsData', 'journalAnalysisHistory', 'journalAnalysis', 'dailyMetrics'];
+
+// Copy any localStorage collections into IndexedDB. `seal` turns a record
+// into its stored (encrypted) form; it runs before the transaction opens
+// because a transaction closes while it waits on other promises. Everything
+// is written in one transaction, and the old keys are only removed after it
+// commits, so an interrupted migration simply runs again next time.
+export async function migrateFromLocalStorage(db, { sealRecord, sealValue }) {
+  if (!LEGACY_KEYS.some(key => localStorage.getItem(key) !== null)) return false;
+
+  const journalEntries = readLegacyKey('journalEntries', []);
+  const nutritionData = readLegacyKey('nutritionData', {});
+  const goalsData = readLegacyKey('goalsData', {});
+  const analysisHistory = readLegacyKey('journalAnalysisHistory', []);
+  const latestAnalysis = readLegacyKey('journalAnalysis', null);
+  const dailyMetrics = readLegacyKey('dailyMetrics', []);
+
+  const withId = (record, index, prefix) =>
+    record.id !== undefined && record.id !== null ? record : { ...record, id: `${prefix}-${index}` };
+
+  const records = {
+    journalEntries: (Array.isArray(journalEntries) ? journalEntries : [])
+      .map((entry, index) => withId(entry, index, 'entry'))
+      .map(entry => ({ ...entry, date: entry.date || entry.timestamp || new Date(0).toISOString() })),
+    meals: (nutritionData.meals || []).map((meal, index) => withId(meal, index, 'meal')),
+    goals: (goalsData.goals || []).map((goal, index) => withId(goal, index, 'goal')),
+    habits: (goalsData.habits || []).map((habit, index) => withId(habit, index, 'habit')),
+    analysisHistory: (Array.isArray(analysisHistory) ? analysisHistory : []).filter(item => item?.timestamp),
+    dailyMetrics: (Array.isArray(dailyMetrics) ? dailyMetrics : []).filter(item => item?.id)
+  };
+
+  const sealed = {};
+  for (const [name, items] of Object.entries(records)) {
+    sealed[name] = await Promise.all(items.map(item => sealRecord(name, item)));
+  }
+
+  const meta = {
+    [MIGRATION_KEY]: new Date().toISOString()
+  };
+  if (localStorage.getItem('nutritionData') !== null) {
+    meta.waterIntake = await sealValue(nutritionData.waterIntake || 0);
+    meta.nutritionTimestamp = await sealValue(nutritionData.timestamp || null);
+  }
+  if (localStorage.getItem('goalsData') !== null) {
+    meta.goalsTimestamp = await sealValue(goalsData.timestamp || null);
+  }
+  if (latestAnalysis) {
+    meta.analysis = await sealValue(latestAnalysis);
+  }
+
+  const transaction = db.transaction([...Object.keys(STORES), META_STORE], 'readwrite');
+  Object.entries(sealed).forEach(([name, items]) => {
+    const store = transaction.objectStore(name);
+    items.forEach(item => store.put(item));
+  });
+  const metaStore = transaction.objectStore(META_STORE);
+  Object.entries(meta).forEach(([key, value]) => metaStore.put(value, key));
+
+  await transactionDone(transaction);
+
+  LEGACY_KEYS.forEach(key => localStorage.removeItem(key));
+  return true;
+}
+
+// Remove every stored record, used when starting over without the passphrase
+export async function clearDatabase(db) {
+  const transaction = db.transaction([...Object.keys(STORES), META_STORE], 'readwrite');
+  [...Object.keys(STORES), META_STORE].forEach(name => transaction.objectStore(name).clear());
+  await transactionDone(transaction);
+}
@@ -0,0 +1,115 @@
+// src/utils/metricsExport.js
+import { getEntryFacets } from '../lib/entrySearch';
+import { calculateSleepScore, calculateMentalHealthScore } from '../lib/localAnalysis';
+import { getEntryTime } from '../lib/mockAnalyst';
+import { toDateKey } from './dateUtils';
+
+// Columns of each domain file. Habit columns are added per habit.
+export const METRIC_DOMAINS = {
+  sleep: ['sleepHours', 'sleepQuality'],
+  exercise: ['exerciseMinutes'],
+  mentalHealth: ['mentalHealthScore', 'mood', 'stress', 'energy'],
+  symptoms: ['symptoms'],
+  nutrition: ['calories', 'meals', 'waterMl'],
+  habits: ['habitsChecked']
+};
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+const average = (values) =>
+  values.length > 0 ? round1(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+
+const total = (values) =>
+  values.length > 0 ? values.reduce((sum, value) => sum + value, 0) : null;
+
+// Entries are oldest first, so the last mention of the day wins
+const latest = (values) => values.filter(Boolean).pop() ?? null;
+
+const habitColumn = (habit) => `habit:${habit.content}`;
+
+// Every day from start to end (YYYY-MM-DD, inclusive)
+export function listDays(start, end) {
+  const days = [];
+  const [year, month, day] = start.split('-').map(Number);
+  for (let date = new Date(year, month - 1, day); toDateKey(date) <= end; date.setDate(date.getDate() + 1)) {
+    days.push(toDateKey(date));
+  }
+  return days;
+}
+
+const groupByDay = (items, getDay) => {
+  const groups = new Map();
+  items.forEach(item => {
+    const day = getDay(item);
+    if (!groups.has(day)) groups.set(day, []);
+    groups.get(day).push(item);
+  });
+  return groups;
+};
+
+// One row per day between start and end. Values the journal does not
+// mention are null, so they export as empty cells rather than zeros.
+export function buildDailyMetrics({ entries = [], meals = [], habits = [], waterLog = {} }, { start, end }) {
+  const entriesByDay = groupByDay(
+    [...entries].sort((a, b) => getEntryTime(a) - getEntryTime(b)),
+    entry => toDateKey(getEntryTime(entry))
+  );
+  const mealsByDay = groupByDay(meals, meal => meal.date);
+
+  return listDays(start, end).map(date => {
+    const facets = (entriesByDay.get(date) || []).map(getEntryFacets);
+    const dayMeals = mealsByDay.get(date) || [];
+    const sleepHours = average(facets.map(item => item.sleep).filter(value => value !== null));
+    const checked = habits.filter(habit => (habit.checkIns || []).includes(date));
+
+    return {
+      date,
+      entries: facets.length,
+      sleepHours,
+      sleepQuality: sleepHours === null ? null : calculateSleepScore(sleepHours),
+      exerciseMinutes: total(facets.map(item => item.exercise).filter(value => value !== null)),
+      mentalHealthScore: average(facets.map(item =>
+        calculateMentalHealthScore(item.mood || 'neutral', item.stress || 'moderate', item.symptoms)
+      )),
+      mood: latest(facets.map(item => item.mood)),
+      stress: latest(facets.map(item => item.stress)),
+      energy: latest(facets.map(item => item.energy)),
+      symptoms: [...new Set(facets.flatMap(item => item.symptoms))].join('; '),
+      calories: total(dayMeals.map(meal => Number(meal.calories) || 0)),
+      meals: dayMeals.length,
+      waterMl: waterLog[date] ?? null,
+      habitsChecked: checked.length,
+      ...Object.fromEntries(habits.map(habit => [habitColumn(habit), checked.includes(habit) ? 1 : 0]))
+    };
+  });
+}
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  // Keep spreadsheets from running user text as a formula
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCSV = (columns, rows) =>
+  [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(cells => cells.map(escapeCell).join(','))
+    .join('\r\n') + '\r\n';
+
+// CSV files for a date range: a single wide table, or one file per domain
+export function createMetricsCSV(data, { start, end, layout = 'wide' }) {
+  const rows = buildDailyMetrics(data, { start, end });
+  const habitColumns = (data.habits || []).map(habitColumn);
+  const range = `${start}-to-${end}`;
+
+  if (layout === 'wide') {
+    const columns = ['date', 'entries', ...Object.values(METRIC_DOMAINS).flat(), ...habitColumns];
+    return [{ fileName: `health-metrics-${range}.csv`, content: toCSV(columns, rows) }];
+  }
+
+  return Object.entries(METRIC_DOMAINS).map(([domain, columns]) => ({
+    fileName: `health-${domain}-${range}.csv`,
+    content: toCSV(['date', ...columns, ...(domain === 'habits' ? habitColumns : [])], rows)
+  }));
+}
@@ -0,0 +1,180 @@
+// src/utils/nutritionImport.js
+import { parseCSVTable, parseDay, parseNumber } from './csvParser';
+import { MEAL_MACROS, MEAL_TYPES } from './schema';
+
+// Meals from MyFitnessPal's nutrition summary and Cronometer's "Food &
+// Servings" CSV exports. Both list food by day and meal; foods of the same
+// meal on the same day become one meal record.
+
+// Column names per export, first match wins. Macros are in grams.
+const FORMATS = {
+  myfitnesspal: {
+    label: 'MyFitnessPal',
+    date: ['Date'],
+    meal: ['Meal'],
+    food: ['Food Name', 'Food'],
+    calories: ['Calories'],
+    macros: {
+      protein: ['Protein (g)', 'Protein'],
+      carbs: ['Carbohydrates (g)', 'Carbohydrates'],
+      fat: ['Fat (g)', 'Fat'],
+      fiber: ['Fiber (g)', 'Fiber'],
+      sugar: ['Sugar (g)', 'Sugar']
+    }
+  },
+  cronometer: {
+    label: 'Cronometer',
+    date: ['Day', 'Date'],
+    meal: ['Group'],
+    food: ['Food Name'],
+    calories: ['Energy (kcal)'],
+    macros: {
+      protein: ['Protein (g)'],
+      carbs: ['Carbs (g)'],
+      fat: ['Fat (g)'],
+      fiber: ['Fiber (g)'],
+      sugar: ['Sugars (g)']
+    }
+  }
+};
+
+// Foods listed in a meal description before the rest are counted
+const MAX_FOODS_LISTED = 5;
+
+const findColumn = (headers, names) => names.find(name => headers.includes(name));
+
+const detectFormat = (headers) => {
+  if (headers.includes('Food Name') && headers.includes('Energy (kcal)')) return 'cronometer';
+  if (headers.includes('Meal') && headers.includes('Calories') && headers.includes('Date')) return 'myfitnesspal';
+  if (headers.includes('Energy (kcal)')) {
+    throw new Error('This looks like a Cronometer daily summary. Export "Food & Servings" instead, which lists meals.');
+  }
+  throw new Error('This is not a MyFitnessPal or Cronometer export this importer knows');
+};
+
+// Meal names are free text in both apps; anything that is not a main meal
+// is a snack, as are Cronometer foods logged without a group
+const mealType = (name = '') => {
+  const value = name.toLowerCase();
+  if (value.includes('breakfast')) return 'breakfast';
+  if (value.includes('lunch')) return 'lunch';
+  if (value.includes('dinner') || value.includes('supper')) return 'dinner';
+  return 'snack';
+};
+
+const round = (value, digits = 0) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const describe = (foods, mealName, label) => {
+  if (foods.length === 0) return `${mealName || 'Meal'} (${label})`;
+  // Food names often contain commas themselves, e.g. "Oatmeal, Rolled"
+  const listed = foods.slice(0, MAX_FOODS_LISTED).join('; ');
+  const more = foods.length - MAX_FOODS_LISTED;
+  return more > 0 ? `${listed} and ${more} more` : listed;
+};
+
+// Meals already logged count as duplicates when the day, type, description
+// and calories all match, so importing the same export twice adds nothing
+export const mealKey = (meal) =>
+  [meal.date, meal.type, meal.description.trim().toLowerCase(), Math.round(meal.calories)].join('|');
+
+// Read an export into new meal records, leaving out any already in
+// existingMeals. A meal imported earlier from the same app for the same day
+// and type that has changed since, because more food was logged after the
+// last export, is listed in `replaces` rather than added twice. Throws when
+// the file is not a known export.
+export function readNutritionExport(text, existingMeals = [], importedAt = new Date().toISOString()) {
+  const { headers, rows } = parseCSVTable(text);
+  const source = detectFormat(headers);
+  const format = FORMATS[source];
+  const columns = {
+    date: findColumn(headers, format.date),
+    meal: findColumn(headers, format.meal),
+    food: findColumn(headers, format.food),
+    calories: findColumn(headers, format.calories)
+  };
+  const macroColumns = Object.entries(format.macros)
+    .map(([name, names]) => [name, findColumn(headers, names)])
+    .filter(([, header]) => header);
+
+  const groups = new Map();
+  rows.forEach(row => {
+    const date = parseDay(row[columns.date]);
+    if (!date) return;
+    const type = mealType(row[columns.meal]);
+    const key = `${date}|${type}`;
+    if (!groups.has(key)) {
+      groups.set(key, { date, type, mealName: row[columns.meal], foods: [], calories: 0, macros: {} });
+    }
+    const group = groups.get(key);
+    const food = columns.food && row[columns.food];
+    if (food) group.foods.push(food);
+    group.calories += parseNumber(row[columns.calories]) || 0;
+    macroColumns.forEach(([name, header]) => {
+      const grams = parseNumber(row[header]);
+      if (grams !== null) group.macros[name] = (group.macros[name] || 0) + grams;
+    });
+  });
+
+  const seen = new Set(existingMeals.map(mealKey));
+  const imported = new Map(existingMeals
+    .filter(meal => meal.source === source)
+    .map(meal => [`${meal.date}|${meal.type}`, meal.id]));
+  const meals = [];
+  const replaces = [];
+  let duplicates = 0;
+  [...groups.values()]
+    .sort((a, b) => a.date.localeCompare(b.date) || MEAL_TYPES.indexOf(a.type) - MEAL_TYPES.indexOf(b.type))
+    .forEach(group => {
+      const meal = {
+        id: `${source}-${crypto.randomUUID()}`,
+        type: group.type,
+        description: describe(group.foods, group.mealName, format.label),
+        calories: Math.round(group.calories),
+        date: group.date,
+        source,
+        createdAt: importedAt
+      };
+      const macros = Object.fromEntries(
+        MEAL_MACROS.filter(name => group.macros[name] !== undefined).map(name => [name, round(group.macros[name], 1)])
+      );
+      if (Object.keys(macros).length > 0) meal.macros = macros;
+
+      const key = mealKey(meal);
+      if (seen.has(key)) {
+        duplicates += 1;
+        return;
+      }
+      seen.add(key);
+      meals.push(meal);
+      const previous = imported.get(`${meal.date}|${meal.type}`);
+      if (previous !== undefined) replaces.push(previous);
+    });
+
+  const dates = meals.map(meal => meal.date);
+  return {
+    source,
+    label: format.label,
+    meals,
+    replaces,
+    duplicates,
+    summary: {
+      days: new Set(dates).size,
+      start: dates[0] || null,
+      end: dates[dates.length - 1] || null,
+      calories: meals.reduce((sum, meal) => sum + meal.calories, 0)
+    }
+  };
+}
+
+// Meals after an import: replaced meals are dropped and new ones added
+export const applyNutritionImport = (existingMeals, { meals, replaces }) => [
+  ...existingMeals.filter(meal => !replaces.includes(meal.id)),
+  ...meals
+];
+
+// "P 20g · C 45g · F 10g" for meal lists
+export const formatMacros = (macros) => [
+  macros.protein !== undefined && `P ${macros.protein}g`,
+  macros.carbs !== undefined && `C ${macros.carbs}g`,
+  macros.fat !== undefined && `F ${macros.fat}g`
+].filter(Boolean).join(' · ');
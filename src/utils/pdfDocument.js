@@ -0,0 +1,232 @@
+// src/utils/pdfDocument.js
+
+// A small PDF writer for generated reports: A4 pages using the built-in
+// Helvetica fonts, with text, lines, rectangles and paths drawn as vectors.
+// Positions are in points from the top-left corner of the page.
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+
+const FONTS = {
+  regular: { resource: 'F1', baseFont: 'Helvetica' },
+  bold: { resource: 'F2', baseFont: 'Helvetica-Bold' }
+};
+
+// Glyph widths in 1/1000 em for character codes 32-126, from the standard
+// Adobe font metrics
+const ASCII_WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+
+// Punctuation that WinAnsiEncoding keeps outside Latin-1, with its width
+const WIN_ANSI_EXTRAS = {
+  '€': [0x80, 556],
+  '…': [0x85, 1000],
+  '‘': [0x91, 222],
+  '’': [0x92, 222],
+  '“': [0x93, 333],
+  '”': [0x94, 333],
+  '•': [0x95, 350],
+  '–': [0x96, 556],
+  '—': [0x97, 1000]
+};
+
+const QUESTION_MARK = 63;
+
+// Character codes in the fonts' encoding; anything it lacks becomes '?'
+const encodeText = (text) => [...String(text)].map(char => {
+  if (WIN_ANSI_EXTRAS[char]) return WIN_ANSI_EXTRAS[char][0];
+  const code = char.codePointAt(0);
+  return (code >= 32 && code <= 126) || (code >= 160 && code <= 255) ? code : QUESTION_MARK;
+});
+
+const EXTRA_WIDTHS = Object.fromEntries(Object.values(WIN_ANSI_EXTRAS));
+
+const glyphWidth = (code, font) => {
+  if (code >= 32 && code <= 126) return ASCII_WIDTHS[font][code - 32];
+  // Accented Latin-1 letters are close to the average lowercase width
+  return EXTRA_WIDTHS[code] || 556;
+};
+
+// PDF string literal, with non-ASCII codes written as octal escapes
+const toPdfString = (codes) => `(${codes.map(code => {
+  if (code === 40 || code === 41 || code === 92) return `\\${String.fromCharCode(code)}`;
+  if (code < 32 || code > 126) return `\\${code.toString(8).padStart(3, '0')}`;
+  return String.fromCharCode(code);
+}).join('')})`;
+
+const formatNumber = (value) => String(Math.round(value * 100) / 100);
+
+const toRGB = (hex) => {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(channel => formatNumber(channel / 255)).join(' ');
+};
+
+// Bezier control distance for drawing a circle from four curves
+const CIRCLE_KAPPA = 0.5523;
+
+export function createPdfDocument({ title = 'Report' } = {}) {
+  const pages = [];
+  let operations = null;
+
+  // Flip from top-left positions to PDF's bottom-left origin
+  const point = (x, y) => `${formatNumber(x)} ${formatNumber(PAGE_HEIGHT - y)}`;
+
+  const paint = ({ fill, stroke, lineWidth = 1, dash }) => {
+    const setup = [];
+    if (fill) setup.push(`${toRGB(fill)} rg`);
+    if (stroke) setup.push(`${toRGB(stroke)} RG`, `${formatNumber(lineWidth)} w`, dash ? `[${dash.join(' ')}] 0 d` : '[] 0 d');
+    return { setup, operator: fill && stroke ? 'B' : fill ? 'f' : 'S' };
+  };
+
+  const draw = (path, style) => {
+    const { setup, operator } = paint(style);
+    operations.push('q', ...setup, ...path, operator, 'Q');
+  };
+
+  const doc = {
+    width: PAGE_WIDTH,
+    height: PAGE_HEIGHT,
+
+    addPage: () => {
+      operations = [];
+      pages.push(operations);
+    },
+
+    get pageCount() {
+      return pages.length;
+    },
+
+    // Go back to an earlier page, e.g. to add page numbers at the end
+    setPage: (index) => {
+      operations = pages[index];
+    },
+
+    measure: (text, size = 10, font = 'regular') =>
+      encodeText(text).reduce((width, code) => width + glyphWidth(code, font), 0) * size / 1000,
+
+    // Split text into lines that fit maxWidth, breaking at spaces
+    wrap: (text, maxWidth, size = 10, font = 'regular') => {
+      const lines = [];
+      String(text).split('\n').forEach(paragraph => {
+        let line = '';
+        paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+          const candidate = line ? `${line} ${word}` : word;
+          if (line && doc.measure(candidate, size, font) > maxWidth) {
+            lines.push(line);
+            line = word;
+          } else {
+            line = candidate;
+          }
+        });
+        lines.push(line);
+      });
+      return lines;
+    },
+
+    // y is the text baseline
+    text: (text, x, y, { size = 10, font = 'regular', color = '#111827', align = 'left' } = {}) => {
+      const width = doc.measure(text, size, font);
+      const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+      operations.push(
+        'BT',
+        `/${FONTS[font].resource} ${formatNumber(size)} Tf`,
+        `${toRGB(color)} rg`,
+        `${point(left, y)} Td`,
+        `${toPdfString(encodeText(text))} Tj`,
+        'ET'
+      );
+    },
+
+    rect: (x, y, width, height, style = {}) => {
+      draw([`${point(x, y + height)} ${formatNumber(width)} ${formatNumber(height)} re`], style);
+    },
+
+    line: (x1, y1, x2, y2, { color = '#000000', width = 1, dash } = {}) => {
+      draw([`${point(x1, y1)} m`, `${point(x2, y2)} l`], { stroke: color, lineWidth: width, dash });
+    },
+
+    polyline: (points, { color = '#000000', width = 1 } = {}) => {
+      if (points.length < 2) return;
+      draw(
+        points.map(([x, y], index) => `${point(x, y)} ${index === 0 ? 'm' : 'l'}`),
+        { stroke: color, lineWidth: width }
+      );
+    },
+
+    circle: (cx, cy, radius, style = {}) => {
+      const k = radius * CIRCLE_KAPPA;
+      draw([
+        `${point(cx + radius, cy)} m`,
+        `${point(cx + radius, cy - k)} ${point(cx + k, cy - radius)} ${point(cx, cy - radius)} c`,
+        `${point(cx - k, cy - radius)} ${point(cx - radius, cy - k)} ${point(cx - radius, cy)} c`,
+        `${point(cx - radius, cy + k)} ${point(cx - k, cy + radius)} ${point(cx, cy + radius)} c`,
+        `${point(cx + k, cy + radius)} ${point(cx + radius, cy + k)} ${point(cx + radius, cy)} c`
+      ], style);
+    },
+
+    // The finished file. Everything written is ASCII, so string lengths are
+    // byte offsets.
+    toBytes: () => {
+      const objects = [];
+      const addObject = (body) => {
+        objects.push(body);
+        return objects.length;
+      };
+
+      const catalogId = addObject(null);
+      const pagesId = addObject(null);
+      const fontIds = Object.fromEntries(Object.entries(FONTS).map(([name, font]) => [
+        name,
+        addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`)
+      ]));
+      const fontResources = Object.entries(FONTS)
+        .map(([name, font]) => `/${font.resource} ${fontIds[name]} 0 R`)
+        .join(' ');
+
+      const pageIds = pages.map(pageOperations => {
+        const content = pageOperations.join('\n');
+        const contentId = addObject(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+        return addObject(
+          `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+          `/Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`
+        );
+      });
+
+      objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+      objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+      const infoId = addObject(`<< /Title ${toPdfString(encodeText(title))} /Producer (HealthScribeGPT) >>`);
+
+      let output = '%PDF-1.4\n';
+      const offsets = objects.map((body, index) => {
+        const offset = output.length;
+        output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+      });
+
+      const xrefOffset = output.length;
+      output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+      output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+      return Uint8Array.from(output, char => char.charCodeAt(0));
+    }
+  };
+
+  return doc;
+}
@@ -0,0 +1,454 @@
+// src/utils/pdfReport.js
+import { createPdfDocument } from './pdfDocument';
+
+const MARGIN = 48;
+const HEADER_HEIGHT = 70;
+const FOOTER_HEIGHT = 40;
+const CHART_HEIGHT = 150;
+
+const COLORS = {
+  text: '#111827',
+  muted: '#6b7280',
+  border: '#e5e7eb',
+  grid: '#d1d5db',
+  brand: '#7c3aed',
+  line: '#2563eb',
+  sleep: '#3b82f6',
+  exercise: '#22c55e'
+};
+
+// Same thresholds as the health score on the reports page
+const healthScoreColor = (score) => {
+  if (score >= 80) return '#16a34a';
+  if (score >= 60) return '#ca8a04';
+  return '#dc2626';
+};
+
+// Report dates are YYYY-MM-DD; read them as local days
+const formatDay = (value) => new Date(`${value}T00:00:00`).toLocaleDateString();
+
+const capitalize = (value) => String(value).charAt(0).toUpperCase() + String(value).slice(1);
+
+// Round the axis maximum up to 1, 2 or 5 times a power of ten
+const niceMaximum = (value) => {
+  if (value <= 0) return 1;
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  const step = [1, 2, 5, 10].find(multiple => multiple * magnitude >= value);
+  return step * magnitude;
+};
+
+// Flowing layout over A4 pages: each block moves to a new page when it does
+// not fit, and every page gets the same header
+const createPageLayout = ({ title, subtitle, generatedAt }) => {
+  const doc = createPdfDocument({ title });
+  const contentWidth = doc.width - MARGIN * 2;
+  const bottom = doc.height - FOOTER_HEIGHT;
+  let y = 0;
+
+  const drawHeader = () => {
+    doc.text(title, MARGIN, MARGIN, { size: 16, font: 'bold', color: COLORS.brand });
+    doc.text(subtitle, MARGIN, MARGIN + 18, { size: 10, color: COLORS.muted });
+    doc.text(`Generated ${generatedAt.toLocaleDateString()} ${generatedAt.toLocaleTimeString()}`, doc.width - MARGIN, MARGIN + 18, {
+      size: 10,
+      color: COLORS.muted,
+      align: 'right'
+    });
+    doc.line(MARGIN, MARGIN + 28, doc.width - MARGIN, MARGIN + 28, { color: COLORS.border });
+  };
+
+  const newPage = () => {
+    doc.addPage();
+    drawHeader();
+    y = MARGIN + HEADER_HEIGHT - 12;
+  };
+
+  // Move to a new page unless the next block fits on this one
+  const ensureSpace = (height) => {
+    if (y + height > bottom) newPage();
+  };
+
+  newPage();
+
+  const layout = {
+    note: (text) => {
+      ensureSpace(16);
+      doc.text(text, doc.width / 2, y + 10, { size: 10, color: COLORS.muted, align: 'center' });
+      y += 16;
+    },
+
+    paragraph: (text, { size = 10, color = COLORS.text } = {}) => {
+      doc.wrap(text, contentWidth, size).forEach(line => {
+        ensureSpace(size * 1.4);
+        doc.text(line, MARGIN, y + size * 1.2, { size, color });
+        y += size * 1.4;
+      });
+    },
+
+    sectionTitle: (text, keepWithNext = 60) => {
+      ensureSpace(24 + keepWithNext);
+      y += 18;
+      doc.text(text, MARGIN, y, { size: 13, font: 'bold' });
+      y += 10;
+    },
+
+    subheading: (text) => {
+      ensureSpace(30);
+      y += 14;
+      doc.text(text, MARGIN, y, { size: 10, font: 'bold', color: '#4b5563' });
+      y += 4;
+    },
+
+    // Boxed figures side by side
+    cards: (cards) => {
+      ensureSpace(64);
+      const gap = 10;
+      const cardWidth = (contentWidth - gap * (cards.length - 1)) / cards.length;
+      cards.forEach((card, index) => {
+        const x = MARGIN + index * (cardWidth + gap);
+        doc.rect(x, y + 8, cardWidth, 52, { fill: '#f9fafb', stroke: COLORS.border });
+        doc.text(card.label, x + 10, y + 26, { size: 9, color: COLORS.muted });
+        doc.text(String(card.value), x + 10, y + 48, { size: 18, font: 'bold', color: card.color || COLORS.text });
+      });
+      y += 64;
+    },
+
+    // A row of label/value pairs in equal columns
+    statRow: (stats) => {
+      ensureSpace(36);
+      const columnWidth = contentWidth / stats.length;
+      stats.forEach((stat, index) => {
+        const x = MARGIN + index * columnWidth;
+        doc.text(stat.label, x, y + 12, { size: 9, color: COLORS.muted });
+        doc.text(String(stat.value), x, y + 29, { size: 14, font: 'bold', color: stat.color || COLORS.text });
+      });
+      y += 38;
+    },
+
+    // Label on the left, value on the right
+    keyValueRows: (rows) => {
+      rows.forEach(([label, value]) => {
+        ensureSpace(16);
+        doc.text(label, MARGIN, y + 12, { size: 10, color: '#4b5563' });
+        doc.text(value, doc.width - MARGIN, y + 12, { size: 10, font: 'bold', align: 'right' });
+        y += 16;
+      });
+    },
+
+    bulletList: (items, { color = COLORS.muted, emptyText = 'No insights for this period.' } = {}) => {
+      if (!items || items.length === 0) {
+        layout.paragraph(emptyText, { color: COLORS.muted });
+        return;
+      }
+      items.forEach(item => {
+        const lines = doc.wrap(item, contentWidth - 14, 10);
+        ensureSpace(lines.length * 14 + 2);
+        doc.circle(MARGIN + 3, y + 8.5, 1.8, { fill: color });
+        lines.forEach((line, index) => {
+          doc.text(line, MARGIN + 12, y + 12 + index * 14, { size: 10 });
+        });
+        y += lines.length * 14 + 2;
+      });
+    },
+
+    // columns are [{label, width (fraction of the page), align}]; cells wrap
+    // and the header repeats when a table continues on a new page
+    table: (columns, rows) => {
+      const positions = [];
+      columns.reduce((x, column) => {
+        positions.push(x);
+        return x + column.width * contentWidth;
+      }, MARGIN);
+      const cellX = (index) => columns[index].align === 'right'
+        ? positions[index] + columns[index].width * contentWidth - 6
+        : positions[index];
+
+      const drawHeaderRow = () => {
+        columns.forEach((column, index) => {
+          doc.text(column.label, cellX(index), y + 12, { size: 9, font: 'bold', color: COLORS.muted, align: column.align });
+        });
+        y += 18;
+        doc.line(MARGIN, y, MARGIN + contentWidth, y, { color: COLORS.border, width: 0.75 });
+      };
+
+      ensureSpace(40);
+      drawHeaderRow();
+      rows.forEach(row => {
+        const cells = row.map((cell, index) => doc.wrap(String(cell ?? ''), columns[index].width * contentWidth - 8, 10));
+        const height = Math.max(...cells.map(lines => lines.length)) * 13 + 6;
+        if (y + height > bottom) {
+          newPage();
+          drawHeaderRow();
+        }
+        cells.forEach((lines, index) => lines.forEach((line, lineIndex) => {
+          doc.text(line, cellX(index), y + 14 + lineIndex * 13, { size: 10, align: columns[index].align });
+        }));
+        y += height;
+        doc.line(MARGIN, y, MARGIN + contentWidth, y, { color: COLORS.border, width: 0.5 });
+      });
+      y += 4;
+    },
+
+    // Quoted text with a rule on the left and a caption above it
+    quote: (text, caption) => {
+      const lines = doc.wrap(text, contentWidth - 16, 10);
+      ensureSpace(Math.min(lines.length, 4) * 14 + 24);
+      y += 6;
+      doc.text(caption, MARGIN, y + 10, { size: 9, font: 'bold', color: COLORS.muted });
+      y += 14;
+      lines.forEach(line => {
+        ensureSpace(14);
+        doc.line(MARGIN + 2, y + 2, MARGIN + 2, y + 16, { color: COLORS.grid, width: 2 });
+        doc.text(line, MARGIN + 12, y + 12, { size: 10 });
+        y += 14;
+      });
+    },
+
+    // Line chart of {date, value} points, like ReportChart
+    lineChart: (data, unit) => {
+      ensureSpace(CHART_HEIGHT + 12);
+      const top = y + 8;
+      const left = MARGIN + 30;
+      const width = contentWidth - 30;
+      const height = CHART_HEIGHT - 24;
+
+      if (!data || data.length === 0) {
+        doc.rect(MARGIN, top, contentWidth, height, { stroke: COLORS.border });
+        doc.text('No data available', MARGIN + contentWidth / 2, top + height / 2 + 4, { size: 10, color: COLORS.muted, align: 'center' });
+        y = top + height + 12;
+        return;
+      }
+
+      const maximum = niceMaximum(Math.max(...data.map(item => item.value)));
+      const ticks = 4;
+      for (let tick = 0; tick <= ticks; tick++) {
+        const tickY = top + height - (height * tick) / ticks;
+        doc.line(left, tickY, left + width, tickY, { color: COLORS.grid, width: 0.5, dash: [3, 3] });
+        doc.text(String(Math.round((maximum * tick) / ticks * 10) / 10), left - 6, tickY + 3, { size: 8, color: COLORS.muted, align: 'right' });
+      }
+      doc.line(left, top + height, left + width, top + height, { color: COLORS.muted, width: 0.75 });
+      doc.line(left, top, left, top + height, { color: COLORS.muted, width: 0.75 });
+
+      const step = data.length > 1 ? width / (data.length - 1) : 0;
+      const points = data.map((item, index) => [
+        data.length > 1 ? left + index * step : left + width / 2,
+        top + height - (Math.max(0, item.value) / maximum) * height
+      ]);
+      doc.polyline(points, { color: COLORS.line, width: 1.5 });
+      points.forEach(([x, pointY]) => doc.circle(x, pointY, 2, { fill: '#ffffff', stroke: COLORS.line }));
+
+      // Label at most six dates so they do not overlap
+      const labelEvery = Math.ceil(data.length / 6);
+      data.forEach((item, index) => {
+        if (index % labelEvery !== 0 && index !== data.length - 1) return;
+        doc.text(item.date, points[index][0], top + height + 12, { size: 8, color: COLORS.muted, align: 'center' });
+      });
+      doc.text(unit, MARGIN, top - 2, { size: 8, color: COLORS.muted });
+
+      y = top + height + 20;
+    },
+
+    // Add page numbers, now that the page count is known, and return the file
+    finish: () => {
+      for (let index = 0; index < doc.pageCount; index++) {
+        doc.setPage(index);
+        doc.text(`Page ${index + 1} of ${doc.pageCount}`, doc.width / 2, doc.height - MARGIN / 2, {
+          size: 8,
+          color: COLORS.muted,
+          align: 'center'
+        });
+      }
+      return doc.toBytes();
+    }
+  };
+
+  return layout;
+};
+
+// Paginated PDF with the sections of ReportContent. Returns the file bytes.
+export function createReportPdf(reportData, { periodLabel, generatedAt = new Date() }) {
+  const period = reportData.dateRange
+    ? `${formatDay(reportData.dateRange.start)} – ${formatDay(reportData.dateRange.end)}`
+    : periodLabel;
+  const layout = createPageLayout({
+    title: 'HealthScribeGPT Health Report',
+    subtitle: `${periodLabel}: ${period}`,
+    generatedAt
+  });
+
+  layout.note(`Showing data from ${period}`);
+  layout.cards([
+    { label: 'Health Score', value: reportData.healthScore, color: healthScoreColor(reportData.healthScore) },
+    { label: 'Active Habits', value: reportData.overview.activeHabits },
+    { label: 'Goals Achieved', value: reportData.overview.completedGoals },
+    { label: 'Avg. Daily Calories', value: reportData.overview.avgCalories }
+  ]);
+
+  layout.sectionTitle('Goals Progress');
+  layout.statRow([
+    { label: 'Active', value: reportData.goals?.active || 0 },
+    { label: 'Completed', value: reportData.goals?.completed || 0 },
+    { label: 'Total', value: reportData.goals?.total || 0 }
+  ]);
+
+  layout.sectionTitle('Habits Overview');
+  layout.statRow([
+    { label: 'Active Habits', value: reportData.habits?.active || 0 },
+    { label: 'Total Habits', value: reportData.habits?.total || 0 }
+  ]);
+  const streaks = (reportData.habits?.streaks || []).filter(habit => habit.active);
+  if (streaks.length > 0) {
+    layout.subheading('Current Streaks');
+    layout.keyValueRows(streaks.map(habit => [habit.name, `${habit.streak} ${habit.streak === 1 ? 'day' : 'days'}`]));
+  }
+
+  layout.sectionTitle('Nutrition Overview');
+  layout.statRow([
+    { label: 'Average Calories', value: reportData.nutrition?.avgCalories || 0 },
+    { label: 'Meals Logged', value: reportData.nutrition?.mealCount || 0 },
+    { label: 'Period', value: period }
+  ]);
+  const macros = reportData.nutrition?.avgMacros;
+  if (macros) {
+    layout.statRow([
+      { label: 'Avg. Daily Protein', value: `${macros.protein}g` },
+      { label: 'Avg. Daily Carbs', value: `${macros.carbs}g` },
+      { label: 'Avg. Daily Fat', value: `${macros.fat}g` }
+    ]);
+  }
+
+  layout.sectionTitle('Sleep Analysis', CHART_HEIGHT + 60);
+  layout.statRow([
+    { label: 'Average', value: `${reportData.sleep.average}h` },
+    { label: 'Quality', value: `${reportData.sleep.qualityScore}%` },
+    { label: 'Consistency', value: `${reportData.sleep.consistency}%` }
+  ]);
+  layout.subheading('Sleep Trends');
+  layout.lineChart(reportData.sleep.data, 'hours');
+  layout.subheading('Insights');
+  layout.bulletList(reportData.sleep.insights);
+
+  layout.sectionTitle('Exercise Analysis', CHART_HEIGHT + 60);
+  layout.statRow([
+    { label: 'Average', value: `${reportData.exercise.average}m` },
+    { label: 'Intensity', value: `${reportData.exercise.intensity}%` },
+    { label: 'Consistency', value: `${reportData.exercise.consistency}%` }
+  ]);
+  layout.subheading('Exercise Trends');
+  layout.lineChart(reportData.exercise.data, 'minutes');
+  layout.subheading('Insights');
+  layout.bulletList(reportData.exercise.insights);
+
+  layout.sectionTitle('Mental Health Analysis');
+  layout.statRow([
+    { label: 'Average Score', value: `${reportData.mentalHealth?.averageScore || 0}%` },
+    { label: 'Mood', value: capitalize(reportData.mentalHealth?.predominantMood || 'N/A') },
+    { label: 'Stress Level', value: capitalize(reportData.mentalHealth?.stressLevel || 'N/A') },
+    { label: 'Trend', value: capitalize(reportData.mentalHealth?.trend || 'stable') }
+  ]);
+  layout.subheading('Insights');
+  layout.bulletList(reportData.mentalHealth?.insights);
+
+  layout.sectionTitle('Health Insights');
+  if (reportData.sleep.insights.length + reportData.exercise.insights.length === 0) {
+    layout.bulletList([]);
+  } else {
+    if (reportData.sleep.insights.length > 0) layout.bulletList(reportData.sleep.insights, { color: COLORS.sleep });
+    if (reportData.exercise.insights.length > 0) layout.bulletList(reportData.exercise.insights, { color: COLORS.exercise });
+  }
+
+  if (reportData.generations?.length > 0) {
+    layout.sectionTitle('Analysis Sources');
+    layout.bulletList(reportData.generations.map(generation =>
+      `${generation.label}: ${generation.count} ${generation.count === 1 ? 'analysis' : 'analyses'}`
+    ));
+  }
+
+  return layout.finish();
+}
+
+const formatRange = (stat, unit) => (stat.min === stat.max ? `${stat.min} ${unit}` : `${stat.min}–${stat.max} ${unit}`);
+
+// Visit summary from buildVisitSummary, in the same neutral wording as the
+// visit summary page
+export function createVisitSummaryPdf(summary, { generatedAt = new Date() } = {}) {
+  const period = `${formatDay(summary.start)} – ${formatDay(summary.end)}`;
+  const layout = createPageLayout({
+    title: 'Visit Summary',
+    subtitle: `Self-reported journal, ${period}`,
+    generatedAt
+  });
+
+  layout.paragraph(
+    `${summary.entryCount} journal ${summary.entryCount === 1 ? 'entry' : 'entries'} on ${summary.daysWithEntries} of ${summary.days} days. ` +
+    'Figures are extracted automatically from free-text entries written by the patient.',
+    { color: COLORS.muted }
+  );
+
+  layout.sectionTitle('Symptoms');
+  if (summary.symptoms.length === 0) {
+    layout.paragraph('No symptoms recorded in this period.', { color: COLORS.muted });
+  } else {
+    layout.table(
+      [
+        { label: 'Symptom', width: 0.3 },
+        { label: 'Entries', width: 0.14, align: 'right' },
+        { label: 'Days', width: 0.14, align: 'right' },
+        { label: 'First reported', width: 0.21, align: 'right' },
+        { label: 'Last reported', width: 0.21, align: 'right' }
+      ],
+      summary.symptoms.map(symptom => [
+        capitalize(symptom.name), symptom.entries, symptom.days, formatDay(symptom.first), formatDay(symptom.last)
+      ])
+    );
+  }
+
+  layout.sectionTitle('Sleep and Exercise');
+  layout.table(
+    [
+      { label: 'Measure', width: 0.3 },
+      { label: 'Days recorded', width: 0.2, align: 'right' },
+      { label: 'Average', width: 0.25, align: 'right' },
+      { label: 'Range', width: 0.25, align: 'right' }
+    ],
+    [
+      ['Sleep per night', summary.sleep, 'h'],
+      ['Exercise per day', summary.exercise, 'min']
+    ].map(([label, stat, unit]) => stat
+      ? [label, `${stat.days} of ${summary.days}`, `${stat.average} ${unit}`, formatRange(stat, unit)]
+      : [label, `0 of ${summary.days}`, 'Not recorded', ''])
+  );
+
+  layout.sectionTitle('Medications Mentioned');
+  if (summary.medications.length === 0) {
+    layout.paragraph('No medications mentioned in this period.', { color: COLORS.muted });
+  } else {
+    layout.table(
+      [
+        { label: 'Medication', width: 0.25 },
+        { label: 'Doses mentioned', width: 0.25 },
+        { label: 'Entries', width: 0.12, align: 'right' },
+        { label: 'First', width: 0.19, align: 'right' },
+        { label: 'Last', width: 0.19, align: 'right' }
+      ],
+      summary.medications.map(medication => [
+        capitalize(medication.name), medication.doses.join(', '), medication.entries, formatDay(medication.first), formatDay(medication.last)
+      ])
+    );
+  }
+
+  layout.sectionTitle('Notable Entries');
+  if (summary.notableEntries.length === 0) {
+    layout.paragraph('No entries mention symptoms, medications, short or long sleep, low mood or high stress.', { color: COLORS.muted });
+  }
+  summary.notableEntries.forEach(entry => {
+    layout.quote(`“${entry.text}”`, `${new Date(entry.date).toLocaleDateString()} — ${entry.reasons.join(', ')}`);
+  });
+  if (summary.notableOmitted > 0) {
+    layout.paragraph(
+      `${summary.notableOmitted} further ${summary.notableOmitted === 1 ? 'entry' : 'entries'} with the same kinds of mentions not shown.`,
+      { color: COLORS.muted }
+    );
+  }
+
+  return layout.finish();
+}
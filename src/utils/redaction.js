@@ -0,0 +1,153 @@
+// src/utils/redaction.js
+
+// Personal details are swapped for placeholders such as [NAME_1] before journal
+// text is sent for analysis, and swapped back in the returned insights.
+export const REDACTION_LEVELS = {
+  off: 'Off',
+  standard: 'Standard',
+  strict: 'Strict'
+};
+
+export const DEFAULT_REDACTION_LEVEL = 'standard';
+
+const MONTH = '(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec)[a-z]*\\.?';
+const DATE = `(?:\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}|\\d{4}-\\d{2}-\\d{2}|${MONTH}\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}|\\d{1,2}(?:st|nd|rd|th)?\\s+${MONTH}\\s+\\d{4})`;
+const PERSON = '[A-Z][a-z]+(?:\\s+[A-Z][a-z]+)?';
+
+const RELATIONS = 'friend|partner|wife|husband|boyfriend|girlfriend|son|daughter|mom|mum|mother|dad|father|sister|brother|boss|manager|colleague|coworker|neighbou?r|roommate|grandma|grandmother|grandpa|grandfather|aunt|uncle|cousin';
+const CLINICIANS = 'doctor|physician|GP|dentist|therapist|psychiatrist|psychologist|nurse|surgeon|specialist';
+
+// Capitalized words that are not names, skipped by the NAME rules
+const COMMON_WORDS = new Set([
+  'I', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday',
+  'January', 'February', 'March', 'April', 'May', 'June', 'July', 'August',
+  'September', 'October', 'November', 'December', 'Today', 'Tomorrow', 'Yesterday'
+]);
+
+// Checked in order. When a rule has a `value` group only that part is replaced,
+// so "my sister Anna" becomes "my sister [NAME_1]".
+const rules = [
+  {
+    type: 'EMAIL',
+    levels: ['standard', 'strict'],
+    pattern: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g
+  },
+  {
+    type: 'PHONE',
+    levels: ['standard', 'strict'],
+    pattern: /(?<![\w-])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{3}\)|\d{3})[\s.-]?\d{3}[\s.-]?\d{4}(?![\w-])/g
+  },
+  {
+    // International numbers in other groupings, e.g. +44 20 7946 0958
+    type: 'PHONE',
+    levels: ['standard', 'strict'],
+    pattern: /(?<![\w+])\+\d{1,3}(?:[\s.-]?\(?\d{1,4}\)?){2,5}(?![\w-])/g
+  },
+  {
+    type: 'ADDRESS',
+    levels: ['standard', 'strict'],
+    pattern: /\b\d{1,5}\s+(?:[A-Z][a-z]+\s+){1,3}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl)\b\.?(?:,?\s*(?:Apt|Unit|Suite)\.?\s*\w+)?/g
+  },
+  {
+    type: 'DOB',
+    levels: ['standard', 'strict'],
+    pattern: new RegExp(`\\b(?:[Bb]orn(?:\\s+on)?|[Bb]irthday(?:\\s+is)?|DOB:?|[Dd]ate of birth:?)\\s+(?<value>${DATE})`, 'g')
+  },
+  {
+    type: 'DOCTOR',
+    levels: ['standard', 'strict'],
+    pattern: new RegExp(`\\b(?:Dr\\.?|[Dd]octor)\\s+${PERSON}`, 'g')
+  },
+  {
+    type: 'DOCTOR',
+    levels: ['standard', 'strict'],
+    pattern: new RegExp(`\\b[Mm]y\\s+(?:${CLINICIANS})\\s+(?<value>${PERSON})`, 'g')
+  },
+  {
+    type: 'NAME',
+    levels: ['standard', 'strict'],
+    pattern: new RegExp(`\\b(?:[Mm]y\\s+(?:${RELATIONS})|[Ww]ith|met|saw|called|texted|told|visited|named|name is)\\s+(?<value>${PERSON})`, 'g')
+  },
+  {
+    // Any other date, e.g. appointment or anniversary dates
+    type: 'DATE',
+    levels: ['strict'],
+    pattern: new RegExp(`\\b${DATE}`, 'g')
+  },
+  {
+    // Account, insurance and record numbers
+    type: 'ID',
+    levels: ['strict'],
+    pattern: /\b\d{6,}\b/g
+  },
+  {
+    // Capitalized words inside a sentence are likely names or places
+    type: 'NAME',
+    levels: ['strict'],
+    pattern: /(?<=[a-z0-9,;:]\s+)(?<value>[A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)/g
+  }
+];
+
+const PLACEHOLDER_PATTERN = /\[(EMAIL|PHONE|ADDRESS|DOB|DOCTOR|NAME|DATE|ID)_(\d+)\]/g;
+
+const normalizeValue = (value) => value.replace(/\s+/g, ' ').trim();
+
+// One redactor per request, so the same value gets the same placeholder in
+// every entry and restore() can map the response back.
+export function createRedactor(level = DEFAULT_REDACTION_LEVEL) {
+  const activeRules = rules.filter(rule => rule.levels.includes(level));
+  const placeholders = new Map(); // 'NAME:Anna' -> '[NAME_1]'
+  const originals = new Map(); // '[NAME_1]' -> 'Anna'
+  const counts = {};
+
+  const getPlaceholder = (type, value) => {
+    const key = `${type}:${normalizeValue(value)}`;
+    if (!placeholders.has(key)) {
+      counts[type] = (counts[type] || 0) + 1;
+      const placeholder = `[${type}_${counts[type]}]`;
+      placeholders.set(key, placeholder);
+      originals.set(placeholder, value);
+    }
+    return placeholders.get(key);
+  };
+
+  const redact = (text = '') =>
+    activeRules.reduce((result, rule) =>
+      result.replace(rule.pattern, (match, ...args) => {
+        const groups = args[args.length - 1];
+        const value = typeof groups === 'object' && groups?.value ? groups.value : match;
+        if (rule.type === 'NAME' && COMMON_WORDS.has(value.split(/\s+/)[0])) return match;
+        return match.replace(value, getPlaceholder(rule.type, value));
+      }),
+    text);
+
+  // Put the original values back into strings, arrays and objects
+  const restore = (value) => {
+    if (typeof value === 'string') {
+      return value.replace(PLACEHOLDER_PATTERN, placeholder => originals.get(placeholder) ?? placeholder);
+    }
+    if (Array.isArray(value)) return value.map(restore);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, restore(item)]));
+    }
+    return value;
+  };
+
+  return {
+    level,
+    redact,
+    restore,
+    get redactedCount() {
+      return originals.size;
+    }
+  };
+}
+
+// Only the fields the analysis needs leave the browser, with content redacted
+export const redactEntries = (entries, redactor) =>
+  entries.map(entry => ({
+    id: entry.id,
+    date: entry.date,
+    timestamp: entry.timestamp,
+    content: redactor.redact(entry.content || entry.text || '')
+  }));
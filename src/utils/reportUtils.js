@@ -112,7 +112,7 @@ const calculateHealthScore = (data) => {
 };
 
 export const fetchAllHealthData = () => {
-  // Get all data from localStorage
+  // Get all data from storage
   const journalAnalysis = storageUtils.getAnalysis() || { insights: [], recommendations: [] };
   const nutritionData = storageUtils.getNutritionData();
   const goalsData = storageUtils.getGoalsData();
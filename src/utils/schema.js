@@ -0,0 +1,223 @@
+// src/utils/schema.js
+import { toDateKey } from './dateUtils';
+
+// Stored records carry the version of the shape they were written in.
+// Records without one predate versioning and are treated as version 0.
+export const SCHEMA_VERSION = 2;
+
+export const MEAL_TYPES = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+// Grams a meal can record alongside its calories, all optional
+export const MEAL_MACROS = ['protein', 'carbs', 'fat', 'fiber', 'sugar'];
+
+// Values a daily metric record can hold, all optional non-negative numbers
+export const DAILY_METRIC_FIELDS = [
+  'sleepHours', 'sleepScore', 'exerciseMinutes', 'workouts', 'steps', 'heartRateAvg', 'heartRateMin', 'heartRateMax',
+  'restingHeartRate', 'weightKg', 'caloriesIn'
+];
+
+const isValidDate = (value) => typeof value === 'string' && !isNaN(new Date(value).getTime());
+
+const toISOString = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const isDateKey = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+const hasId = (record) =>
+  (typeof record.id === 'string' && record.id !== '') || typeof record.id === 'number';
+
+// Upgrades from each version to the next, per collection. Index n takes a
+// record from version n to version n + 1.
+const MIGRATIONS = {
+  journalEntries: [
+    // Dashboard entries are {id, date, content, timestamp}; the legacy
+    // JournalSection stored {id, text, timestamp, metrics} and Mongo journals
+    // are {_id, date, content, metrics} with Date objects
+    ({ _id, text, ...entry }) => {
+      const date = toISOString(entry.date) || toISOString(entry.timestamp) || new Date(0).toISOString();
+      const upgraded = {
+        ...entry,
+        id: hasId(entry) ? entry.id : (_id !== undefined ? String(_id) : `entry-${new Date(date).getTime()}`),
+        date,
+        content: typeof entry.content === 'string' ? entry.content : (typeof text === 'string' ? text : ''),
+        timestamp: toISOString(entry.timestamp) || date
+      };
+      if (entry.metrics === null) delete upgraded.metrics;
+      return upgraded;
+    },
+    // Version 2 only changed habits
+    (entry) => entry
+  ],
+  meals: [
+    (meal) => ({
+      ...meal,
+      type: MEAL_TYPES.includes(meal.type) ? meal.type : 'snack',
+      description: String(meal.description ?? ''),
+      calories: Number(meal.calories) || 0,
+      // Meals are grouped by calendar day, stored as YYYY-MM-DD
+      date: typeof meal.date === 'string' && /^\d{4}-\d{2}-\d{2}/.test(meal.date)
+        ? meal.date.slice(0, 10)
+        : (toISOString(meal.date) || toISOString(meal.createdAt) || new Date().toISOString()).slice(0, 10)
+    }),
+    (meal) => meal
+  ],
+  goals: [
+    (goal) => ({
+      ...goal,
+      content: String(goal.content ?? ''),
+      category: goal.category || 'health',
+      completed: Boolean(goal.completed),
+      createdAt: toISOString(goal.createdAt),
+      targetDate: toISOString(goal.targetDate)
+    }),
+    (goal) => goal
+  ],
+  habits: [
+    (habit) => ({
+      ...habit,
+      content: String(habit.content ?? ''),
+      category: habit.category || 'health',
+      streak: Math.max(0, Math.floor(Number(habit.streak) || 0)),
+      lastChecked: toISOString(habit.lastChecked),
+      createdAt: toISOString(habit.createdAt)
+    }),
+    // Habits keep the days they were checked. Earlier versions only kept the
+    // current streak, so rebuild the days it covers.
+    (habit) => {
+      const checkIns = [];
+      if (habit.lastChecked) {
+        const last = new Date(habit.lastChecked);
+        for (let i = Math.max(habit.streak, 1) - 1; i >= 0; i--) {
+          checkIns.push(toDateKey(new Date(last.getFullYear(), last.getMonth(), last.getDate() - i)));
+        }
+      }
+      return { ...habit, checkIns };
+    }
+  ],
+  analysisHistory: [
+    (analysis) => ({
+      ...analysis,
+      insights: Array.isArray(analysis.insights) ? analysis.insights : [],
+      recommendations: Array.isArray(analysis.recommendations) ? analysis.recommendations : []
+    }),
+    (analysis) => analysis
+  ],
+  // Daily metrics were added in version 2
+  dailyMetrics: [
+    (record) => record,
+    (record) => record
+  ]
+};
+
+// Each validator returns a list of problems, empty when the record is valid
+const VALIDATORS = {
+  journalEntries: (entry) => [
+    !hasId(entry) && 'id must be a string or number',
+    !isValidDate(entry.date) && 'date must be a valid date string',
+    typeof entry.content !== 'string' && 'content must be a string',
+    !isValidDate(entry.timestamp) && 'timestamp must be a valid date string',
+    entry.metrics !== undefined && (typeof entry.metrics !== 'object' || entry.metrics === null) && 'metrics must be an object'
+  ],
+  meals: (meal) => [
+    !hasId(meal) && 'id must be a string or number',
+    !MEAL_TYPES.includes(meal.type) && `type must be one of ${MEAL_TYPES.join(', ')}`,
+    (typeof meal.description !== 'string' || !meal.description.trim()) && 'description is required',
+    (typeof meal.calories !== 'number' || !isFinite(meal.calories) || meal.calories < 0) && 'calories must be a non-negative number',
+    !isDateKey(meal.date) && 'date must be YYYY-MM-DD',
+    meal.macros !== undefined && !(
+      meal.macros && typeof meal.macros === 'object' &&
+      Object.entries(meal.macros).every(([name, grams]) => MEAL_MACROS.includes(name) && typeof grams === 'number' && isFinite(grams) && grams >= 0)
+    ) && `macros must be non-negative grams of ${MEAL_MACROS.join(', ')}`
+  ],
+  goals: (goal) => [
+    !hasId(goal) && 'id must be a string or number',
+    (typeof goal.content !== 'string' || !goal.content.trim()) && 'content is required',
+    typeof goal.completed !== 'boolean' && 'completed must be true or false'
+  ],
+  habits: (habit) => [
+    !hasId(habit) && 'id must be a string or number',
+    (typeof habit.content !== 'string' || !habit.content.trim()) && 'content is required',
+    !(Number.isInteger(habit.streak) && habit.streak >= 0) && 'streak must be a non-negative whole number',
+    habit.lastChecked !== null && !isValidDate(habit.lastChecked) && 'lastChecked must be a date string or null',
+    !(Array.isArray(habit.checkIns) && habit.checkIns.every(isDateKey)) && 'checkIns must be a list of YYYY-MM-DD dates'
+  ],
+  analysisHistory: (analysis) => [
+    !isValidDate(analysis.timestamp) && 'timestamp must be a valid date string',
+    !Array.isArray(analysis.insights) && 'insights must be a list',
+    !Array.isArray(analysis.recommendations) && 'recommendations must be a list'
+  ],
+  dailyMetrics: (record) => [
+    (typeof record.id !== 'string' || record.id === '') && 'id must be a string',
+    (typeof record.source !== 'string' || !record.source) && 'source is required',
+    !isDateKey(record.date) && 'date must be YYYY-MM-DD',
+    ...DAILY_METRIC_FIELDS
+      .filter(field => record[field] !== undefined && !(typeof record[field] === 'number' && isFinite(record[field]) && record[field] >= 0))
+      .map(field => `${field} must be a non-negative number`)
+  ]
+};
+
+export const COLLECTIONS = Object.keys(MIGRATIONS);
+
+export function validateRecord(collection, record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return ['record must be an object'];
+  }
+  if (record.schemaVersion !== SCHEMA_VERSION) {
+    return [`schemaVersion must be ${SCHEMA_VERSION}`];
+  }
+  return VALIDATORS[collection](record).filter(Boolean);
+}
+
+// Bring a record up to the current version. Current records are returned
+// as they are, so callers can compare by reference.
+export function migrateRecord(collection, record) {
+  const migrations = MIGRATIONS[collection];
+  if (!migrations) {
+    throw new Error(`Unknown collection: ${collection}`);
+  }
+  if (!record || typeof record !== 'object') return record;
+
+  const version = Number.isInteger(record.schemaVersion) ? record.schemaVersion : 0;
+  if (version === SCHEMA_VERSION) return record;
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`${collection} record was written by a newer version of the app (schema ${version})`);
+  }
+
+  return migrations
+    .slice(version)
+    .reduce((upgraded, migrate, index) => ({ ...migrate(upgraded), schemaVersion: version + index + 1 }), record);
+}
+
+// Migrate and validate a record before it is written. Throws on bad data.
+export function prepareRecord(collection, record) {
+  const upgraded = migrateRecord(collection, record);
+  const errors = validateRecord(collection, upgraded);
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${collection} record: ${errors.join('; ')}`);
+  }
+  return upgraded;
+}
+
+// Upgrade records read from storage. Records that were changed should be
+// written back; records that still fail validation are set aside so one
+// bad record does not break a whole page.
+export function upgradeRecords(collection, records) {
+  const valid = [];
+  const upgraded = [];
+  const rejected = [];
+
+  (Array.isArray(records) ? records : []).forEach(record => {
+    try {
+      const migrated = prepareRecord(collection, record);
+      valid.push(migrated);
+      if (migrated !== record) upgraded.push(migrated);
+    } catch (error) {
+      rejected.push({ record, error: error.message });
+    }
+  });
+
+  return { records: valid, upgraded, rejected };
+}
@@ -1,131 +1,841 @@
 // src/utils/storage.js
+import { DEFAULT_REDACTION_LEVEL } from './redaction';
+import {
+  STORES,
+  isIndexedDBAvailable,
+  openDatabase,
+  readStore,
+  writeRecords,
+  readMeta,
+  writeMeta,
+  writeAll,
+  migrateFromLocalStorage,
+  clearDatabase
+} from './indexedDBStorage';
+import { prepareRecord, upgradeRecords } from './schema';
+import { toDateKey } from './dateUtils';
+import {
+  MIN_PASSPHRASE_LENGTH,
+  isEncryptionAvailable,
+  createEncryptionKey,
+  unlockEncryptionKey,
+  encryptValue,
+  decryptValue,
+  isEncryptedValue
+} from './encryption';
 
 const handleStorageError = (error, defaultValue) => {
   console.error('Storage operation failed:', error);
   return defaultValue;
 };
 
+// Every IndexedDB store is a collection, so a new store is loaded, saved,
+// exported and imported without further changes here
+const COLLECTIONS = Object.keys(STORES);
+
+// Single values, with their defaults
+const META_DEFAULTS = {
+  waterIntake: 0,
+  // Water added per day, as {YYYY-MM-DD: ml}
+  waterLog: {},
+  nutritionTimestamp: null,
+  goalsTimestamp: null,
+  analysis: null
+};
+
+const emptyCache = () => ({
+  ...Object.fromEntries(COLLECTIONS.map(name => [name, []])),
+  ...META_DEFAULTS
+});
+
+// Collections are read from this in-memory copy so the API stays
+// synchronous. It is filled when storage is unlocked, emptied again when it
+// locks, and every write goes through to IndexedDB one record at a time.
+let cache = emptyCache();
+
+// The localStorage key each value used to live under. Pages listen for
+// storage events with these keys to pick up changes from other tabs.
+const LEGACY_KEYS = {
+  journalEntries: 'journalEntries',
+  meals: 'nutritionData',
+  waterIntake: 'nutritionData',
+  waterLog: 'nutritionData',
+  nutritionTimestamp: 'nutritionData',
+  goals: 'goalsData',
+  habits: 'goalsData',
+  goalsTimestamp: 'goalsData',
+  analysisHistory: 'journalAnalysisHistory',
+  analysis: 'journalAnalysis',
+  dailyMetrics: 'dailyMetrics'
+};
+
+const ENCRYPTION_SETTINGS_KEY = 'encryptionSettings';
+const CHANNEL_NAME = 'health-journal-storage';
+const MAX_ANALYSIS_HISTORY = 30;
+const DEFAULT_AUTO_LOCK_MINUTES = 15;
+
+// Preferences kept unencrypted in localStorage, with their defaults
+const SETTINGS_DEFAULTS = {
+  privacySettings: { redactionLevel: DEFAULT_REDACTION_LEVEL },
+  securitySettings: { autoLockMinutes: DEFAULT_AUTO_LOCK_MINUTES }
+};
+
+const readSettings = (name) => {
+  try {
+    const settings = localStorage.getItem(name);
+    return { ...SETTINGS_DEFAULTS[name], ...(settings ? JSON.parse(settings) : {}) };
+  } catch (error) {
+    return handleStorageError(error, { ...SETTINGS_DEFAULTS[name] });
+  }
+};
+
+const writeSettings = (name, settings) => {
+  try {
+    localStorage.setItem(name, JSON.stringify(settings));
+    return true;
+  } catch (error) {
+    return handleStorageError(error, false);
+  }
+};
+
+let db = null;
+let channel = null;
+let readyPromise = null;
+
+// The data key while unlocked
+let key = null;
+
+// 'loading', 'unsupported', 'setup' (no passphrase yet), 'locked' or 'unlocked'
+let status = 'loading';
+const statusListeners = new Set();
+
+const setStatus = (next) => {
+  status = next;
+  statusListeners.forEach(listener => listener(next));
+};
+
+// Writes run one after another so a slow encryption cannot reorder them.
+// Saves return before their write finishes, so a failed write is reported
+// to onWriteError listeners; the returned promise resolves to whether it
+// was saved.
+let writeQueue = Promise.resolve();
+const writeErrorListeners = new Set();
+const enqueueWrite = (task) => {
+  const write = writeQueue.then(task);
+  // A failed write must not stop the ones queued after it
+  writeQueue = write.catch(() => {});
+  return write.then(() => true, (error) => {
+    handleStorageError(error, null);
+    writeErrorListeners.forEach(listener => listener(error));
+    return false;
+  });
+};
+
+// Data keys replaced by a passphrase change, old -> new. A write queued
+// before the change ran still holds the old key and seals with the new one.
+const replacedKeys = new WeakMap();
+const latestKey = (dataKey) => {
+  let latest = dataKey;
+  while (replacedKeys.has(latest)) latest = replacedKeys.get(latest);
+  return latest;
+};
+
+const getEncryptionSettings = () => {
+  try {
+    const settings = localStorage.getItem(ENCRYPTION_SETTINGS_KEY);
+    return settings ? JSON.parse(settings) : null;
+  } catch (error) {
+    return handleStorageError(error, null);
+  }
+};
+
+const checkPassphrase = (passphrase) => {
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+};
+
+// Stored form of a record: the key and date stay readable for the
+// IndexedDB indexes, everything else is encrypted
+const sealRecord = async (dataKey, name, record) => {
+  const { keyPath, dateIndex } = STORES[name];
+  const sealed = { ...(await encryptValue(dataKey, record)), [keyPath]: record[keyPath] };
+  if (dateIndex) sealed[dateIndex] = record[dateIndex];
+  return sealed;
+};
+
+// Values saved before encryption was set up are still plain; they are
+// encrypted when loaded
+const openValue = async (value) => {
+  if (!isEncryptedValue(value)) return { value, plain: true };
+  try {
+    return { value: await decryptValue(key, value), plain: false };
+  } catch (error) {
+    console.error('Could not decrypt stored value:', error);
+    return { value: null, plain: false };
+  }
+};
+
+const sortNewestFirst = (records, field) =>
+  [...records].sort((a, b) => new Date(b[field]) - new Date(a[field]));
+
+// Upgrade records saved by older versions. Upgraded records are written
+// back; records that cannot be repaired are left in storage but not shown.
+const upgradeStore = (name, stored) => {
+  const { records, upgraded, rejected } = upgradeRecords(name, stored);
+  rejected.forEach(({ record, error }) => console.error(`Skipping stored ${name} record:`, error, record));
+  return { records, upgraded };
+};
+
+const upgradeAnalysis = (analysis) =>
+  analysis ? upgradeStore('analysisHistory', [analysis]).records[0] || null : null;
+
+const loadStore = async (name) => {
+  const opened = await Promise.all((await readStore(db, name)).map(openValue));
+  const plain = new Set(opened.filter(item => item.plain).map(item => item.value));
+  const { records, upgraded } = upgradeStore(name, opened.map(item => item.value));
+
+  const changed = new Set(upgraded);
+  const rewrite = records.filter(record => plain.has(record) || changed.has(record));
+  if (rewrite.length > 0) {
+    const put = await Promise.all(rewrite.map(record => sealRecord(key, name, record)));
+    await writeRecords(db, name, { put });
+  }
+
+  switch (name) {
+    case 'journalEntries':
+      cache.journalEntries = records.reverse();
+      break;
+    case 'analysisHistory':
+      cache.analysisHistory = sortNewestFirst(records, 'timestamp');
+      break;
+    default:
+      cache[name] = records;
+  }
+};
+
+const loadMeta = async () => {
+  const rewrite = {};
+  for (const [name, fallback] of Object.entries(META_DEFAULTS)) {
+    const stored = await readMeta(db, name);
+    if (stored === undefined) {
+      cache[name] = fallback;
+      continue;
+    }
+    const { value, plain } = await openValue(stored);
+    cache[name] = value ?? fallback;
+    if (plain) rewrite[name] = await encryptValue(key, value);
+  }
+  cache.analysis = upgradeAnalysis(cache.analysis);
+
+  if (Object.keys(rewrite).length > 0) {
+    await writeMeta(db, rewrite);
+  }
+};
+
+const loadAll = async () => {
+  await Promise.all(COLLECTIONS.map(loadStore));
+  await loadMeta();
+};
+
+// Without IndexedDB (old browsers, some private modes) the data stays in
+// localStorage under its original keys, encrypted the same way
+const localStorageValue = (storageKey) => ({
+  journalEntries: cache.journalEntries,
+  nutritionData: { meals: cache.meals, waterIntake: cache.waterIntake, waterLog: cache.waterLog, timestamp: cache.nutritionTimestamp },
+  goalsData: { goals: cache.goals, habits: cache.habits, timestamp: cache.goalsTimestamp },
+  journalAnalysisHistory: cache.analysisHistory,
+  journalAnalysis: cache.analysis,
+  dailyMetrics: cache.dailyMetrics
+})[storageKey];
+
+const writeLocalStorage = async (dataKey, storageKey, value) => {
+  localStorage.setItem(storageKey, JSON.stringify(await encryptValue(dataKey, value)));
+};
+
+const readLocalStorage = async (storageKey, fallback) => {
+  const stored = localStorage.getItem(storageKey);
+  if (!stored || stored === 'undefined') return { value: fallback, plain: false };
+  const { value, plain } = await openValue(JSON.parse(stored));
+  return { value: value ?? fallback, plain };
+};
+
+const loadFromLocalStorage = async () => {
+  const loaded = {
+    journalEntries: await readLocalStorage('journalEntries', []),
+    nutritionData: await readLocalStorage('nutritionData', {}),
+    goalsData: await readLocalStorage('goalsData', {}),
+    journalAnalysisHistory: await readLocalStorage('journalAnalysisHistory', []),
+    journalAnalysis: await readLocalStorage('journalAnalysis', null),
+    dailyMetrics: await readLocalStorage('dailyMetrics', [])
+  };
+  const nutritionData = loaded.nutritionData.value;
+  const goalsData = loaded.goalsData.value;
+
+  cache.waterIntake = Number(nutritionData.waterIntake) || 0;
+  cache.waterLog = nutritionData.waterLog || {};
+  cache.nutritionTimestamp = nutritionData.timestamp || null;
+  cache.goalsTimestamp = goalsData.timestamp || null;
+  cache.analysis = upgradeAnalysis(loaded.journalAnalysis.value);
+
+  const stored = {
+    journalEntries: loaded.journalEntries.value,
+    meals: nutritionData.meals,
+    goals: goalsData.goals,
+    habits: goalsData.habits,
+    analysisHistory: loaded.journalAnalysisHistory.value,
+    dailyMetrics: loaded.dailyMetrics.value
+  };
+
+  const rewrite = new Set(Object.keys(loaded).filter(storageKey => loaded[storageKey].plain));
+  Object.entries(stored).forEach(([name, records]) => {
+    const result = upgradeStore(name, records);
+    cache[name] = result.records;
+    if (result.upgraded.length > 0) rewrite.add(LEGACY_KEYS[name]);
+  });
+
+  await Promise.all([...rewrite].map(storageKey =>
+    writeLocalStorage(key, storageKey, localStorageValue(storageKey))
+  ));
+};
+
+// Let pages know a value changed, through the same storage event they get
+// for localStorage changes in other tabs
+const notifyPages = (names) => {
+  new Set(names.map(name => LEGACY_KEYS[name])).forEach(storageKey => {
+    window.dispatchEvent(new StorageEvent('storage', { key: storageKey }));
+  });
+};
+
+const listenForOtherTabs = () => {
+  if (typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = async ({ data }) => {
+      if (!key || !db) return;
+      try {
+        await Promise.all(data.stores.map(loadStore));
+        if (data.meta.length > 0) await loadMeta();
+        notifyPages([...data.stores, ...data.meta]);
+      } catch (error) {
+        handleStorageError(error, null);
+      }
+    };
+  }
+
+  window.addEventListener('storage', async (e) => {
+    // Events dispatched by notifyPages have no storageArea
+    if (e.storageArea !== localStorage) return;
+
+    // Another tab set up, changed or erased the passphrase
+    if (e.key === ENCRYPTION_SETTINGS_KEY) {
+      if (status === 'unlocked') {
+        storageUtils.lock();
+      } else if (status === 'locked' || status === 'setup') {
+        setStatus(getEncryptionSettings() ? 'locked' : 'setup');
+      }
+      return;
+    }
+
+    if (!db && key && Object.values(LEGACY_KEYS).includes(e.key)) {
+      try {
+        await loadFromLocalStorage();
+        window.dispatchEvent(new StorageEvent('storage', { key: e.key }));
+      } catch (error) {
+        handleStorageError(error, null);
+      }
+    }
+  });
+};
+
+// Fill the cache with a data key, moving any old localStorage data into
+// IndexedDB first
+const openWithKey = async (dataKey) => {
+  key = dataKey;
+  cache = emptyCache();
+  try {
+    if (db) {
+      try {
+        await migrateFromLocalStorage(db, {
+          sealRecord: (name, record) => sealRecord(dataKey, name, record),
+          sealValue: (value) => encryptValue(dataKey, value)
+        });
+      } catch (error) {
+        // The old data stays in localStorage and is tried again next time
+        handleStorageError(error, null);
+      }
+      await loadAll();
+    } else {
+      await loadFromLocalStorage();
+    }
+    setStatus('unlocked');
+  } catch (error) {
+    key = null;
+    cache = emptyCache();
+    throw error;
+  }
+};
+
+// Stored values opened with one data key and sealed with another. Values
+// that were never encrypted are sealed too; values the old key cannot open
+// are left out, as they are unreadable already.
+const reseal = async (oldKey, newKey, stored) => {
+  if (!isEncryptedValue(stored)) return encryptValue(newKey, stored);
+  try {
+    return await encryptValue(newKey, await decryptValue(oldKey, stored));
+  } catch (error) {
+    console.error('Could not re-encrypt stored value:', error);
+    return null;
+  }
+};
+
+// Re-encrypt everything in IndexedDB with a new data key. The new settings
+// are written in the same transaction, so if the page closes before they
+// reach localStorage, ready() still finds the key that opens the data.
+const reencryptDatabase = async (oldKey, newKey, settings) => {
+  const records = {};
+  for (const name of COLLECTIONS) {
+    const opened = await Promise.all((await readStore(db, name)).map(async (stored) => {
+      try {
+        return isEncryptedValue(stored) ? await decryptValue(oldKey, stored) : stored;
+      } catch (error) {
+        console.error('Could not re-encrypt stored record:', error);
+        return null;
+      }
+    }));
+    records[name] = await Promise.all(opened.filter(Boolean).map(record => sealRecord(newKey, name, record)));
+  }
+
+  const meta = { [ENCRYPTION_SETTINGS_KEY]: settings };
+  for (const name of Object.keys(META_DEFAULTS)) {
+    const stored = await readMeta(db, name);
+    if (stored === undefined) continue;
+    const sealed = await reseal(oldKey, newKey, stored);
+    if (sealed) meta[name] = sealed;
+  }
+
+  await writeAll(db, { records, meta });
+};
+
+// The localStorage fallback: everything is encrypted first, then written
+// without a pause so no other code runs between the values and the settings
+const reencryptLocalStorage = async (oldKey, newKey, settings) => {
+  const sealed = [];
+  for (const storageKey of new Set(Object.values(LEGACY_KEYS))) {
+    const stored = localStorage.getItem(storageKey);
+    if (!stored || stored === 'undefined') continue;
+    const value = await reseal(oldKey, newKey, JSON.parse(stored));
+    if (value) sealed.push([storageKey, JSON.stringify(value)]);
+  }
+  sealed.forEach(([storageKey, value]) => localStorage.setItem(storageKey, value));
+  localStorage.setItem(ENCRYPTION_SETTINGS_KEY, JSON.stringify(settings));
+};
+
+// Records that were added or changed, and keys that were removed
+const diffRecords = (previous, next, keyPath) => {
+  const previousByKey = new Map(previous.map(record => [record[keyPath], record]));
+  const nextKeys = new Set(next.map(record => record[keyPath]));
+  return {
+    put: next.filter(record => {
+      const existing = previousByKey.get(record[keyPath]);
+      return existing !== record && JSON.stringify(existing) !== JSON.stringify(record);
+    }),
+    remove: previous.map(record => record[keyPath]).filter(recordKey => !nextKeys.has(recordKey))
+  };
+};
+
+// Update the cache and persist only what changed. New and changed records
+// are validated first, and nothing is saved if any of them is malformed.
+// Returns the queued write.
+const saveStores = (changes, meta = null) => {
+  if (!key) {
+    throw new Error('Storage is locked');
+  }
+
+  const prepared = Object.entries(changes).map(([name, records]) => {
+    if (!Array.isArray(records)) {
+      throw new Error(`${name} must be a list`);
+    }
+    const cached = new Set(cache[name]);
+    return [name, records.map(record => (cached.has(record) ? record : prepareRecord(name, record)))];
+  });
+
+  const written = [];
+  prepared.forEach(([name, records]) => {
+    const diff = diffRecords(cache[name], records, STORES[name].keyPath);
+    cache[name] = records;
+    if (diff.put.length || diff.remove.length) written.push([name, diff]);
+  });
+  if (meta) Object.assign(cache, meta);
+
+  // Capture the key and values now; the cache may be cleared by a lock
+  // before the queued write runs
+  const dataKey = key;
+  const names = [...Object.keys(changes), ...Object.keys(meta || {})];
+
+  if (!db) {
+    const values = [...new Set(names.map(name => LEGACY_KEYS[name]))]
+      .map(storageKey => [storageKey, localStorageValue(storageKey)]);
+    return enqueueWrite(() => Promise.all(values.map(([storageKey, value]) => writeLocalStorage(latestKey(dataKey), storageKey, value))));
+  }
+
+  return enqueueWrite(async () => {
+    const sealKey = latestKey(dataKey);
+    await Promise.all(written.map(async ([name, diff]) => writeRecords(db, name, {
+      put: await Promise.all(diff.put.map(record => sealRecord(sealKey, name, record))),
+      remove: diff.remove
+    })));
+    if (meta) {
+      const sealed = await Promise.all(Object.entries(meta).map(async ([name, value]) => [name, await encryptValue(sealKey, value)]));
+      await writeMeta(db, Object.fromEntries(sealed));
+    }
+    channel?.postMessage({ stores: Object.keys(changes), meta: Object.keys(meta || {}) });
+  });
+};
+
 export const storageUtils = {
+  // Open IndexedDB and work out whether a passphrase is needed. Resolves
+  // with the storage status; the getters below work once it is 'unlocked'.
+  ready: () => {
+    if (!readyPromise) {
+      readyPromise = (async () => {
+        if (!isEncryptionAvailable()) {
+          setStatus('unsupported');
+          return status;
+        }
+        if (isIndexedDBAvailable()) {
+          try {
+            db = await openDatabase();
+          } catch (error) {
+            handleStorageError(error, null);
+            db = null;
+          }
+        }
+        if (db) {
+          // A passphrase change stores its settings with the re-encrypted
+          // data, in case the page closed before they reached localStorage
+          const settings = await readMeta(db, ENCRYPTION_SETTINGS_KEY).catch(error => handleStorageError(error, null));
+          if (settings) localStorage.setItem(ENCRYPTION_SETTINGS_KEY, JSON.stringify(settings));
+        }
+        listenForOtherTabs();
+        setStatus(getEncryptionSettings() ? 'locked' : 'setup');
+        return status;
+      })();
+    }
+    return readyPromise;
+  },
+
+  getStatus: () => status,
+
+  // Returns a function that stops listening
+  onStatusChange: (listener) => {
+    statusListeners.add(listener);
+    return () => statusListeners.delete(listener);
+  },
+
+  // Called with the error when a save could not be written to the
+  // browser's storage. Returns a function that stops listening.
+  onWriteError: (listener) => {
+    writeErrorListeners.add(listener);
+    return () => writeErrorListeners.delete(listener);
+  },
+
+  // First run: choose a passphrase and encrypt any existing data with it
+  setupEncryption: async (passphrase) => {
+    checkPassphrase(passphrase);
+    if (getEncryptionSettings()) {
+      throw new Error('A passphrase is already set');
+    }
+    const { key: dataKey, settings } = await createEncryptionKey(passphrase);
+    localStorage.setItem(ENCRYPTION_SETTINGS_KEY, JSON.stringify(settings));
+    await openWithKey(dataKey);
+  },
+
+  // Throws 'Incorrect passphrase' when the passphrase does not match
+  unlock: async (passphrase) => {
+    const settings = getEncryptionSettings();
+    if (!settings) {
+      throw new Error('No passphrase has been set');
+    }
+    await openWithKey(await unlockEncryptionKey(passphrase, settings));
+  },
+
+  lock: () => {
+    if (status !== 'unlocked') return;
+    key = null;
+    cache = emptyCache();
+    setStatus(getEncryptionSettings() ? 'locked' : 'setup');
+  },
+
+  // Re-key: every stored record and value is re-encrypted with a new data
+  // key, wrapped under the new passphrase, so the old wrapped key and
+  // passphrase no longer open anything. Runs in the write queue, after any
+  // pending saves; saves made meanwhile use the new key.
+  changePassphrase: async (currentPassphrase, newPassphrase) => {
+    checkPassphrase(newPassphrase);
+    const settings = getEncryptionSettings();
+    if (!settings) {
+      throw new Error('No passphrase has been set');
+    }
+    if (!key) {
+      throw new Error('Storage is locked');
+    }
+    // Throws 'Incorrect passphrase'
+    await unlockEncryptionKey(currentPassphrase, settings);
+    const { key: newKey, settings: updated } = await createEncryptionKey(newPassphrase);
+
+    const oldKey = latestKey(key);
+    const change = writeQueue.then(async () => {
+      if (db) {
+        await reencryptDatabase(oldKey, newKey, updated);
+        localStorage.setItem(ENCRYPTION_SETTINGS_KEY, JSON.stringify(updated));
+      } else {
+        await reencryptLocalStorage(oldKey, newKey, updated);
+      }
+      replacedKeys.set(oldKey, newKey);
+      if (key) key = latestKey(key);
+    });
+    writeQueue = change.catch(() => {});
+    await change;
+  },
+
+  // For a forgotten passphrase: encrypted data cannot be recovered, so
+  // remove it and start again
+  eraseAllData: async () => {
+    await writeQueue;
+    if (db) await clearDatabase(db);
+    new Set(Object.values(LEGACY_KEYS)).forEach(storageKey => localStorage.removeItem(storageKey));
+    localStorage.removeItem(ENCRYPTION_SETTINGS_KEY);
+    key = null;
+    cache = emptyCache();
+    setStatus('setup');
+  },
+
   // Journal Entries
   saveJournalEntries: (entries) => {
     try {
-      localStorage.setItem('journalEntries', JSON.stringify(entries));
+      saveStores({ journalEntries: entries });
       return true;
     } catch (error) {
       return handleStorageError(error, false);
     }
   },
 
-  getJournalEntries: () => {
-    try {
-      const entries = localStorage.getItem('journalEntries');
-      return entries ? JSON.parse(entries) : [];
-    } catch (error) {
-      return handleStorageError(error, []);
-    }
-  },
+  getJournalEntries: () => [...cache.journalEntries],
 
   addJournalEntry: (entry) => {
     try {
-      const entries = storageUtils.getJournalEntries();
-      // Ensure entry has a timestamp
+      // Ensure entry has a timestamp, and a date for the date index
+      const timestamp = entry.timestamp || new Date().toISOString();
       const entryWithTimestamp = {
         ...entry,
-        timestamp: entry.timestamp || new Date().toISOString()
+        date: entry.date || timestamp,
+        timestamp
       };
-      const updatedEntries = [entryWithTimestamp, ...entries];
-      storageUtils.saveJournalEntries(updatedEntries);
-      return updatedEntries;
+      const updatedEntries = [entryWithTimestamp, ...cache.journalEntries];
+      return storageUtils.saveJournalEntries(updatedEntries) ? storageUtils.getJournalEntries() : null;
+    } catch (error) {
+      return handleStorageError(error, null);
+    }
+  },
+
+  updateJournalEntry: (id, updates) => {
+    try {
+      const updatedEntries = cache.journalEntries.map(entry =>
+        entry.id === id ? { ...entry, ...updates } : entry
+      );
+      return storageUtils.saveJournalEntries(updatedEntries) ? storageUtils.getJournalEntries() : null;
     } catch (error) {
       return handleStorageError(error, null);
     }
   },
 
   // Analysis Data
+  // Save as the latest analysis and add it to history
   saveAnalysis: (data) => {
     try {
-      const timestamp = new Date().toISOString();
-      const analysisWithTimestamp = {
+      const analysis = prepareRecord('analysisHistory', {
         ...data,
-        timestamp
-      };
-      localStorage.setItem('journalAnalysis', JSON.stringify(analysisWithTimestamp));
+        timestamp: new Date().toISOString()
+      });
 
-      // Update analysis history
-      const existingHistory = JSON.parse(localStorage.getItem('journalAnalysisHistory') || '[]');
       const updatedHistory = [
-        analysisWithTimestamp,
-        ...existingHistory.filter(item => item.timestamp !== timestamp)
-      ].slice(0, 30); // Keep last 30 analyses
+        analysis,
+        ...cache.analysisHistory.filter(item => item.timestamp !== analysis.timestamp)
+      ].slice(0, MAX_ANALYSIS_HISTORY);
 
-      localStorage.setItem('journalAnalysisHistory', JSON.stringify(updatedHistory));
-      return true;
+      saveStores({ analysisHistory: updatedHistory }, { analysis });
+      return analysis;
     } catch (error) {
       return handleStorageError(error, false);
     }
   },
 
-  getAnalysis: () => {
+  // Save as the latest analysis without adding it to history
+  saveLatestAnalysis: (data) => {
     try {
-      const analysis = localStorage.getItem('journalAnalysis');
-      return analysis ? JSON.parse(analysis) : null;
+      const analysis = prepareRecord('analysisHistory', {
+        ...data,
+        timestamp: new Date().toISOString()
+      });
+      saveStores({}, { analysis });
+      return analysis;
     } catch (error) {
-      return handleStorageError(error, null);
+      return handleStorageError(error, false);
     }
   },
 
-  getAnalysisHistory: () => {
-    try {
-      const history = localStorage.getItem('journalAnalysisHistory');
-      return history ? JSON.parse(history) : [];
-    } catch (error) {
-      return handleStorageError(error, []);
-    }
-  },
+  // The latest analysis, in the same shape as history items
+  getAnalysis: () => cache.analysis,
+
+  getAnalysisHistory: () => [...cache.analysisHistory],
 
   // Nutrition Data
   saveNutritionData: (meals, waterIntake) => {
     try {
-      localStorage.setItem('nutritionData', JSON.stringify({
-        meals,
-        waterIntake,
-        timestamp: new Date().toISOString()
-      }));
+      // Log today's change so water can be charted and exported per day
+      const change = (Number(waterIntake) || 0) - cache.waterIntake;
+      const today = toDateKey(new Date());
+      const waterLog = change === 0
+        ? cache.waterLog
+        : { ...cache.waterLog, [today]: Math.max(0, (cache.waterLog[today] || 0) + change) };
+
+      saveStores(
+        { meals },
+        { waterIntake, waterLog, nutritionTimestamp: new Date().toISOString() }
+      );
       return true;
     } catch (error) {
       return handleStorageError(error, false);
     }
   },
 
-  getNutritionData: () => {
-    try {
-      const data = localStorage.getItem('nutritionData');
-      return data ? JSON.parse(data) : { meals: [], waterIntake: 0, timestamp: null };
-    } catch (error) {
-      return handleStorageError(error, { meals: [], waterIntake: 0, timestamp: null });
-    }
-  },
+  getNutritionData: () => ({
+    meals: [...cache.meals],
+    waterIntake: cache.waterIntake,
+    waterLog: { ...cache.waterLog },
+    timestamp: cache.nutritionTimestamp
+  }),
 
   // Goals Data
   saveGoalsData: (goals, habits) => {
     try {
-      localStorage.setItem('goalsData', JSON.stringify({
-        goals,
-        habits,
-        timestamp: new Date().toISOString()
-      }));
+      saveStores(
+        { goals, habits },
+        { goalsTimestamp: new Date().toISOString() }
+      );
       return true;
     } catch (error) {
       return handleStorageError(error, false);
     }
   },
 
-  getGoalsData: () => {
+  getGoalsData: () => ({
+    goals: [...cache.goals],
+    habits: [...cache.habits],
+    timestamp: cache.goalsTimestamp
+  }),
+
+  // Daily Metrics
+  // Values imported from health apps and devices, one record per source and day
+  saveDailyMetrics: (records) => {
     try {
-      const data = localStorage.getItem('goalsData');
-      return data ? JSON.parse(data) : { goals: [], habits: [], timestamp: null };
+      saveStores({ dailyMetrics: records });
+      return true;
     } catch (error) {
-      return handleStorageError(error, { goals: [], habits: [], timestamp: null });
+      return handleStorageError(error, false);
     }
+  },
+
+  getDailyMetrics: () => [...cache.dailyMetrics],
+
+  // Privacy Settings
+  savePrivacySettings: (settings) => writeSettings('privacySettings', settings),
+
+  getPrivacySettings: () => readSettings('privacySettings'),
+
+  // Security Settings (autoLockMinutes of 0 turns auto-lock off)
+  saveSecuritySettings: (settings) => writeSettings('securitySettings', settings),
+
+  getSecuritySettings: () => readSettings('securitySettings'),
+
+  // Backup
+  // A copy of every collection, stored value and setting. The passphrase
+  // settings are left out so a backup can be restored under another one.
+  exportData: () => {
+    if (!key) {
+      throw new Error('Storage is locked');
+    }
+    return {
+      collections: Object.fromEntries(COLLECTIONS.map(name => [name, [...cache[name]]])),
+      meta: Object.fromEntries(Object.keys(META_DEFAULTS).map(name => [name, cache[name]])),
+      settings: Object.fromEntries(Object.keys(SETTINGS_DEFAULTS).map(name => [name, readSettings(name)]))
+    };
+  },
+
+  // Restore data in the shape exportData returns. 'merge' adds records whose
+  // id is not stored yet and fills values that are still unset; 'replace'
+  // swaps everything for the imported data. Records are upgraded and
+  // validated like any other write, and invalid ones are skipped. With
+  // dryRun nothing is saved, which lets the caller preview the counts.
+  importData: (data, { mode = 'merge', dryRun = false } = {}) => {
+    if (mode !== 'merge' && mode !== 'replace') {
+      throw new Error(`Unknown import mode: ${mode}`);
+    }
+    if (!key) {
+      throw new Error('Storage is locked');
+    }
+
+    const incoming = data?.collections || {};
+    const counts = {};
+    const changes = {};
+
+    COLLECTIONS.forEach(name => {
+      const { keyPath } = STORES[name];
+      const { records, rejected } = upgradeRecords(name, incoming[name]);
+      const existingKeys = new Set(mode === 'merge' ? cache[name].map(record => record[keyPath]) : []);
+      const seen = new Set();
+      const added = records.filter(record => {
+        const recordKey = record[keyPath];
+        if (existingKeys.has(recordKey) || seen.has(recordKey)) return false;
+        seen.add(recordKey);
+        return true;
+      });
+
+      counts[name] = {
+        total: Array.isArray(incoming[name]) ? incoming[name].length : 0,
+        added: added.length,
+        duplicates: records.length - added.length,
+        invalid: rejected.length,
+        // Stored records a replace deletes
+        removed: mode === 'replace' ? cache[name].length : 0
+      };
+      changes[name] = mode === 'merge' ? [...cache[name], ...added] : added;
+    });
+
+    const ignored = Object.keys(incoming).filter(name => !COLLECTIONS.includes(name));
+    if (dryRun) return { counts, ignored };
+
+    changes.journalEntries = sortNewestFirst(changes.journalEntries, 'date');
+    changes.analysisHistory = sortNewestFirst(changes.analysisHistory, 'timestamp').slice(0, MAX_ANALYSIS_HISTORY);
+
+    const meta = {};
+    Object.entries(META_DEFAULTS).forEach(([name, fallback]) => {
+      const value = data?.meta?.[name];
+      if (mode === 'replace') {
+        meta[name] = value ?? fallback;
+      } else if (value !== undefined && value !== null && JSON.stringify(cache[name]) === JSON.stringify(fallback)) {
+        meta[name] = value;
+      }
+    });
+    if (meta.analysis !== undefined) meta.analysis = upgradeAnalysis(meta.analysis);
+
+    Object.entries(data?.settings || {}).forEach(([name, settings]) => {
+      if (!(name in SETTINGS_DEFAULTS) || !settings || typeof settings !== 'object') return;
+      if (mode === 'replace' || localStorage.getItem(name) === null) writeSettings(name, settings);
+    });
+
+    saveStores(changes, meta);
+    notifyPages([...COLLECTIONS, ...Object.keys(meta)]);
+    return { counts, ignored };
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,142 @@
+// src/utils/visitSummary.js
+import { getEntryFacets } from '../lib/entrySearch';
+import { getEntryText, getEntryTime } from '../lib/mockAnalyst';
+import { buildDailyMetrics } from './metricsExport';
+import { toDateKey } from './dateUtils';
+
+const MAX_NOTABLE_ENTRIES = 12;
+
+// Medicines recognised by name alone. Anything else is picked up when it is
+// written with a dose, e.g. "metformin 500mg" or "20 mg of citalopram".
+const KNOWN_MEDICATIONS = [
+  'acetaminophen', 'paracetamol', 'tylenol', 'ibuprofen', 'advil', 'motrin', 'naproxen', 'aleve', 'aspirin',
+  'antihistamine', 'cetirizine', 'loratadine', 'diphenhydramine', 'benadryl', 'melatonin', 'omeprazole',
+  'antibiotics?', 'amoxicillin', 'inhaler', 'albuterol', 'insulin', 'metformin', 'levothyroxine',
+  'sertraline', 'fluoxetine', 'citalopram', 'escitalopram', 'lisinopril', 'atorvastatin', 'sumatriptan',
+  'prednisone', 'magnesium', 'iron supplements?', 'vitamin [a-e]\\d*'
+];
+
+// Words that come before a dose but are not medicines
+const NOT_MEDICATIONS = new Set([
+  'took', 'take', 'taking', 'takes', 'about', 'around', 'drank', 'drink', 'water', 'coffee', 'tea', 'milk',
+  'juice', 'soda', 'wine', 'beer', 'and', 'also', 'then', 'had', 'some', 'more', 'with', 'the', 'another',
+  'extra', 'over', 'only', 'just'
+]);
+
+const DOSE = '(\\d+(?:\\.\\d+)?)\\s*(mg|mcg|ml|iu|units?)\\b';
+const NAME_THEN_DOSE = new RegExp(`\\b([a-z][a-z-]{2,})\\s+${DOSE}`, 'gi');
+const DOSE_THEN_NAME = new RegExp(`\\b${DOSE}\\s+(?:of\\s+)?([a-z][a-z-]{2,})`, 'gi');
+const KNOWN_NAME = new RegExp(`\\b(${KNOWN_MEDICATIONS.join('|')})\\b`, 'gi');
+
+// Medicines mentioned in an entry, with the dose when one is given
+export function findMedications(text = '') {
+  const found = new Map();
+  const add = (name, dose = null) => {
+    const key = name.toLowerCase();
+    if (NOT_MEDICATIONS.has(key)) return false;
+    if (!found.has(key) || (dose && !found.get(key).dose)) found.set(key, { name: key, dose });
+    return true;
+  };
+
+  // "20 mg of citalopram" names the medicine after the dose, so the word
+  // before that dose is not one
+  const claimedDoses = new Set();
+  for (const match of text.matchAll(DOSE_THEN_NAME)) {
+    const [, amount, unit, name] = match;
+    if (add(name, `${amount} ${unit.toLowerCase()}`)) claimedDoses.add(match.index);
+  }
+  for (const match of text.matchAll(NAME_THEN_DOSE)) {
+    const [whole, name, amount, unit] = match;
+    if (!claimedDoses.has(match.index + whole.search(/\d/))) add(name, `${amount} ${unit.toLowerCase()}`);
+  }
+  for (const [name] of text.matchAll(KNOWN_NAME)) add(name);
+
+  return [...found.values()];
+}
+
+// Average and range of the days that have a value
+const summarizeDays = (values) => {
+  const recorded = values.filter(value => value !== null);
+  if (recorded.length === 0) return null;
+  return {
+    days: recorded.length,
+    average: Math.round((recorded.reduce((sum, value) => sum + value, 0) / recorded.length) * 10) / 10,
+    min: Math.min(...recorded),
+    max: Math.max(...recorded)
+  };
+};
+
+// Track how often something appears and when it first and last did
+const countOccurrence = (counts, name, day, extra = {}) => {
+  if (!counts.has(name)) counts.set(name, { name, entries: 0, days: new Set(), first: day, last: day, ...extra });
+  const item = counts.get(name);
+  item.entries += 1;
+  item.days.add(day);
+  if (day < item.first) item.first = day;
+  if (day > item.last) item.last = day;
+  return item;
+};
+
+const toList = (counts) => [...counts.values()]
+  .map(({ days, ...item }) => ({ ...item, days: days.size }))
+  .sort((a, b) => b.entries - a.entries || a.name.localeCompare(b.name));
+
+// Reasons an entry is worth reading in full
+const notableReasons = (facets, medications) => [
+  ...facets.symptoms.map(symptom => `reports ${symptom}`),
+  ...medications.map(medication => `mentions ${medication.name}`),
+  facets.sleep !== null && (facets.sleep < 6 || facets.sleep > 10) && `sleep ${facets.sleep} h`,
+  (facets.mood === 'veryNegative' || facets.mood === 'negative') && 'low mood',
+  (facets.stress === 'veryHigh' || facets.stress === 'high') && 'high stress'
+].filter(Boolean);
+
+// Factual summary of the journal between two YYYY-MM-DD dates, for sharing
+// with a clinician
+export function buildVisitSummary(entries = [], { start, end }) {
+  const inRange = entries
+    .map(entry => ({ entry, day: toDateKey(getEntryTime(entry)) }))
+    .filter(({ day }) => day >= start && day <= end)
+    .sort((a, b) => getEntryTime(a.entry) - getEntryTime(b.entry));
+
+  const symptoms = new Map();
+  const medications = new Map();
+  const notable = [];
+
+  inRange.forEach(({ entry, day }) => {
+    const text = getEntryText(entry);
+    const facets = getEntryFacets(entry);
+    const mentioned = findMedications(text);
+
+    facets.symptoms.forEach(symptom => countOccurrence(symptoms, symptom, day));
+    mentioned.forEach(medication => {
+      const item = countOccurrence(medications, medication.name, day, { doses: [] });
+      if (medication.dose && !item.doses.includes(medication.dose)) item.doses.push(medication.dose);
+    });
+
+    const reasons = notableReasons(facets, mentioned);
+    if (reasons.length > 0) {
+      notable.push({ id: entry.id, date: new Date(getEntryTime(entry)).toISOString(), text, reasons });
+    }
+  });
+
+  const days = buildDailyMetrics({ entries: inRange.map(({ entry }) => entry) }, { start, end });
+  // Entries with the most reasons first, then the most recent
+  const selected = [...notable]
+    .sort((a, b) => b.reasons.length - a.reasons.length || b.date.localeCompare(a.date))
+    .slice(0, MAX_NOTABLE_ENTRIES)
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  return {
+    start,
+    end,
+    days: days.length,
+    entryCount: inRange.length,
+    daysWithEntries: new Set(inRange.map(({ day }) => day)).size,
+    symptoms: toList(symptoms),
+    sleep: summarizeDays(days.map(day => day.sleepHours)),
+    exercise: summarizeDays(days.map(day => day.exerciseMinutes)),
+    medications: toList(medications),
+    notableEntries: selected,
+    notableOmitted: notable.length - selected.length
+  };
+}
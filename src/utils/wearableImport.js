@@ -0,0 +1,335 @@
+// src/utils/wearableImport.js
+import { parseCSV, parseCSVTable, parseDay, parseNumber } from './csvParser';
+import { createDailyMetric } from './dailyMetrics';
+import { toDateKey } from './dateUtils';
+
+// File imports from wearables: Fitbit's data export (CSV and JSON), Garmin
+// Connect CSV, Oura CSV and Google Fit Takeout (JSON, plus its daily CSV).
+// Each becomes daily metric records in the same shape as Apple Health's.
+// CSV columns are matched by name; files with other column names can be
+// mapped by hand.
+
+export const WEARABLE_SOURCES = ['fitbit', 'garmin', 'oura', 'google-fit', 'other'];
+
+// What a column can be mapped to. Durations say which unit they are in.
+export const MAPPABLE_FIELDS = {
+  date: { label: 'Date' },
+  sleepHours: { label: 'Sleep duration', duration: true },
+  sleepScore: { label: 'Sleep score' },
+  steps: { label: 'Steps' },
+  exerciseMinutes: { label: 'Active minutes', duration: true },
+  restingHeartRate: { label: 'Resting heart rate' }
+};
+
+export const DURATION_UNITS = {
+  hours: 'Hours',
+  minutes: 'Minutes',
+  seconds: 'Seconds',
+  clock: 'Time, e.g. 7:32 or 7h 32m'
+};
+
+// Per-day totals add up; scores and heart rates are averaged
+const SUMMED_FIELDS = new Set(['sleepHours', 'steps', 'exerciseMinutes']);
+
+// Column names each source uses. For each field the first alternative whose
+// columns are all present is used; several columns are added together.
+const column = (columns, unit) => ({ columns: [].concat(columns), ...(unit && { unit }) });
+
+const CSV_PRESETS = {
+  fitbit: {
+    date: [column('Date'), column('End Time'), column('timestamp'), column('dateOfSleep')],
+    sleepHours: [column('Minutes Asleep', 'minutes'), column('minutesAsleep', 'minutes')],
+    sleepScore: [column('overall_score'), column('Sleep Score')],
+    steps: [column('Steps')],
+    exerciseMinutes: [
+      column(['Minutes Fairly Active', 'Minutes Very Active'], 'minutes'),
+      column(['Fairly Active Minutes', 'Very Active Minutes'], 'minutes'),
+      column('Active Zone Minutes', 'minutes')
+    ],
+    restingHeartRate: [column('Resting Heart Rate'), column('resting_heart_rate')]
+  },
+  garmin: {
+    date: [column('Date'), column('Calendar Date'), column('Day')],
+    sleepHours: [column('Duration', 'clock'), column('Sleep Duration', 'clock'), column('Total Sleep', 'clock')],
+    sleepScore: [column('Sleep Score'), column('Score')],
+    steps: [column('Steps'), column('Total Steps'), column('Actual')],
+    exerciseMinutes: [
+      column(['Moderate Intensity Minutes', 'Vigorous Intensity Minutes'], 'minutes'),
+      column('Intensity Minutes', 'minutes'),
+      // Activities.csv has one row per activity with its length under Time
+      column('Time', 'clock')
+    ],
+    restingHeartRate: [column('Resting Heart Rate'), column('Resting HR')]
+  },
+  oura: {
+    date: [column('date'), column('day'), column('Date')],
+    sleepHours: [column('Total Sleep Duration', 'seconds'), column('total_sleep_duration', 'seconds')],
+    sleepScore: [column('Sleep Score'), column('sleep_score')],
+    steps: [column('Steps'), column('steps')],
+    exerciseMinutes: [
+      column(['Medium Activity Time', 'High Activity Time'], 'seconds'),
+      column(['medium_activity_time', 'high_activity_time'], 'seconds')
+    ],
+    restingHeartRate: [
+      column('Average Resting Heart Rate'),
+      column('Lowest Resting Heart Rate'),
+      column('lowest_heart_rate')
+    ]
+  },
+  // Takeout's "Daily activity metrics.csv"
+  'google-fit': {
+    date: [column('Date')],
+    steps: [column('Step count')],
+    exerciseMinutes: [column('Move Minutes count', 'minutes')]
+  }
+};
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Column mapping for a table, from the presets of the chosen source (or of
+// every source for "other"). Fields without a matching column are left out.
+export function detectColumnMapping(headers, source) {
+  const byName = new Map(headers.map(header => [normalizeHeader(header), header]));
+  const presets = CSV_PRESETS[source] ? [CSV_PRESETS[source]] : Object.values(CSV_PRESETS);
+  const mapping = {};
+
+  Object.keys(MAPPABLE_FIELDS).forEach(field => {
+    for (const preset of presets) {
+      const match = (preset[field] || []).find(option => option.columns.every(name => byName.has(normalizeHeader(name))));
+      if (match) {
+        mapping[field] = { ...match, columns: match.columns.map(name => byName.get(normalizeHeader(name))) };
+        return;
+      }
+    }
+  });
+  return mapping;
+}
+
+// A mapping can be imported once it has a date and at least one value
+export const isMappingUsable = (mapping) =>
+  Boolean(mapping?.date) && Object.keys(mapping).some(field => field !== 'date');
+
+// Minutes from "7:32", "07:32:10", "7h 32m", "7 hrs 32 mins" or "45 min"
+const parseClock = (value) => {
+  const text = String(value ?? '').trim().toLowerCase();
+  const colon = /^(\d+):(\d{2})(?::(\d{2}(?:\.\d+)?))?$/.exec(text);
+  if (colon) return Number(colon[1]) * 60 + Number(colon[2]) + Number(colon[3] || 0) / 60;
+
+  const hours = /(\d+(?:\.\d+)?)\s*h/.exec(text);
+  const minutes = /(\d+(?:\.\d+)?)\s*m/.exec(text);
+  if (hours || minutes) return Number(hours?.[1] || 0) * 60 + Number(minutes?.[1] || 0);
+  return parseNumber(text);
+};
+
+const MINUTES_PER_UNIT = { hours: 60, minutes: 1, seconds: 1 / 60 };
+
+// A mapped value in the field's stored unit: hours of sleep, minutes of
+// activity, or the number as it is
+const readField = (row, field, { columns, unit }) => {
+  const values = columns.map(name => (unit === 'clock' ? parseClock(row[name]) : parseNumber(row[name])));
+  if (values.every(value => value === null)) return null;
+  const total = values.reduce((sum, value) => sum + (value || 0), 0);
+  if (!MAPPABLE_FIELDS[field].duration) return total;
+  const minutes = unit === 'clock' ? total : total * (MINUTES_PER_UNIT[unit] ?? 1);
+  return field === 'sleepHours' ? minutes / 60 : minutes;
+};
+
+// Daily values from one file, as { date, field, value, stream } readings.
+// `stream` names where a reading came from, so devices that record the same
+// thing are not added together.
+const readTable = (table, mapping, stream) => {
+  const readings = [];
+  let duplicates = 0;
+  const seen = new Set();
+
+  table.rows.forEach(row => {
+    const date = parseDay(row[mapping.date.columns[0]]);
+    if (!date) return;
+    const values = Object.entries(mapping)
+      .filter(([field]) => field !== 'date')
+      .map(([field, spec]) => [field, readField(row, field, spec)])
+      .filter(([, value]) => value !== null && value >= 0);
+    if (values.length === 0) return;
+
+    // Only a repeated row is a duplicate: two activities of the same length
+    // on one day differ in their start time or id
+    const key = JSON.stringify(table.headers.map(header => row[header]));
+    if (seen.has(key)) {
+      duplicates += 1;
+      return;
+    }
+    seen.add(key);
+    values.forEach(([field, value]) => readings.push({ date, field, value, stream }));
+  });
+  return { readings, duplicates };
+};
+
+// Fitbit's data export CSV holds several tables, each under a title row
+// such as "Activities" or "Sleep"
+const splitTables = (name, text) => {
+  const rows = parseCSV(text);
+  const sections = [];
+  let current = null;
+  rows.forEach((row, index) => {
+    const next = rows[index + 1];
+    const isTitle = row.length === 1 && row[0].trim() && next && next.length > 1 && (index === 0 || rows[index - 1].length === 0);
+    if (isTitle) {
+      current = { title: row[0].trim(), rows: [] };
+      sections.push(current);
+    } else if (row.length > 0) {
+      if (!current) {
+        current = { title: null, rows: [] };
+        sections.push(current);
+      }
+      current.rows.push(row);
+    }
+  });
+
+  if (sections.length <= 1) {
+    const table = parseCSVTable(text);
+    return [{ id: name, title: null, ...table }];
+  }
+  return sections.filter(section => section.rows.length > 1).map(section => {
+    const headers = section.rows[0].map(header => header.trim());
+    return {
+      id: `${name} (${section.title})`,
+      title: section.title,
+      headers,
+      rows: section.rows.slice(1).map(row => Object.fromEntries(headers.map((header, index) => [header, (row[index] ?? '').trim()])))
+    };
+  });
+};
+
+// Fitbit JSON files are named after what they hold, e.g. "steps-2024-01-01.json"
+const FITBIT_JSON = [
+  [/^sleep-/, 'sleep'],
+  [/^steps-/, 'steps'],
+  [/^resting_heart_rate-/, 'restingHeartRate'],
+  [/^(very|moderately)_active_minutes-/, 'exerciseMinutes']
+];
+
+const baseName = (name) => name.split(/[\\/]/).pop().toLowerCase();
+
+const readFitbitJson = (name, data) => {
+  const kind = FITBIT_JSON.find(([pattern]) => pattern.test(baseName(name)))?.[1];
+  if (!kind || !Array.isArray(data)) return null;
+  // Exports split each measure into monthly files that can overlap, and very
+  // and moderately active minutes are separate files for the same days, so
+  // readings of a kind share one stream and are told apart by their key
+  const prefix = baseName(name).replace(/-[\d-]+\.json$/, '');
+
+  const readings = data.map(item => {
+    if (kind === 'sleep') {
+      return { date: parseDay(item.dateOfSleep), field: 'sleepHours', value: Number(item.minutesAsleep) / 60, stream: 'fitbit-sleep', key: `sleep:${item.logId}` };
+    }
+    if (kind === 'restingHeartRate') {
+      return { date: parseDay(item.value?.date || item.dateTime), field: kind, value: Number(item.value?.value), stream: 'fitbit-resting', key: `${prefix}:${item.dateTime}` };
+    }
+    return { date: parseDay(item.dateTime), field: kind, value: Number(item.value), stream: `fitbit-${kind}`, key: `${prefix}:${item.dateTime}` };
+  });
+  return readings.filter(reading => reading.date && isFinite(reading.value) && reading.value > 0);
+};
+
+// Google Fit sleep stages that count as asleep: sleep, light, deep and REM
+const GOOGLE_FIT_ASLEEP = new Set([2, 4, 5, 6]);
+
+const readGoogleFitJson = (name, data) => {
+  const points = data?.['Data Points'];
+  if (!Array.isArray(points)) return null;
+  const stream = data['Data Source'] || name;
+
+  return points.map(point => {
+    const start = Number(point.startTimeNanos) / 1e6;
+    const end = Number(point.endTimeNanos) / 1e6;
+    const value = point.fitValue?.[0]?.value || {};
+    const amount = value.intVal ?? value.fpVal;
+    switch (point.dataTypeName) {
+      case 'com.google.step_count.delta':
+        return { date: toDateKey(new Date(start)), field: 'steps', value: amount, stream };
+      case 'com.google.active_minutes':
+        return { date: toDateKey(new Date(start)), field: 'exerciseMinutes', value: amount, stream };
+      case 'com.google.sleep.segment':
+        // A night belongs to the day you wake up on
+        return GOOGLE_FIT_ASLEEP.has(amount)
+          ? { date: toDateKey(new Date(end)), field: 'sleepHours', value: (end - start) / 3600000, stream }
+          : null;
+      default:
+        return null;
+    }
+  }).filter(reading => reading && /^\d{4}-/.test(reading.date) && isFinite(reading.value) && reading.value >= 0);
+};
+
+// Read one file's text. JSON files are read directly; CSV files come back
+// as tables with the detected column mapping, to be confirmed or changed
+// before reading.
+export function parseWearableFile({ name, text }, source) {
+  if (/\.json$/i.test(name) || /^\s*[[{]/.test(text)) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new Error(`${name} is not valid JSON`);
+    }
+    const readings = readFitbitJson(name, data) || readGoogleFitJson(name, data);
+    if (!readings) throw new Error(`${name} is not a Fitbit or Google Fit export file this importer knows`);
+    return { name, type: 'json', readings, tables: [] };
+  }
+
+  const tables = splitTables(name, text).map(table => ({ ...table, mapping: detectColumnMapping(table.headers, source) }));
+  return { name, type: 'csv', readings: [], tables };
+}
+
+// Daily metric records from parsed files. `mappings` overrides the
+// detected mapping of a table, keyed by table id.
+export function buildWearableRecords(files, source, mappings = {}) {
+  const readings = [];
+  let duplicates = 0;
+  let skippedTables = 0;
+
+  files.forEach(file => {
+    readings.push(...file.readings);
+    file.tables.forEach(table => {
+      const mapping = mappings[table.id] || table.mapping;
+      if (!isMappingUsable(mapping)) {
+        skippedTables += 1;
+        return;
+      }
+      const result = readTable(table, mapping, table.id);
+      readings.push(...result.readings);
+      duplicates += result.duplicates;
+    });
+  });
+
+  // Per day and field: totals per stream, keeping the largest stream, or
+  // the average of every reading for scores and heart rates
+  const days = new Map();
+  const seen = new Set();
+  readings.forEach(({ date, field, value, stream, key }) => {
+    if (key) {
+      if (seen.has(key)) {
+        duplicates += 1;
+        return;
+      }
+      seen.add(key);
+    }
+    if (!days.has(date)) days.set(date, {});
+    const day = days.get(date);
+    if (!day[field]) day[field] = { streams: new Map(), sum: 0, count: 0 };
+    const totals = day[field];
+    totals.streams.set(stream, (totals.streams.get(stream) || 0) + value);
+    totals.sum += value;
+    totals.count += 1;
+  });
+
+  const importedAt = new Date().toISOString();
+  const records = [...days.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, fields]) => createDailyMetric(source, date, Object.fromEntries(
+      Object.entries(fields).map(([field, totals]) => [
+        field,
+        SUMMED_FIELDS.has(field) ? Math.max(...totals.streams.values()) : totals.sum / totals.count
+      ])
+    ), importedAt));
+
+  return { records, readings: readings.length, duplicates, skippedTables };
+}
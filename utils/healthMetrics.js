@@ -1,66 +1,4 @@
 // utils/healthMetrics.js
-export function extractHealthMetrics(text) {
-    const metrics = {
-      sleep: null,
-      exercise: null,
-      symptoms: [],
-      energy: null,
-      mood: null
-    }
-  
-    // Sleep Pattern
-    const sleepMatches = [
-      text.match(/slept\s+(\d+)\s*hours?/i),
-      text.match(/(\d+)\s*hours?\s+of\s+sleep/i),
-      text.match(/sleep.*?(\d+)\s*hours?/i)
-    ]
-    const sleepMatch = sleepMatches.find(match => match)
-    if (sleepMatch) metrics.sleep = parseInt(sleepMatch[1])
-  
-    // Exercise Pattern
-    const exerciseMatches = [
-      text.match(/(\d+)[\s-]*min(ute)?s?\s*(workout|exercise|run|jog|swim|yoga|gym)/i),
-      text.match(/(worked out|exercised)\s+for\s+(\d+)/i)
-    ]
-    const exerciseMatch = exerciseMatches.find(match => match)
-    if (exerciseMatch) metrics.exercise = parseInt(exerciseMatch[1] || exerciseMatch[2])
-  
-    // Symptoms
-    const commonSymptoms = [
-      'headache', 'fever', 'cough', 'fatigue',
-      'pain', 'nausea', 'dizzy', 'anxiety',
-      'stress', 'insomnia', 'cramps'
-    ]
-    commonSymptoms.forEach(symptom => {
-      if (text.toLowerCase().includes(symptom)) {
-        metrics.symptoms.push(symptom)
-      }
-    })
-  
-    // Energy Level
-    if (text.toLowerCase().includes('energy')) {
-      if (text.toLowerCase().includes('low')) metrics.energy = 'low'
-      if (text.toLowerCase().includes('high')) metrics.energy = 'high'
-      if (text.toLowerCase().includes('medium') || text.toLowerCase().includes('moderate')) metrics.energy = 'medium'
-    }
-  
-    // Mood Detection
-    const moodPatterns = {
-      positive: ['happy', 'great', 'good', 'excellent', 'wonderful', 'amazing', 'fantastic'],
-      negative: ['sad', 'bad', 'terrible', 'awful', 'depressed', 'unhappy', 'stressed'],
-      neutral: ['okay', 'fine', 'alright', 'normal']
-    }
-  
-    for (const [type, patterns] of Object.entries(moodPatterns)) {
-      if (patterns.some(pattern => text.toLowerCase().includes(pattern))) {
-        metrics.mood = type
-        break
-      }
-    }
-  
-    return metrics
-  }
-  
   export function generateInsights(metrics) {
     const insights = []
     